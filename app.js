@@ -1,15 +1,40 @@
-require('dotenv').config();
+const { config } = require('./config');
 const express = require('express');
 const cors = require('cors');
 const { connectDB } = require('./db');
 const authRoutes = require('./routes/auth');
 const bookRoutes = require('./routes/books');
+const adminRoutes = require('./routes/admin');
+const userRoutes = require('./routes/users');
+const mailPreviewRoutes = require('./routes/mailPreview');
+const { isPreviewEnabled } = require('./lib/mailPreview');
+const { logger } = require('./lib/logger');
+const requestContext = require('./middleware/requestContext');
+const httpMetrics = require('./middleware/httpMetrics');
+const { metricsHandler } = require('./lib/metrics');
+const { checkMongo, checkRedis, createHealthHandler } = require('./lib/health');
+const { sendProblem, sendServerError } = require('./lib/problems');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
+
+// Rate limits key on req.ip, which must be the client's address rather than the proxy's
+app.set('trust proxy', config.server.trustProxy);
+
+// Probes and scrapes come every few seconds, so they are served ahead of request logging and metrics
+// Liveness only shows the process answers; readiness also needs MongoDB and Redis
+app.get('/health/live', createHealthHandler({}));
+app.get('/health/ready', createHealthHandler({ mongo: checkMongo, redis: checkRedis }));
+app.get('/metrics', metricsHandler);
 
 // Middleware
-app.use(cors());
+app.use(requestContext);
+app.use(httpMetrics);
+app.use(cors({
+  exposedHeaders: ['X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
+}));
+// Bulk imports carry up to BULK_MAX_ROWS books; every other route keeps the 100kb default
+app.use('/api/books/bulk', express.json({ limit: config.bulk.maxBodyBytes }));
 app.use(express.json());
 
 // Connect to MongoDB
@@ -18,18 +43,35 @@ connectDB();
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/books', bookRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/users', userRoutes);
+
+// Emails written by the preview transport (MAIL_TRANSPORT=preview), never exposed in production
+if (isPreviewEnabled() && config.env !== 'production') {
+  app.use('/dev/mail', mailPreviewRoutes);
+}
 
 // Health check
 app.get('/', (req, res) => {
   res.json({ message: 'Books API with Redis & Cron Jobs', status: 'running' });
 });
 
+// Unknown routes answer with a problem like every other error
+app.use((req, res) => {
+  sendProblem(req, res, 404, { title: 'Not found', detail: `No route for ${req.method} ${req.path}` });
+});
+
 // Error handling middleware
+// Body parser errors (malformed JSON, 413 too large) carry their own 4xx status
 app.use((err, req, res, next) => {
-  console.error('Error:', err.message);
-  res.status(500).json({ error: err.message || 'Internal Server Error' });
+  if (err.status >= 400 && err.status < 500) {
+    return sendProblem(req, res, err.status, { detail: err.expose ? err.message : undefined });
+  }
+
+  req.log.error('Unhandled request error', { err });
+  sendServerError(req, res, 'Internal Server Error', err);
 });
 
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  logger.info('Server running', { port: PORT });
 });
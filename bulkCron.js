@@ -1,181 +1,333 @@
-const cron = require('node-cron');
-const redis = require('redis');
-const Book = require('./models/books');
+const { getRedisClient } = require('./db');
+const { scheduleTask } = require('./lib/scheduler');
+const { config } = require('./config');
+const { insertBooks } = require('./lib/bookWriter');
+const {
+  MAX_ATTEMPTS,
+  appendStoredRows,
+  getJob,
+  getJobBooks,
+  updateJob,
+  claimJob,
+  checkpointJob,
+  ackJob,
+  releaseJob,
+  retryJob,
+  failJob,
+  requeueStaleJobs
+} = require('./lib/bulkJobs');
+const { startRenewal, withLock } = require('./lib/lock');
+const { invalidateBooksCache } = require('./lib/bookCache');
+const { saveJobHistory } = require('./lib/jobHistory');
+const { settleBulkRows } = require('./lib/quotas');
+const { notifyJobEvent } = require('./lib/notifications');
+const { indexStatusKey } = require('./lib/reportRetry');
+const { logger } = require('./lib/logger');
+const { bulkJobsProcessed, bulkBooks, bulkJobDuration, markCronSuccess } = require('./lib/metrics');
 
-// Redis client setup
-const redisClient = redis.createClient({
-  url: process.env.REDIS_URL || 'redis://localhost:6379'
-});
+const log = logger.child({ component: 'bulk' });
 
-// Connect to Redis
-redisClient.connect().catch(console.error);
+// Books per insertMany call, and how many of those calls run in parallel
+const CHUNK_SIZE = config.bulk.chunkSize;
+const CONCURRENCY = config.bulk.concurrency;
 
-redisClient.on('error', (err) => {
-  console.error('Redis Client Error:', err);
-});
+// Set on shutdown: the job in hand is finished, but no further jobs are claimed
+let stopRequested = false;
 
-redisClient.on('connect', () => {
-  console.log('Redis client connected for bulk cron job');
-});
+// Lifetime of the lock that keeps two workers from sweeping the processing list at once
+const SWEEP_LOCK_TTL_MS = 30 * 1000;
 
 /**
- * Process bulk book insertions from Redis
- * Tracks insertion status per user
+ * Process a single claimed bulk job
+ * Resumes from the job's last checkpoint and acknowledges it once its status is stored
+ * The job's lease is renewed in the background for as long as this runs
+ * @param {string} jobId - Job ID
+ * @param {Object} lease - Lease from claimJob
  */
-const processBulkBooks = async () => {
+const processJob = async (jobId, lease) => {
+  const stopRenewal = startRenewal(getRedisClient(), lease);
+
   try {
-    console.log(`[${new Date().toISOString()}] Starting bulk book processing...`);
+    await runJob(jobId, lease);
+  } finally {
+    stopRenewal();
+  }
+};
 
-    // Get all keys matching the bulk book pattern
-    const keys = await redisClient.keys('bulk_books:*');
-    
-    if (keys.length === 0) {
-      console.log(`[${new Date().toISOString()}] No bulk books to process`);
+/**
+ * Change a job's state and mirror it into the BulkJob history
+ * @param {string} jobId - Job ID
+ * @param {Object} changes - Fields to update, including state
+ * @returns {Promise<Object|null>} Updated job record
+ */
+const updateJobState = async (jobId, changes) => {
+  const job = await updateJob(getRedisClient(), jobId, changes);
+
+  if (job) {
+    await saveJobHistory(job);
+  }
+
+  return job;
+};
+
+// Hand back the rows a finished job reserved but did not insert
+// Callers clear quotaKey in the same update that finishes the job, so a retried tick can't settle twice
+const settleJobQuota = async (job, successCount) => {
+  if (job.quotaKey) {
+    await settleBulkRows(getRedisClient(), { key: job.quotaKey, requested: job.quotaRows }, successCount);
+  }
+};
+
+const runJob = async (jobId, lease) => {
+  const redisClient = getRedisClient();
+  const job = await getJob(redisClient, jobId);
+
+  if (!job) {
+    log.warn('No job record found, acknowledging', { jobId });
+    await ackJob(redisClient, jobId, lease);
+    return;
+  }
+
+  const userId = job.userId;
+  const jobLog = log.child({ jobId, correlationId: job.correlationId, userId });
+  jobLog.info('Processing bulk job');
+
+  // A previous attempt already stored the status and only missed the acknowledgement
+  if (job.statusKey) {
+    await ackJob(redisClient, jobId, lease);
+    jobLog.info('Bulk job was already completed, acknowledged');
+    return;
+  }
+
+  const attempts = job.attempts + 1;
+  const startedAt = job.startedAt || new Date().toISOString();
+  const secondsSinceStart = () => (Date.now() - new Date(startedAt).getTime()) / 1000;
+
+  try {
+    const books = await getJobBooks(redisClient, jobId);
+
+    if (!Array.isArray(books) || books.length === 0) {
+      jobLog.warn('Invalid or empty book array');
+      await updateJobState(jobId, { state: 'failed', error: 'Invalid or empty book array', quotaKey: null });
+      await settleJobQuota(job, 0);
+      await ackJob(redisClient, jobId, lease);
+      bulkJobsProcessed.inc({ result: 'failed' });
+      await notifyJobEvent('bulk_job.failed', {
+        jobId,
+        correlationId: job.correlationId,
+        userId,
+        error: 'Invalid or empty book array',
+        timestamp: new Date().toISOString(),
+        status: 'failed'
+      });
       return;
     }
 
-    console.log(`[${new Date().toISOString()}] Found ${keys.length} bulk book entries to process`);
+    // Initialize status tracking, carrying over counts from an interrupted attempt
+    const status = {
+      jobId: jobId,
+      correlationId: job.correlationId,
+      userId: userId,
+      totalBooks: job.totalBooks,
+      successCount: job.successCount,
+      failureCount: job.failureCount,
+      duplicateCount: job.duplicateCount,
+      timestamp: startedAt,
+      failures: job.failures,
+      duplicates: job.duplicates
+    };
 
-    for (const key of keys) {
-      const userId = key.split(':')[1];
-      console.log(`[${new Date().toISOString()}] Processing bulk books for user: ${userId}`);
+    jobLog.info(job.checkpoint > 0 ? 'Resuming bulk job from checkpoint' : 'Starting bulk job', {
+      checkpoint: job.checkpoint,
+      totalBooks: books.length,
+      attempt: attempts
+    });
 
-      try {
-        // Get the book array from Redis
-        const booksData = await redisClient.get(key);
-        
-        if (!booksData) {
-          console.log(`[${new Date().toISOString()}] No data found for key: ${key}`);
-          continue;
-        }
+    const startedJob = await checkpointJob(redisClient, jobId, lease, { state: 'processing', startedAt: status.timestamp, attempts });
+    await saveJobHistory(startedJob);
 
-        const books = JSON.parse(booksData);
-        
-        if (!Array.isArray(books) || books.length === 0) {
-          console.log(`[${new Date().toISOString()}] Invalid or empty book array for user: ${userId}`);
-          await redisClient.del(key);
-          continue;
+    // Insert in chunks, checkpointing after every wave so a retry resumes where this one stopped
+    await insertBooks(books, userId, {
+      startIndex: job.checkpoint,
+      chunkSize: CHUNK_SIZE,
+      concurrency: CONCURRENCY,
+      onDuplicate: job.onDuplicate,
+      onProgress: async ({ nextIndex, successCount, failures, duplicates }) => {
+        status.successCount += successCount;
+        status.failureCount += failures.length;
+        status.duplicateCount += duplicates.length;
+        appendStoredRows(status.failures, failures);
+        appendStoredRows(status.duplicates, duplicates);
+
+        bulkBooks.inc({ result: 'inserted' }, successCount);
+        bulkBooks.inc({ result: 'failed' }, failures.length);
+        bulkBooks.inc({ result: 'duplicate' }, duplicates.length);
+
+        // Let GET /api/books show the new books as they arrive
+        if (successCount > 0) {
+          await invalidateBooksCache(redisClient, userId);
         }
 
-        console.log(`[${new Date().toISOString()}] Processing ${books.length} books for user: ${userId}`);
+        await checkpointJob(redisClient, jobId, lease, {
+          checkpoint: nextIndex,
+          processedCount: job.rejectedCount + nextIndex,
+          successCount: status.successCount,
+          failureCount: status.failureCount,
+          duplicateCount: status.duplicateCount,
+          failures: status.failures,
+          duplicates: status.duplicates
+        });
 
-        // Initialize status tracking
-        const status = {
-          userId: userId,
+        jobLog.debug('Bulk job progress', {
+          checkpoint: nextIndex,
           totalBooks: books.length,
-          successCount: 0,
-          failureCount: 0,
-          timestamp: new Date().toISOString(),
-          failures: []
-        };
-
-        // Process each book
-        for (let i = 0; i < books.length; i++) {
-          const book = books[i];
-          
-          try {
-            // Validate book data
-            if (!book.title || !book.author) {
-              throw new Error('Missing required fields: title and author');
-            }
-
-            // Create book document
-            const newBook = new Book({
-              title: book.title,
-              author: book.author,
-              isbn: book.isbn || null,
-              publishedDate: book.publishedDate || null,
-              genre: book.genre || null,
-              description: book.description || null,
-              userId: userId
-            });
-
-            // Save to database
-            await newBook.save();
-            status.successCount++;
-            
-            console.log(`[${new Date().toISOString()}] Successfully inserted book ${i + 1}/${books.length}: ${book.title}`);
-          } catch (error) {
-            status.failureCount++;
-            status.failures.push({
-              index: i,
-              title: book.title || 'Unknown',
-              error: error.message
-            });
-            
-            console.error(`[${new Date().toISOString()}] Failed to insert book ${i + 1}/${books.length}: ${error.message}`);
-          }
-        }
+          saved: successCount,
+          failed: failures.length,
+          duplicates: duplicates.length
+        });
+      }
+    });
+
+    // Store status in Redis, keyed by job so a retried attempt overwrites rather than duplicates it
+    const statusKey = `bulk_status:${userId}:${jobId}`;
+    await redisClient.setEx(statusKey, config.bulk.statusTtlSeconds, JSON.stringify(status));
+    await indexStatusKey(redisClient, userId, statusKey);
+
+    await updateJobState(jobId, {
+      state: 'completed',
+      checkpoint: books.length,
+      processedCount: job.totalBooks,
+      successCount: status.successCount,
+      failureCount: status.failureCount,
+      duplicateCount: status.duplicateCount,
+      failures: status.failures,
+      duplicates: status.duplicates,
+      statusKey,
+      quotaKey: null,
+      completedAt: new Date().toISOString()
+    });
+    await settleJobQuota(job, status.successCount);
+
+    await ackJob(redisClient, jobId, lease);
+    bulkJobsProcessed.inc({ result: 'completed' });
+    bulkJobDuration.observe({ result: 'completed' }, secondsSinceStart());
+
+    jobLog.info('Bulk job completed', {
+      successCount: status.successCount,
+      failureCount: status.failureCount,
+      duplicateCount: status.duplicateCount,
+      statusKey
+    });
 
-        // Store status in Redis
-        const statusKey = `bulk_status:${userId}:${Date.now()}`;
-        await redisClient.setEx(statusKey, 86400, JSON.stringify(status)); // Expire after 24 hours
-        
-        console.log(`[${new Date().toISOString()}] Bulk insertion complete for user ${userId}:`);
-        console.log(`  - Success: ${status.successCount}`);
-        console.log(`  - Failures: ${status.failureCount}`);
-        console.log(`  - Status saved to: ${statusKey}`);
-
-        // Remove the processed bulk books from Redis
-        await redisClient.del(key);
-        console.log(`[${new Date().toISOString()}] Removed processed key: ${key}`);
-
-      } catch (error) {
-        console.error(`[${new Date().toISOString()}] Error processing bulk books for user ${userId}:`, error);
-        
-        // Store error status
-        const errorStatus = {
-          userId: userId,
-          error: error.message,
-          timestamp: new Date().toISOString(),
-          status: 'failed'
-        };
-        
-        const errorKey = `bulk_error:${userId}:${Date.now()}`;
-        await redisClient.setEx(errorKey, 86400, JSON.stringify(errorStatus));
-        
-        console.log(`[${new Date().toISOString()}] Error status saved to: ${errorKey}`);
+    await notifyJobEvent('bulk_job.completed', { ...status, source: job.source, parentJobId: job.parentJobId });
+
+  } catch (error) {
+    // Another worker took the job over after our lease expired; leave the queue entry to it
+    if (error.code === 'LEASE_LOST') {
+      jobLog.warn('Stopped bulk job, lease lost', { err: error });
+      return;
+    }
+
+    jobLog.error('Error processing bulk job', { attempt: attempts, maxAttempts: MAX_ATTEMPTS, err: error });
+
+    // Leave the job queued so the next tick resumes from its checkpoint
+    if (attempts < MAX_ATTEMPTS) {
+      await updateJobState(jobId, { state: 'queued', attempts, error: error.message });
+      await retryJob(redisClient, jobId, lease);
+      bulkJobsProcessed.inc({ result: 'retried' });
+      return;
+    }
+    
+    // Store error status
+    const errorStatus = {
+      jobId: jobId,
+      correlationId: job.correlationId,
+      userId: userId,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+      status: 'failed'
+    };
+    
+    const errorKey = `bulk_error:${userId}:${jobId}`;
+    await redisClient.setEx(errorKey, config.errorLog.ttlSeconds, JSON.stringify(errorStatus));
+    const failedJob = await updateJobState(jobId, { state: 'failed', attempts, error: error.message, errorKey, quotaKey: null });
+    await settleJobQuota(job, failedJob ? failedJob.successCount : job.successCount);
+    await failJob(redisClient, jobId, lease);
+    bulkJobsProcessed.inc({ result: 'failed' });
+    bulkJobDuration.observe({ result: 'failed' }, secondsSinceStart());
+    
+    jobLog.error('Bulk job failed permanently', { errorKey });
+
+    await notifyJobEvent('bulk_job.failed', errorStatus);
+  }
+};
+
+/**
+ * Process queued bulk jobs from Redis
+ * Tracks insertion status per job
+ * @returns {Promise<boolean>} False if the tick itself failed (already logged); failed jobs don't count
+ */
+const processBulkBooks = async () => {
+  try {
+    const redisClient = getRedisClient();
+
+    log.info('Starting bulk book processing');
+
+    // Recover jobs whose worker stopped renewing their lease
+    const sweep = await withLock(redisClient, 'cron_lock:bulk_sweep', SWEEP_LOCK_TTL_MS, () => requeueStaleJobs(redisClient));
+
+    if (sweep.acquired && sweep.result.length > 0) {
+      log.warn('Requeued abandoned bulk jobs', { jobIds: sweep.result });
+    }
+
+    // Other workers (and overlapping ticks) claim different jobs, each under its own lease
+    const attempted = new Set();
+    let claimed;
+
+    while (!stopRequested && (claimed = await claimJob(redisClient))) {
+      // Every pending job has been tried once; failed ones wait for the next tick
+      if (attempted.has(claimed.jobId)) {
+        await releaseJob(redisClient, claimed.jobId, claimed.lease);
+        break;
       }
+
+      attempted.add(claimed.jobId);
+      await processJob(claimed.jobId, claimed.lease);
+    }
+
+    if (attempted.size === 0) {
+      log.info('No bulk jobs to process');
+      markCronSuccess('bulk');
+      return true;
     }
 
-    console.log(`[${new Date().toISOString()}] Bulk book processing completed`);
+    log.info('Bulk book processing completed', { jobs: attempted.size });
+    markCronSuccess('bulk');
+    return true;
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error in bulk processing cron job:`, error);
+    log.error('Error in bulk processing cron job', { err: error });
+    return false;
   }
 };
 
 /**
  * Initialize the cron job
- * Runs every 2 minutes
+ * Runs on BULK_CRON_SCHEDULE (every 2 minutes by default)
+ * @returns {Object} Scheduled task; stop() lets the job in progress finish but claims no more
  */
 const startBulkCron = () => {
-  // Schedule: every 2 minutes
-  cron.schedule('*/2 * * * *', async () => {
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`[${new Date().toISOString()}] Bulk cron job triggered`);
-    console.log('='.repeat(60));
-    
-    await processBulkBooks();
-    
-    console.log('='.repeat(60));
-    console.log(`[${new Date().toISOString()}] Bulk cron job completed`);
-    console.log(`${'='.repeat(60)}\n`);
-  });
+  stopRequested = false;
 
-  console.log('Bulk book cron job initialized - running every 2 minutes');
-};
+  const task = scheduleTask('bulk', config.cron.bulkSchedule, processBulkBooks);
+  log.info('Bulk book cron job initialized', { schedule: config.cron.bulkSchedule });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\nShutting down bulk cron job...');
-  await redisClient.quit();
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-  console.log('\nShutting down bulk cron job...');
-  await redisClient.quit();
-  process.exit(0);
-});
+  return {
+    ...task,
+    stop: async () => {
+      stopRequested = true;
+      await task.stop();
+    }
+  };
+};
 
 module.exports = { startBulkCron, processBulkBooks };
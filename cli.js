@@ -0,0 +1,256 @@
+const fs = require('fs/promises');
+const { parseArgs } = require('util');
+const { connectDB, disconnectDB, getRedisClient } = require('./db');
+const { closeTransport } = require('./lib/mailer');
+const { requeueFailedJob, formatJob } = require('./lib/bulkJobs');
+const { saveJobHistory, listJobHistory, getJobHistory, toStatusData } = require('./lib/jobHistory');
+const { processBulkBooks } = require('./bulkCron');
+const { processStatusReports, generatePDFReport } = require('./reportCron');
+const { processOutbox } = require('./outboxDispatcher');
+const { startWorker } = require('./worker');
+const Preference = require('./models/preferences');
+const User = require('./models/users');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  worker [bulk|reports|outbox ...]       Run schedulers until SIGINT/SIGTERM (default: WORKER_SCHEDULERS)
+  run-once bulk|reports|outbox           Run one scheduler tick and exit
+  jobs list [--user <id>] [--state <state>] [--page <n>] [--limit <n>]
+                                         List bulk jobs, newest first
+  jobs retry <jobId>                     Requeue a failed bulk job from its last checkpoint
+  report render <jobId> --out <file.pdf> [--locale <locale>] [--timezone <zone>]
+                                         Render a job's PDF report to a file
+  users promote <email>                  Make a user an admin (how a new deployment gets its first admin)`;
+
+// One scheduler tick per `run-once` target
+const RUN_ONCE = {
+  bulk: processBulkBooks,
+  reports: processStatusReports,
+  outbox: processOutbox
+};
+
+class UsageError extends Error {}
+
+const parsePositiveInteger = (value, name, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`--${name} must be a positive integer`);
+  }
+
+  return number;
+};
+
+// Each command checks its arguments and returns the work to run once the databases are connected
+const runOnce = ([target]) => {
+  const run = RUN_ONCE[target];
+  if (!run) {
+    throw new UsageError(`run-once needs one of: ${Object.keys(RUN_ONCE).join(', ')}`);
+  }
+
+  // Ticks log their own errors and report them as false, so scripts get a non-zero exit code
+  return async () => {
+    if (!(await run())) {
+      throw new Error(`run-once ${target} failed; see the logs above`);
+    }
+  };
+};
+
+const listJobs = (args) => {
+  const { values } = parseArgs({
+    args,
+    options: {
+      user: { type: 'string' },
+      state: { type: 'string' },
+      page: { type: 'string' },
+      limit: { type: 'string' }
+    }
+  });
+
+  const page = parsePositiveInteger(values.page, 'page', 1);
+  const limit = parsePositiveInteger(values.limit, 'limit', 20);
+
+  return async () => {
+    const { total, jobs } = await listJobHistory(getRedisClient(), values.user || null, { page, limit, state: values.state });
+
+    if (jobs.length === 0) {
+      console.log('No jobs found');
+      return;
+    }
+
+    console.table(jobs.map(job => ({
+      jobId: job.jobId,
+      userId: job.userId,
+      state: job.state,
+      progress: `${job.progress}%`,
+      success: job.successCount,
+      failed: job.failureCount,
+      duplicates: job.duplicateCount,
+      createdAt: new Date(job.createdAt).toISOString()
+    })));
+    console.log(`Page ${page} of ${Math.max(1, Math.ceil(total / limit))} (${total} jobs)`);
+  };
+};
+
+const retryJob = ([jobId]) => {
+  if (!jobId) {
+    throw new UsageError('jobs retry needs a job ID');
+  }
+
+  return async () => {
+    const { result, job } = await requeueFailedJob(getRedisClient(), jobId);
+
+    switch (result) {
+      case 'not_found':
+        throw new Error(`Bulk job ${jobId} not found (finished job records expire after BULK_JOB_TTL_SECONDS)`);
+      case 'not_failed':
+        throw new Error(`Bulk job ${jobId} is ${job.state}; only failed jobs can be retried`);
+      case 'payload_missing':
+        throw new Error(`The queued books for bulk job ${jobId} are no longer available; resubmit its failed rows instead`);
+    }
+
+    await saveJobHistory(job);
+    console.log(`Bulk job ${jobId} requeued, resuming at book ${job.checkpoint + 1} of ${job.totalBooks}`);
+    console.log(JSON.stringify(formatJob(job, false), null, 2));
+  };
+};
+
+const jobs = ([action, ...args]) => {
+  if (action === 'list') {
+    return listJobs(args);
+  }
+
+  if (action === 'retry') {
+    return retryJob(args);
+  }
+
+  throw new UsageError('jobs needs a subcommand: list or retry');
+};
+
+const renderReport = (args) => {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o' },
+      locale: { type: 'string' },
+      timezone: { type: 'string' }
+    }
+  });
+  const [jobId] = positionals;
+
+  if (!jobId || !values.out) {
+    throw new UsageError('report render needs a job ID and --out <file.pdf>');
+  }
+
+  return async () => {
+    const job = await getJobHistory(getRedisClient(), jobId);
+    if (!job) {
+      throw new Error(`Bulk job ${jobId} not found`);
+    }
+
+    const preferences = await Preference.findOne({ userId: job.userId }).select('locale timezone').lean() || {};
+    const pdfBuffer = await generatePDFReport(toStatusData(job), String(job.userId), {
+      locale: values.locale || preferences.locale,
+      timeZone: values.timezone || preferences.timezone
+    });
+
+    await fs.writeFile(values.out, pdfBuffer);
+    console.log(`Report for bulk job ${jobId} written to ${values.out} (${pdfBuffer.length} bytes)`);
+  };
+};
+
+const report = ([action, ...args]) => {
+  if (action === 'render') {
+    return renderReport(args);
+  }
+
+  throw new UsageError('report needs a subcommand: render');
+};
+
+// Admins can change roles through the admin API, but someone has to be the first one
+const promoteUser = ([email]) => {
+  if (!email) {
+    throw new UsageError('users promote needs an email');
+  }
+
+  return async () => {
+    const user = await User.findOneAndUpdate({ email: email.trim().toLowerCase() }, { role: 'admin' }, { new: true });
+    if (!user) {
+      throw new Error(`No user with email ${email}`);
+    }
+
+    console.log(`${user.username} <${user.email}> is now an admin`);
+  };
+};
+
+const users = ([action, ...args]) => {
+  if (action === 'promote') {
+    return promoteUser(args);
+  }
+
+  throw new UsageError('users needs a subcommand: promote');
+};
+
+// Commands that run once against the databases and exit
+const COMMANDS = {
+  'run-once': runOnce,
+  jobs,
+  report,
+  users
+};
+
+/**
+ * Run a CLI command
+ * @param {Array<string>} argv - Arguments after `node cli.js`
+ * @returns {Promise<number>} Exit code
+ */
+const main = async ([command, ...args]) => {
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    console.log(USAGE);
+    return command ? 0 : 1;
+  }
+
+  // The worker keeps running and exits from its own signal handlers
+  if (command === 'worker') {
+    await startWorker(args.length > 0 ? args : undefined);
+    return null;
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return 1;
+  }
+
+  const run = COMMANDS[command](args);
+  await connectDB();
+
+  try {
+    await run();
+    return 0;
+  } finally {
+    closeTransport();
+    await disconnectDB();
+  }
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => {
+      if (code !== null) {
+        process.exitCode = code;
+      }
+    })
+    .catch(error => {
+      console.error(error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')
+        ? `${error.message}\n\n${USAGE}`
+        : error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { main };
@@ -1,28 +1,25 @@
 const mongoose = require('mongoose');
 const redis = require('redis');
+const { config } = require('./config');
+const { logger } = require('./lib/logger');
 
 let redisClient;
 
 const connectDB = async () => {
   try {
     // Connect to MongoDB
-    await mongoose.connect(process.env.MONGO_URI);
-    console.log('MongoDB connected successfully');
+    await mongoose.connect(config.mongo.uri);
+    logger.info('MongoDB connected');
 
     // Connect to Redis
-    redisClient = redis.createClient({
-      socket: {
-        host: process.env.REDIS_HOST || 'localhost',
-        port: process.env.REDIS_PORT || 6379
-      }
-    });
+    redisClient = redis.createClient({ url: config.redis.url });
 
-    redisClient.on('error', (err) => console.error('Redis Client Error:', err));
-    redisClient.on('connect', () => console.log('Redis connected successfully'));
+    redisClient.on('error', (err) => logger.error('Redis client error', { err }));
+    redisClient.on('connect', () => logger.info('Redis connected'));
 
     await redisClient.connect();
   } catch (error) {
-    console.error('Database connection error:', error);
+    logger.error('Database connection error', { err: error });
     process.exit(1);
   }
 };
@@ -34,4 +31,16 @@ const getRedisClient = () => {
   return redisClient;
 };
 
-module.exports = { connectDB, getRedisClient };
+/**
+ * Close the MongoDB and Redis connections, letting pending commands finish
+ */
+const disconnectDB = async () => {
+  if (redisClient && redisClient.isOpen) {
+    await redisClient.quit();
+  }
+  redisClient = undefined;
+
+  await mongoose.disconnect();
+};
+
+module.exports = { connectDB, disconnectDB, getRedisClient };
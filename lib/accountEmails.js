@@ -0,0 +1,70 @@
+const { sendMail } = require('./mailer');
+const { TOKEN_TTL_SECONDS } = require('./accountTokens');
+const { config } = require('../config');
+
+// Emailed links open the frontend's page when FRONTEND_URL is set, else the API's GET handler for the same path
+const getLink = (path, token) => {
+  const base = config.server.frontendUrl || `${config.server.appUrl}/api/auth`;
+  return `${base}/${path}?token=${encodeURIComponent(token)}`;
+};
+
+const renderEmail = (title, intro, linkText, link, validFor) => `
+  <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+    <h2>${title}</h2>
+    <p>${intro}</p>
+    <p><a href="${link}" style="color: #1a73e8;">${linkText}</a></p>
+    <p>This link is valid for ${validFor} and can only be used once.</p>
+
+    <p>Best regards,<br>
+    Books API Team</p>
+
+    <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+    <p style="font-size: 12px; color: #666;">
+      This is an automated message. Please do not reply to this email.
+    </p>
+  </div>
+`;
+
+/**
+ * Send the link that confirms a user owns their email address
+ * @param {Object} user - User document
+ * @param {string} token - Email verification token
+ */
+const sendVerificationEmail = async (user, token) => {
+  const link = getLink('verify-email', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    html: renderEmail(
+      'Verify your email address',
+      `Hi ${user.username}, please confirm this address to start receiving bulk insertion reports.`,
+      'Verify email address',
+      link,
+      `${TOKEN_TTL_SECONDS.email_verification / 3600} hours`
+    )
+  });
+};
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User document
+ * @param {string} token - Password reset token
+ */
+const sendPasswordResetEmail = async (user, token) => {
+  const link = getLink('reset-password', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    html: renderEmail(
+      'Reset your password',
+      `Hi ${user.username}, we received a request to reset your password. If it wasn't you, you can ignore this email.`,
+      'Choose a new password',
+      link,
+      `${TOKEN_TTL_SECONDS.password_reset / 60} minutes`
+    )
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+
+// How long each kind of emailed link stays valid
+const TOKEN_TTL_SECONDS = {
+  password_reset: config.accountTokens.passwordResetTtlSeconds,
+  email_verification: config.accountTokens.emailVerificationTtlSeconds
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getTokenKey = (purpose, tokenHash) => `${purpose}:${tokenHash}`;
+
+// Latest token per user, so issuing a new link invalidates the previous one
+const getUserTokenKey = (purpose, userId) => `${purpose}_user:${userId}`;
+
+/**
+ * Create a single-use, expiring token for an emailed link
+ * Only the hash is stored, so a Redis dump does not leak usable links
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} purpose - 'password_reset' or 'email_verification'
+ * @param {string} userId - User ID
+ * @param {Object} data - Extra data to check when the token is used
+ * @returns {Promise<string>} Raw token to put in the link
+ */
+const createAccountToken = async (redisClient, purpose, userId, data = {}) => {
+  const ttlSeconds = TOKEN_TTL_SECONDS[purpose];
+  const token = crypto.randomBytes(32).toString('base64url');
+  const tokenHash = hashToken(token);
+
+  const previousHash = await redisClient.get(getUserTokenKey(purpose, userId));
+  if (previousHash) {
+    await redisClient.del(getTokenKey(purpose, previousHash));
+  }
+
+  await redisClient.setEx(getTokenKey(purpose, tokenHash), ttlSeconds, JSON.stringify({ userId, ...data }));
+  await redisClient.setEx(getUserTokenKey(purpose, userId), ttlSeconds, tokenHash);
+
+  return token;
+};
+
+/**
+ * Use up a token created by createAccountToken
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} purpose - 'password_reset' or 'email_verification'
+ * @param {string} token - Raw token from the link
+ * @returns {Promise<Object|null>} { userId, ...data }, or null if unknown, expired or already used
+ */
+const consumeAccountToken = async (redisClient, purpose, token) => {
+  const tokenHash = hashToken(String(token));
+
+  // GETDEL keeps the token single-use even if the link is submitted twice at once
+  const tokenData = await redisClient.getDel(getTokenKey(purpose, tokenHash));
+
+  if (!tokenData) {
+    return null;
+  }
+
+  const data = JSON.parse(tokenData);
+
+  if (await redisClient.get(getUserTokenKey(purpose, data.userId)) === tokenHash) {
+    await redisClient.del(getUserTokenKey(purpose, data.userId));
+  }
+
+  return data;
+};
+
+module.exports = { TOKEN_TTL_SECONDS, createAccountToken, consumeAccountToken };
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+
+// Cached pages live for BOOKS_CACHE_TTL_SECONDS (an hour by default) unless a write bumps the user's cache version first
+const BOOKS_CACHE_TTL_SECONDS = config.cache.booksTtlSeconds;
+
+const getVersionKey = (userId) => `user:${userId}:books:version`;
+
+/**
+ * Cache key for one GET /api/books query
+ * Keys embed the user's cache version, so bumping it orphans every cached page at once
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} userId - User ID
+ * @param {Object} query - Query parameters that shape the response
+ * @returns {Promise<string>} Cache key
+ */
+const getBooksCacheKey = async (redisClient, userId, query) => {
+  const version = (await redisClient.get(getVersionKey(userId))) || '0';
+  const normalized = Object.keys(query)
+    .sort()
+    .filter(key => query[key] !== undefined && query[key] !== '')
+    .map(key => `${key}=${query[key]}`)
+    .join('&');
+  const hash = crypto.createHash('sha1').update(normalized).digest('hex');
+
+  return `user:${userId}:books:v${version}:${hash}`;
+};
+
+/**
+ * Invalidate every cached books query for a user
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} userId - User ID
+ */
+const invalidateBooksCache = async (redisClient, userId) => {
+  await redisClient.incr(getVersionKey(userId));
+};
+
+module.exports = { BOOKS_CACHE_TTL_SECONDS, getBooksCacheKey, invalidateBooksCache };
@@ -0,0 +1,188 @@
+const readline = require('readline');
+const { Transform } = require('stream');
+const { parse } = require('csv-parse');
+const { config } = require('../config');
+const { importRowSchema } = require('./schemas');
+const { validate, summarizeErrors, toRowFailure } = require('./validation');
+const { unescapeCsvRecord } = require('./failedRows');
+
+// Content types accepted by the upload endpoint
+const CSV_TYPES = ['text/csv', 'application/csv'];
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/x-jsonlines'];
+
+// Spreadsheet header names mapped to book fields (compared lowercased, without spaces/underscores)
+const HEADER_ALIASES = {
+  title: 'title',
+  author: 'author',
+  isbn: 'isbn',
+  publishedyear: 'publishedYear',
+  year: 'publishedYear',
+  genre: 'genre',
+  originalrow: 'originalRow'
+};
+
+/**
+ * Detect the upload format from a Content-Type header
+ * @param {string} contentType - Request Content-Type
+ * @returns {string|null} 'csv', 'ndjson' or null if unsupported
+ */
+const detectFormat = (contentType = '') => {
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+
+  if (CSV_TYPES.includes(mimeType)) {
+    return 'csv';
+  }
+
+  if (NDJSON_TYPES.includes(mimeType)) {
+    return 'ndjson';
+  }
+
+  return null;
+};
+
+const normalizeHeader = (header) => {
+  const key = String(header).trim().toLowerCase().replace(/[\s_-]+/g, '');
+  return HEADER_ALIASES[key] || false;
+};
+
+/**
+ * Validate one uploaded row against the shared book schema and shape it as a book
+ * @param {Object} record - Raw row values
+ * @param {number} row - Line number in the uploaded file
+ * @returns {{ book: Object|null, error: string|null, fieldErrors: Array<Object>|null }} Book, or validation errors
+ */
+const normalizeRow = (record, row) => {
+  const { value, errors } = validate(importRowSchema, record);
+
+  if (errors) {
+    return { book: null, error: summarizeErrors(errors), fieldErrors: errors };
+  }
+
+  return { book: { row, ...value }, error: null, fieldErrors: null };
+};
+
+class UploadTooLargeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UploadTooLargeError';
+  }
+}
+
+// Pipes a source through until maxBytes, then detaches it and ends early with `exceeded` set
+const limitBytes = (source, maxBytes) => {
+  let bytes = 0;
+
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+
+      if (bytes > maxBytes) {
+        limiter.exceeded = true;
+        source.unpipe(limiter);
+        callback();
+        limiter.end();
+        return;
+      }
+
+      callback(null, chunk);
+    }
+  });
+
+  limiter.exceeded = false;
+  return source.pipe(limiter);
+};
+
+/**
+ * Parse a CSV or NDJSON upload row by row
+ * Invalid rows are returned as failures keyed by their line number
+ * Parsing stops as soon as the upload goes over maxBytes or maxRows, so an oversized file is never held in memory
+ * @param {Stream} stream - Readable upload stream
+ * @param {string} format - 'csv' or 'ndjson'
+ * @param {Object} limits - { maxRows, maxBytes }, BULK_MAX_ROWS and the bulk body size by default
+ * @returns {Promise<{ books: Array<Object>, failures: Array<Object> }>} Valid books and rejected rows
+ * @throws {UploadTooLargeError} When a limit is exceeded
+ */
+const parseUpload = async (stream, format, { maxRows = config.bulk.maxRows, maxBytes = config.bulk.maxBodyBytes } = {}) => {
+  const books = [];
+  const failures = [];
+  const limiter = limitBytes(stream, maxBytes);
+  let rowCount = 0;
+
+  const countRow = () => {
+    rowCount++;
+
+    if (rowCount > maxRows) {
+      throw new UploadTooLargeError(`Upload has more than ${maxRows} rows`);
+    }
+  };
+
+  const addRecord = (record, row) => {
+    const { book, fieldErrors } = normalizeRow(record, row);
+
+    if (fieldErrors) {
+      failures.push(toRowFailure(record, fieldErrors, { row }));
+    } else {
+      books.push(book);
+    }
+  };
+
+  const tooManyBytes = () => new UploadTooLargeError(`Upload is larger than ${maxBytes} bytes`);
+
+  try {
+    if (format === 'csv') {
+      const parser = limiter.pipe(parse({
+        columns: (headers) => headers.map(normalizeHeader),
+        bom: true,
+        info: true,
+        skip_empty_lines: true,
+        relax_column_count: true
+      }));
+
+      for await (const { record, info } of parser) {
+        countRow();
+        addRecord(unescapeCsvRecord(record), info.lines);
+      }
+    } else {
+      const lines = readline.createInterface({ input: limiter, crlfDelay: Infinity });
+      let lineNumber = 0;
+
+      for await (const line of lines) {
+        lineNumber++;
+
+        if (!line.trim()) {
+          continue;
+        }
+
+        countRow();
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          failures.push({ row: lineNumber, title: 'Unknown', error: `Invalid JSON: ${error.message}` });
+          continue;
+        }
+
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          failures.push({ row: lineNumber, title: 'Unknown', error: 'Each line must be a JSON object' });
+          continue;
+        }
+
+        addRecord(record, lineNumber);
+      }
+    }
+  } catch (error) {
+    // A file cut off at the byte limit usually ends mid-row; report the limit, not the parse error
+    throw limiter.exceeded ? tooManyBytes() : error;
+  } finally {
+    stream.unpipe(limiter);
+  }
+
+  if (limiter.exceeded) {
+    throw tooManyBytes();
+  }
+
+  return { books, failures };
+};
+
+module.exports = { UploadTooLargeError, detectFormat, normalizeRow, parseUpload };
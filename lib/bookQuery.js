@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const SORT_FIELDS = ['createdAt', 'title', 'author', 'publishedYear'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match, so "tolkien" finds "Tolkien"
+const exactMatch = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+/**
+ * Encode the last book of a page as an opaque cursor
+ * @param {Object} book - Last book on the page
+ * @param {string} sortField - Field the page is sorted by
+ * @returns {string} Base64url cursor
+ */
+const encodeCursor = (book, sortField) => {
+  const value = book[sortField] === undefined ? null : book[sortField];
+  return Buffer.from(JSON.stringify({ v: value, id: String(book._id) })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    const value = sortField === 'createdAt' && v !== null ? new Date(v) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Filter for the books after a cursor, keeping (sortField, _id) order stable
+ * Books missing the sort field sort first ascending and last descending, as in MongoDB
+ * @param {string} sortField - Field the pages are sorted by
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @param {Object} cursor - Decoded cursor
+ * @returns {Object} MongoDB filter
+ */
+const buildCursorFilter = (sortField, direction, { value, id }) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [sortField]: null, _id: { $gt: id } }, { [sortField]: { $ne: null } }] }
+      : { [sortField]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [
+    { [sortField]: { [after]: value } },
+    { [sortField]: value, _id: { [after]: id } }
+  ];
+
+  if (direction === -1) {
+    conditions.push({ [sortField]: null });
+  }
+
+  return { $or: conditions };
+};
+
+const parseYear = (value) => (/^\d{1,4}$/.test(String(value)) ? Number(value) : NaN);
+
+/**
+ * Turn GET /api/books query parameters into a MongoDB query
+ * @param {Object} query - Express req.query
+ * @param {string} userId - Owner's user ID
+ * @returns {Object} { error } or { filter, pageFilter, sort, sortField, limit }
+ */
+const parseBookQuery = (query, userId) => {
+  const { q, genre, author, yearFrom, yearTo, cursor } = query;
+  const sortField = query.sort || 'createdAt';
+  const order = query.order || (sortField === 'createdAt' ? 'desc' : 'asc');
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+
+  if (!SORT_FIELDS.includes(sortField)) {
+    return { error: `Invalid sort field. Use one of: ${SORT_FIELDS.join(', ')}` };
+  }
+
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'Invalid order. Use asc or desc' };
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `Invalid limit. Use a whole number from 1 to ${MAX_LIMIT}` };
+  }
+
+  const filter = { userId };
+
+  if (q) {
+    filter.$text = { $search: String(q) };
+  }
+
+  if (genre) {
+    filter.genre = exactMatch(String(genre));
+  }
+
+  if (author) {
+    filter.author = exactMatch(String(author));
+  }
+
+  if (yearFrom !== undefined || yearTo !== undefined) {
+    filter.publishedYear = {};
+
+    if (yearFrom !== undefined) {
+      filter.publishedYear.$gte = parseYear(yearFrom);
+    }
+
+    if (yearTo !== undefined) {
+      filter.publishedYear.$lte = parseYear(yearTo);
+    }
+
+    if (Object.values(filter.publishedYear).some(Number.isNaN)) {
+      return { error: 'Invalid year range. yearFrom and yearTo must be years' };
+    }
+  }
+
+  const direction = order === 'asc' ? 1 : -1;
+  let pageFilter = filter;
+
+  if (cursor) {
+    const decoded = decodeCursor(String(cursor), sortField);
+
+    if (!decoded) {
+      return { error: 'Invalid cursor' };
+    }
+
+    // Kept beside the base filter rather than nesting it, since $text must stay top-level
+    pageFilter = { ...filter, $and: [buildCursorFilter(sortField, direction, decoded)] };
+  }
+
+  return {
+    filter,
+    pageFilter,
+    sort: { [sortField]: direction, _id: direction },
+    sortField,
+    limit
+  };
+};
+
+module.exports = { SORT_FIELDS, MAX_LIMIT, parseBookQuery, encodeCursor };
@@ -0,0 +1,227 @@
+const Book = require('../models/books');
+const { toFailedRowInput } = require('./failedRows');
+const { DUPLICATE_MODES, DEFAULT_DUPLICATE_MODE, bookSchema } = require('./schemas');
+const { validate, summarizeErrors } = require('./validation');
+
+/**
+ * Build a Book document from a queued bulk entry
+ * @param {Object} book - Queued book data
+ * @param {string} userId - Owner's user ID
+ * @returns {Object} Unsaved Book document
+ */
+const toBookDocument = (book, userId) => new Book({
+  title: book.title,
+  author: book.author,
+  isbn: book.isbn || undefined,
+  publishedYear: book.publishedYear,
+  publishedDate: book.publishedDate || undefined,
+  genre: book.genre || undefined,
+  description: book.description || undefined,
+  userId: userId
+});
+
+const toFailure = (book, index, message, fieldErrors) => ({
+  index,
+  row: book.row,
+  title: book.title || 'Unknown',
+  error: message,
+  ...(fieldErrors ? { fieldErrors } : {}),
+  input: toFailedRowInput(book)
+});
+
+const toDuplicate = (book, index, isbn, action) => ({
+  index,
+  row: book.row,
+  title: book.title || 'Unknown',
+  isbn,
+  action
+});
+
+// Book fields a row may change on an existing book in 'update' mode
+const UPDATE_FIELDS = ['title', 'author', 'publishedYear', 'genre'];
+
+/**
+ * Fields an 'update' mode row sets on the book that already has its ISBN
+ * Only fields the row fills in are included, so blank cells keep the stored values
+ * @param {Object} doc - Validated Book document built from the row
+ * @returns {Object} Fields for $set
+ */
+const getUpdateFields = (doc) => {
+  const fields = {};
+
+  for (const field of UPDATE_FIELDS) {
+    const value = doc.get(field);
+
+    if (value !== undefined && value !== null && value !== '') {
+      fields[field] = value;
+    }
+  }
+
+  return fields;
+};
+
+// The driver's WriteError keeps its details on `err` once Mongoose copies it
+const getWriteErrorDetails = (writeError) => {
+  const details = writeError.err || writeError;
+  return { code: details.code, message: details.errmsg || details.message || 'Write failed' };
+};
+
+/**
+ * Insert a chunk of books with a single unordered insertMany
+ * Per-document errors are mapped back to each book's index in the full batch
+ * Books whose ISBN already exists for the user are handled according to onDuplicate
+ * @param {Array<Object>} books - Chunk of queued books
+ * @param {number} offset - Batch index of the chunk's first book
+ * @param {string} userId - Owner's user ID
+ * @param {string} onDuplicate - 'skip', 'update' or 'fail'
+ * @returns {Promise<Object>} { successCount, failures, duplicates, inserted }
+ */
+const insertChunk = async (books, offset, userId, onDuplicate = DEFAULT_DUPLICATE_MODE) => {
+  const failures = [];
+  const duplicates = [];
+  const candidates = [];
+
+  // Validate up front so insertMany only sees valid documents and its indexes stay aligned
+  // Queued books were already checked by the API; this catches jobs queued before the shared schema
+  books.forEach((book, i) => {
+    const { value, errors } = validate(bookSchema, book);
+
+    if (errors) {
+      failures.push(toFailure(book, offset + i, summarizeErrors(errors), errors));
+      return;
+    }
+
+    const doc = toBookDocument({ ...book, ...value }, userId);
+    const validationError = doc.validateSync();
+
+    if (validationError) {
+      failures.push(toFailure(book, offset + i, validationError.message));
+      return;
+    }
+
+    candidates.push({ doc, i });
+  });
+
+  // Split off books whose ISBN is already stored, or repeated earlier in this chunk
+  const isbns = candidates.map(({ doc }) => doc.isbn).filter(Boolean);
+  const existing = isbns.length > 0
+    ? await Book.find({ userId, isbn: { $in: isbns } }, { isbn: 1 }).lean()
+    : [];
+  const knownIsbns = new Set(existing.map(book => book.isbn));
+
+  const toInsert = [];
+  const toUpdate = [];
+
+  const handleDuplicate = ({ doc, i }) => {
+    if (onDuplicate === 'update') {
+      toUpdate.push({ doc, i });
+      return;
+    }
+
+    duplicates.push(toDuplicate(books[i], offset + i, doc.isbn, onDuplicate === 'skip' ? 'skipped' : 'failed'));
+
+    if (onDuplicate === 'fail') {
+      failures.push(toFailure(books[i], offset + i, `Duplicate ISBN: ${doc.isbn}`));
+    }
+  };
+
+  for (const candidate of candidates) {
+    const { isbn } = candidate.doc;
+
+    if (isbn && knownIsbns.has(isbn)) {
+      handleDuplicate(candidate);
+      continue;
+    }
+
+    if (isbn) {
+      knownIsbns.add(isbn);
+    }
+    toInsert.push(candidate);
+  }
+
+  let inserted = toInsert.map(({ doc }) => doc);
+
+  if (toInsert.length > 0) {
+    try {
+      await Book.insertMany(inserted, { ordered: false });
+    } catch (error) {
+      // Anything other than per-document write errors (e.g. a lost connection) fails the whole chunk
+      if (!error.writeErrors) {
+        throw error;
+      }
+
+      const erroredIndexes = new Set();
+
+      for (const writeError of error.writeErrors) {
+        const candidate = toInsert[writeError.index];
+        const { code, message } = getWriteErrorDetails(writeError);
+        erroredIndexes.add(writeError.index);
+
+        // Another chunk or request stored the same ISBN in the meantime
+        if (code === 11000) {
+          handleDuplicate(candidate);
+        } else {
+          failures.push(toFailure(books[candidate.i], offset + candidate.i, message));
+        }
+      }
+
+      inserted = inserted.filter((doc, index) => !erroredIndexes.has(index));
+    }
+  }
+
+  if (toUpdate.length > 0) {
+    await Book.bulkWrite(toUpdate.map(({ doc }) => ({
+      updateOne: {
+        filter: { userId, isbn: doc.isbn },
+        update: { $set: getUpdateFields(doc) }
+      }
+    })), { ordered: false });
+
+    for (const { doc, i } of toUpdate) {
+      duplicates.push(toDuplicate(books[i], offset + i, doc.isbn, 'updated'));
+    }
+  }
+
+  return {
+    successCount: inserted.length + toUpdate.length,
+    failures: failures.sort((a, b) => a.index - b.index),
+    duplicates: duplicates.sort((a, b) => a.index - b.index),
+    inserted
+  };
+};
+
+/**
+ * Insert books in chunks, running up to `concurrency` chunks at a time
+ * After each wave of chunks, onProgress receives that wave's results and the next unprocessed index
+ * @param {Array<Object>} books - Queued books
+ * @param {string} userId - Owner's user ID
+ * @param {Object} options - Batch options
+ * @param {number} options.startIndex - Index to resume from
+ * @param {number} options.chunkSize - Books per insertMany call
+ * @param {number} options.concurrency - Chunks written in parallel
+ * @param {string} options.onDuplicate - 'skip', 'update' or 'fail'
+ * @param {Function} options.onProgress - async ({ nextIndex, successCount, failures, duplicates, inserted }) => void
+ */
+const insertBooks = async (books, userId, { startIndex = 0, chunkSize, concurrency, onDuplicate, onProgress }) => {
+  const waveSize = chunkSize * concurrency;
+
+  for (let waveStart = startIndex; waveStart < books.length; waveStart += waveSize) {
+    const chunks = [];
+
+    for (let offset = waveStart; offset < Math.min(waveStart + waveSize, books.length); offset += chunkSize) {
+      chunks.push(insertChunk(books.slice(offset, offset + chunkSize), offset, userId, onDuplicate));
+    }
+
+    const results = await Promise.all(chunks);
+
+    await onProgress({
+      nextIndex: Math.min(waveStart + waveSize, books.length),
+      successCount: results.reduce((sum, result) => sum + result.successCount, 0),
+      failures: results.flatMap(result => result.failures),
+      duplicates: results.flatMap(result => result.duplicates),
+      inserted: results.flatMap(result => result.inserted)
+    });
+  }
+};
+
+module.exports = { DUPLICATE_MODES, DEFAULT_DUPLICATE_MODE, toBookDocument, getUpdateFields, insertChunk, insertBooks };
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const { acquireLock, renewLock, releaseLock } = require('./lock');
+const { DEFAULT_DUPLICATE_MODE } = require('./bookWriter');
+const { config } = require('../config');
+
+// Finished job records are kept as long as the bulk status they describe
+const JOB_TTL_SECONDS = config.bulk.jobTtlSeconds;
+
+// A claimed job whose lease is not renewed within this time is considered abandoned
+const LEASE_TTL_MS = 60 * 1000;
+
+// Processing attempts before a job is marked as failed
+const MAX_ATTEMPTS = 3;
+
+// Failed and duplicate rows kept on a job record, which keeps it (and its BulkJob document) bounded
+const MAX_STORED_ROWS = config.bulk.maxStoredRows;
+
+const PENDING_QUEUE_KEY = 'bulk_queue:pending';
+const PROCESSING_QUEUE_KEY = 'bulk_queue:processing';
+
+const getJobKey = (jobId) => `bulk_job:${jobId}`;
+const getPayloadKey = (jobId) => `bulk_job:${jobId}:books`;
+const getLeaseKey = (jobId) => `bulk_lease:${jobId}`;
+
+const isFinished = (job) => job.state === 'completed' || job.state === 'failed';
+
+/**
+ * Append rows to a job's failures or duplicates, keeping at most MAX_STORED_ROWS
+ * failureCount and duplicateCount still count every row
+ * @param {Array<Object>} stored - Rows already on the job, appended to in place
+ * @param {Array<Object>} rows - New rows
+ * @returns {number} Rows appended
+ */
+const appendStoredRows = (stored, rows) => {
+  const appended = rows.slice(0, Math.max(MAX_STORED_ROWS - stored.length, 0));
+  stored.push(...appended);
+  return appended.length;
+};
+
+/**
+ * Persist a job record
+ * Active jobs never expire; finished ones are kept for JOB_TTL_SECONDS
+ * @param {Object} redisClient - Connected Redis client
+ * @param {Object} job - Job record
+ */
+const saveJob = async (redisClient, job) => {
+  if (isFinished(job)) {
+    await redisClient.setEx(getJobKey(job.jobId), JOB_TTL_SECONDS, JSON.stringify(job));
+  } else {
+    await redisClient.set(getJobKey(job.jobId), JSON.stringify(job));
+  }
+};
+
+/**
+ * Queue a bulk import for the bulk cron job
+ * Each call creates a new job, so several imports can be pending per user
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} userId - User ID
+ * @param {Array<Object>} books - Books to insert
+ * @param {Object} options - Job options
+ * @param {string} options.source - Upload format ('json', 'csv' or 'ndjson')
+ * @param {Array<Object>} options.failures - Rows rejected before queueing
+ * @param {string} options.onDuplicate - 'skip', 'update' or 'fail' for ISBNs the user already has
+ * @param {string} options.parentJobId - Job whose failed rows are being resubmitted
+ * @param {string} options.correlationId - ID that follows the job into its logs, status and report email;
+ *   defaults to a new UUID (routes pass the request ID)
+ * @param {Object} options.quota - Daily rows reservation from reserveBulkRows, settled when the job finishes
+ * @param {Function} options.beforeQueue - async (job) => void, run once the job is stored but before workers can see it;
+ *   if it throws, the job is removed and the error rethrown
+ * @returns {Promise<Object>} Job record
+ */
+const createJob = async (redisClient, userId, books, options = {}) => {
+  const jobId = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const rejected = options.failures || [];
+
+  const job = {
+    jobId,
+    userId,
+    source: options.source || 'json',
+    onDuplicate: options.onDuplicate || DEFAULT_DUPLICATE_MODE,
+    parentJobId: options.parentJobId || null,
+    correlationId: options.correlationId || crypto.randomUUID(),
+    quotaKey: options.quota ? options.quota.key : null,
+    quotaRows: options.quota ? options.quota.requested : 0,
+    state: 'queued',
+    totalBooks: books.length + rejected.length,
+    rejectedCount: rejected.length,
+    processedCount: rejected.length,
+    successCount: 0,
+    failureCount: rejected.length,
+    duplicateCount: 0,
+    failures: rejected.slice(0, MAX_STORED_ROWS),
+    duplicates: [],
+    checkpoint: 0,
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  // Payload and record are written before the job becomes visible to workers
+  await redisClient.set(getPayloadKey(jobId), JSON.stringify(books));
+  await saveJob(redisClient, job);
+
+  if (options.beforeQueue) {
+    try {
+      await options.beforeQueue(job);
+    } catch (error) {
+      await redisClient.del([getPayloadKey(jobId), getJobKey(jobId)]);
+      throw error;
+    }
+  }
+
+  await redisClient.lPush(PENDING_QUEUE_KEY, jobId);
+
+  return job;
+};
+
+/**
+ * Get a single job record
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job record
+ */
+const getJob = async (redisClient, jobId) => {
+  const jobData = await redisClient.get(getJobKey(jobId));
+  return jobData ? JSON.parse(jobData) : null;
+};
+
+/**
+ * Get the books queued for a job
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Array<Object>|null>} Books payload
+ */
+const getJobBooks = async (redisClient, jobId) => {
+  const booksData = await redisClient.get(getPayloadKey(jobId));
+  return booksData ? JSON.parse(booksData) : null;
+};
+
+/**
+ * Merge changes into a job record
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} jobId - Job ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object|null>} Updated job record
+ */
+const updateJob = async (redisClient, jobId, changes) => {
+  const job = await getJob(redisClient, jobId);
+
+  if (!job) {
+    return null;
+  }
+
+  const updatedJob = { ...job, ...changes, updatedAt: new Date().toISOString() };
+  await saveJob(redisClient, updatedJob);
+
+  return updatedJob;
+};
+
+/**
+ * Claim the oldest pending job and take its lease
+ * The job ID moves atomically into the processing list until it is acknowledged
+ * @param {Object} redisClient - Connected Redis client
+ * @returns {Promise<{ jobId: string, lease: Object }|null>} Claimed job, or null if none is pending
+ */
+const claimJob = async (redisClient) => {
+  while (true) {
+    const jobId = await redisClient.lMove(PENDING_QUEUE_KEY, PROCESSING_QUEUE_KEY, 'RIGHT', 'LEFT');
+
+    if (!jobId) {
+      return null;
+    }
+
+    const lease = await acquireLock(redisClient, getLeaseKey(jobId), LEASE_TTL_MS);
+
+    if (lease) {
+      return { jobId, lease };
+    }
+
+    // Another worker still holds this job (it was requeued while alive); drop our copy of the entry
+    await redisClient.lRem(PROCESSING_QUEUE_KEY, 1, jobId);
+  }
+};
+
+/**
+ * Save a job's progress so a later attempt can resume from it
+ * Fails if the lease was lost, since another worker may now own the job
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} jobId - Job ID
+ * @param {Object} lease - Lease from claimJob
+ * @param {Object} changes - Progress fields (checkpoint, counts, failures)
+ * @returns {Promise<Object|null>} Updated job record
+ */
+const checkpointJob = async (redisClient, jobId, lease, changes) => {
+  if (lease.lost || !(await renewLock(redisClient, lease))) {
+    const error = new Error(`Lease lost for bulk job ${jobId}`);
+    error.code = 'LEASE_LOST';
+    throw error;
+  }
+
+  return updateJob(redisClient, jobId, changes);
+};
+
+/**
+ * Acknowledge a finished job, removing it from the queue and dropping its payload
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} jobId - Job ID
+ * @param {Object} lease - Lease from claimJob
+ */
+const ackJob = async (redisClient, jobId, lease) => {
+  await redisClient.lRem(PROCESSING_QUEUE_KEY, 0, jobId);
+  await redisClient.del(getPayloadKey(jobId));
+  await releaseLock(redisClient, lease);
+};
+
+/**
+ * Hand a claimed job back to the pending queue so it is picked up next
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} jobId - Job ID
+ * @param {Object} lease - Lease from claimJob
+ */
+const releaseJob = async (redisClient, jobId, lease) => {
+  if (await redisClient.lRem(PROCESSING_QUEUE_KEY, 1, jobId)) {
+    await redisClient.rPush(PENDING_QUEUE_KEY, jobId);
+  }
+  await releaseLock(redisClient, lease);
+};
+
+/**
+ * Send a claimed job to the back of the pending queue after a failed attempt
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} jobId - Job ID
+ * @param {Object} lease - Lease from claimJob
+ */
+const retryJob = async (redisClient, jobId, lease) => {
+  if (await redisClient.lRem(PROCESSING_QUEUE_KEY, 1, jobId)) {
+    await redisClient.lPush(PENDING_QUEUE_KEY, jobId);
+  }
+  await releaseLock(redisClient, lease);
+};
+
+/**
+ * Take a job that ran out of attempts off the queue
+ * Its payload is kept as long as the job record, so an operator can still retry it
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} jobId - Job ID
+ * @param {Object} lease - Lease from claimJob
+ */
+const failJob = async (redisClient, jobId, lease) => {
+  await redisClient.lRem(PROCESSING_QUEUE_KEY, 0, jobId);
+  await redisClient.expire(getPayloadKey(jobId), JOB_TTL_SECONDS);
+  await releaseLock(redisClient, lease);
+};
+
+/**
+ * Put a failed job back on the pending queue with a fresh set of attempts
+ * It resumes from its last checkpoint, so books already written are not inserted twice
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} { result: 'requeued' | 'not_found' | 'not_failed' | 'payload_missing', job }
+ */
+const requeueFailedJob = async (redisClient, jobId) => {
+  const job = await getJob(redisClient, jobId);
+
+  if (!job) {
+    return { result: 'not_found', job: null };
+  }
+
+  if (job.state !== 'failed') {
+    return { result: 'not_failed', job };
+  }
+
+  // The payload has expired, or the job failed because it never had one
+  if (!(await redisClient.exists(getPayloadKey(jobId)))) {
+    return { result: 'payload_missing', job };
+  }
+
+  await redisClient.persist(getPayloadKey(jobId));
+
+  const requeuedJob = { ...job, state: 'queued', attempts: 0, error: null, errorKey: null, updatedAt: new Date().toISOString() };
+
+  await saveJob(redisClient, requeuedJob);
+  await redisClient.lPush(PENDING_QUEUE_KEY, jobId);
+
+  return { result: 'requeued', job: requeuedJob };
+};
+
+/**
+ * Return abandoned jobs (e.g. from a crashed worker) to the pending queue
+ * A job is abandoned once its lease has expired without being renewed
+ * @param {Object} redisClient - Connected Redis client
+ * @returns {Promise<Array<string>>} Requeued job IDs
+ */
+const requeueStaleJobs = async (redisClient) => {
+  const jobIds = await redisClient.lRange(PROCESSING_QUEUE_KEY, 0, -1);
+  const requeued = [];
+
+  for (const jobId of jobIds) {
+    if (await redisClient.exists(getLeaseKey(jobId))) {
+      continue;
+    }
+
+    // LREM is atomic, so only one sweeping worker gets to requeue the job
+    if (await redisClient.lRem(PROCESSING_QUEUE_KEY, 1, jobId)) {
+      await redisClient.rPush(PENDING_QUEUE_KEY, jobId);
+      requeued.push(jobId);
+    }
+  }
+
+  return requeued;
+};
+
+/**
+ * Whether a job has more failed or duplicate rows than it stores
+ * @param {Object} job - Job record or BulkJob document
+ * @returns {{ failuresTruncated: boolean, duplicatesTruncated: boolean }} Truncation flags
+ */
+const getTruncation = (job) => ({
+  failuresTruncated: job.failureCount > (job.failures || []).length,
+  duplicatesTruncated: job.duplicateCount > (job.duplicates || []).length
+});
+
+/**
+ * Shape a job record for API responses
+ * @param {Object} job - Job record
+ * @param {boolean} includeFailures - Whether to include the failures and duplicates arrays
+ * @returns {Object} Job with progress percentage
+ */
+const formatJob = (job, includeFailures = true) => {
+  const { failures, duplicates, checkpoint, quotaKey, quotaRows, ...summary } = job;
+  const progress = job.totalBooks > 0
+    ? Number(((job.processedCount / job.totalBooks) * 100).toFixed(2))
+    : 0;
+
+  return includeFailures
+    ? { ...summary, progress, failures, duplicates, ...getTruncation(job) }
+    : { ...summary, progress };
+};
+
+module.exports = {
+  JOB_TTL_SECONDS,
+  MAX_ATTEMPTS,
+  MAX_STORED_ROWS,
+  appendStoredRows,
+  getTruncation,
+  createJob,
+  getJob,
+  getJobBooks,
+  updateJob,
+  claimJob,
+  checkpointJob,
+  ackJob,
+  releaseJob,
+  retryJob,
+  failJob,
+  requeueFailedJob,
+  requeueStaleJobs,
+  formatJob
+};
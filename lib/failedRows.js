@@ -0,0 +1,92 @@
+// Book fields a failed row keeps, in the column order of the upload format
+const INPUT_FIELDS = ['title', 'author', 'isbn', 'publishedYear', 'genre'];
+
+// `originalRow` ties a corrected row back to the failure it fixes
+const FAILED_ROW_COLUMNS = ['originalRow', ...INPUT_FIELDS, 'error'];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// A value escapeCsvValue guarded against formula injection
+const GUARDED_FORMULA = /^'[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  // A leading ' makes spreadsheets show such text instead of running it; numbers are left alone
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Undo escapeCsvValue's formula guard on the cells of an uploaded CSV row,
+ * so a resubmitted failed-rows file stores `-Foo` rather than `'-Foo`
+ * @param {Object} record - Parsed CSV row
+ * @returns {Object} Row with the guard removed
+ */
+const unescapeCsvRecord = (record) => {
+  const unescaped = {};
+
+  for (const [field, value] of Object.entries(record)) {
+    unescaped[field] = typeof value === 'string' && GUARDED_FORMULA.test(value) ? value.slice(1) : value;
+  }
+
+  return unescaped;
+};
+
+/**
+ * Keep the submitted book fields of a failed row, so it can be exported and fixed
+ * @param {Object} record - Book or raw uploaded row
+ * @returns {Object|null} Input fields, or null if the row couldn't be read at all
+ */
+const toFailedRowInput = (record) => {
+  if (!record || typeof record !== 'object') {
+    return null;
+  }
+
+  const input = {};
+
+  for (const field of INPUT_FIELDS) {
+    if (record[field] !== undefined && record[field] !== null && record[field] !== '') {
+      input[field] = record[field];
+    }
+  }
+
+  return input;
+};
+
+/**
+ * Identify a failure within its job: the upload line number or 1-based JSON array position,
+ * or the array index for JSON jobs queued before rows were numbered
+ * @param {Object} failure - Failure entry
+ * @returns {number} Original row reference
+ */
+const getOriginalRow = (failure) => (failure.row !== undefined && failure.row !== null ? failure.row : failure.index);
+
+/**
+ * Render a job's failed input rows as a CSV that can be corrected and resubmitted
+ * @param {Object} statusData - Status data with failures
+ * @returns {Buffer} CSV file contents
+ */
+const generateFailedRowsCSV = (statusData) => {
+  const lines = [
+    FAILED_ROW_COLUMNS.join(','),
+    ...(statusData.failures || []).map(failure => {
+      const row = { ...(failure.input || { title: failure.title }), originalRow: getOriginalRow(failure), error: failure.error };
+      return FAILED_ROW_COLUMNS.map(column => escapeCsvValue(row[column])).join(',');
+    })
+  ];
+
+  return Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+module.exports = {
+  FAILED_ROW_COLUMNS,
+  escapeCsvValue,
+  unescapeCsvRecord,
+  toFailedRowInput,
+  getOriginalRow,
+  generateFailedRowsCSV
+};
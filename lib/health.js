@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { config } = require('../config');
+const { getRedisClient } = require('../db');
+const { verifyTransport } = require('./mailer');
+const { getLastCronSuccess } = require('./metrics');
+
+// An SMTP check opens a connection to the mail server, so its result is reused for a while
+const SMTP_CHECK_CACHE_MS = 60 * 1000;
+
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Check that MongoDB is connected and answering
+ */
+const checkMongo = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error('Not connected');
+  }
+
+  await mongoose.connection.db.admin().ping();
+};
+
+/**
+ * Check that Redis is connected and answering
+ */
+const checkRedis = async () => {
+  const redisClient = getRedisClient();
+
+  if (!redisClient.isReady) {
+    throw new Error('Not connected');
+  }
+
+  await redisClient.ping();
+};
+
+let smtpCheck = null;
+
+/**
+ * Check that the SMTP server accepts our connection and credentials (same check as testEmailConfig)
+ * Always passes in preview mode
+ */
+const checkSmtp = () => {
+  if (!smtpCheck || Date.now() - smtpCheck.checkedAt > SMTP_CHECK_CACHE_MS) {
+    smtpCheck = { checkedAt: Date.now(), result: verifyTransport() };
+  }
+
+  return smtpCheck.result;
+};
+
+/**
+ * Build a check that fails once a cron task has gone HEALTH_MAX_TICK_AGE_SECONDS without completing a tick
+ * @param {string} task - Task name, as passed to markCronSuccess
+ * @param {number} startedAt - When the task was scheduled (epoch ms); the age counts from here until the first tick
+ * @returns {Function} Check returning { lastSuccessAt, ageSeconds }
+ */
+const checkCronTick = (task, startedAt) => async () => {
+  const lastSuccess = getLastCronSuccess(task);
+  const ageSeconds = Math.round((Date.now() - (lastSuccess || startedAt)) / 1000);
+
+  if (ageSeconds > config.health.maxTickAgeSeconds) {
+    throw new Error(lastSuccess
+      ? `Last completed tick was ${ageSeconds}s ago`
+      : `No completed tick in the ${ageSeconds}s since start`);
+  }
+
+  return { lastSuccessAt: lastSuccess ? new Date(lastSuccess).toISOString() : null, ageSeconds };
+};
+
+/**
+ * Run health checks side by side, each under HEALTH_CHECK_TIMEOUT_MS
+ * @param {Object} checks - Async check functions by name; a check fails by throwing and may return details
+ * @returns {Promise<Object>} { status: 'ok' | 'error', checks: { <name>: { status, durationMs, error?, ...details } } }
+ */
+const runHealthChecks = async (checks) => {
+  const entries = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+    const startedAt = Date.now();
+
+    try {
+      const details = await withTimeout(Promise.resolve().then(check), config.health.checkTimeoutMs);
+      return [name, { status: 'ok', durationMs: Date.now() - startedAt, ...(details && typeof details === 'object' ? details : {}) }];
+    } catch (error) {
+      return [name, { status: 'error', durationMs: Date.now() - startedAt, error: error.message }];
+    }
+  }));
+
+  const results = Object.fromEntries(entries);
+  const healthy = Object.values(results).every(result => result.status === 'ok');
+
+  return { status: healthy ? 'ok' : 'error', checks: results };
+};
+
+/**
+ * Create a health endpoint answering 200 when every check passes and 503 otherwise
+ * Works as an Express handler and as a plain http request listener
+ * @param {Object} checks - Check functions by name
+ * @returns {Function} Request handler
+ */
+const createHealthHandler = (checks) => async (req, res) => {
+  const health = await runHealthChecks(checks);
+
+  res.statusCode = health.status === 'ok' ? 200 : 503;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(health));
+};
+
+module.exports = {
+  checkMongo,
+  checkRedis,
+  checkSmtp,
+  checkCronTick,
+  runHealthChecks,
+  createHealthHandler
+};
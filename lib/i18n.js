@@ -0,0 +1,92 @@
+const CATALOGS = {
+  en: require('../locales/en'),
+  es: require('../locales/es')
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// Languages with a message catalog; a preference may add a region (e.g. "es-MX") for formatting
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+const getLanguage = (locale) => String(locale).split('-')[0].toLowerCase();
+
+/**
+ * Check a locale preference: a valid BCP 47 tag whose language has a catalog
+ * @param {string} locale - e.g. "en", "es" or "es-MX"
+ * @returns {boolean} Whether reports can be written in it
+ */
+const isSupportedLocale = (locale) => {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(locale);
+    return SUPPORTED_LANGUAGES.includes(getLanguage(canonical));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check a timezone preference against the IANA zones Intl knows
+ * @param {string} timeZone - e.g. "Europe/Madrid"
+ * @returns {boolean} Whether dates can be formatted in it
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Create a translator and formatters for one reader
+ * Messages fall back to English key by key, so a partial catalog still renders
+ * @param {Object} options - Reader settings
+ * @param {string} options.locale - Locale preference; unsupported values use English
+ * @param {string} options.timeZone - IANA timezone for dates; unknown or missing values use UTC
+ * @returns {Object} { locale, timeZone, t, number, percent, dateTime }
+ */
+const createTranslator = ({ locale, timeZone } = {}) => {
+  const resolvedLocale = locale && isSupportedLocale(locale) ? Intl.getCanonicalLocales(locale)[0] : DEFAULT_LOCALE;
+  const resolvedTimeZone = timeZone && isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const catalogs = [CATALOGS[getLanguage(resolvedLocale)], CATALOGS[DEFAULT_LOCALE]];
+  const numberFormat = new Intl.NumberFormat(resolvedLocale);
+  const percentFormat = new Intl.NumberFormat(resolvedLocale, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 2 });
+  const dateTimeFormat = new Intl.DateTimeFormat(resolvedLocale, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: resolvedTimeZone,
+    timeZoneName: 'short'
+  });
+  const pluralRules = new Intl.PluralRules(resolvedLocale);
+
+  const number = (value) => (typeof value === 'number' ? numberFormat.format(value) : value);
+
+  const percent = (ratio) => percentFormat.format(ratio);
+
+  // Dates that don't parse (or aren't dates at all) are shown as they are
+  const dateTime = (value) => {
+    const date = value instanceof Date ? value : new Date(value);
+    return value === undefined || value === null || Number.isNaN(date.getTime()) ? value : dateTimeFormat.format(date);
+  };
+
+  const t = (key, params = {}) => {
+    const catalog = catalogs.find(entries => entries && entries[key] !== undefined);
+    let message = catalog ? catalog[key] : key;
+
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(params.count)] || message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+      params[name] === undefined ? placeholder : String(number(params[name]))
+    ));
+  };
+
+  return { locale: resolvedLocale, timeZone: resolvedTimeZone, t, number, percent, dateTime };
+};
+
+module.exports = { DEFAULT_LOCALE, SUPPORTED_LANGUAGES, isSupportedLocale, isValidTimeZone, createTranslator };
@@ -0,0 +1,52 @@
+/**
+ * Strip separators from an ISBN
+ * @param {string} value - ISBN as entered (may contain hyphens or spaces)
+ * @returns {string} Digits (and a trailing X for ISBN-10)
+ */
+const cleanIsbn = (value) => String(value).replace(/[\s-]/g, '').toUpperCase();
+
+const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) {
+    return false;
+  }
+
+  const sum = isbn.split('').reduce((total, char, i) => {
+    const digit = char === 'X' ? 10 : Number(char);
+    return total + digit * (10 - i);
+  }, 0);
+
+  return sum % 11 === 0;
+};
+
+const getIsbn13CheckDigit = (first12) => {
+  const sum = first12.split('').reduce((total, char, i) => total + Number(char) * (i % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+const isValidIsbn13 = (isbn) => /^\d{13}$/.test(isbn) && getIsbn13CheckDigit(isbn.slice(0, 12)) === Number(isbn[12]);
+
+/**
+ * Validate an ISBN-10 or ISBN-13 and convert it to canonical ISBN-13
+ * @param {string} value - ISBN as entered
+ * @returns {string|null} 13-digit ISBN without separators, or null if invalid
+ */
+const toIsbn13 = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const isbn = cleanIsbn(value);
+
+  if (isValidIsbn13(isbn)) {
+    return isbn;
+  }
+
+  if (isValidIsbn10(isbn)) {
+    const first12 = `978${isbn.slice(0, 9)}`;
+    return `${first12}${getIsbn13CheckDigit(first12)}`;
+  }
+
+  return null;
+};
+
+module.exports = { cleanIsbn, isValidIsbn10, isValidIsbn13, toIsbn13 };
@@ -0,0 +1,190 @@
+const BulkJob = require('../models/bulkJobs');
+const { getJob, getTruncation } = require('./bulkJobs');
+
+const isActive = (job) => job.state === 'queued' || job.state === 'processing';
+
+// Job record fields copied into the history document
+const HISTORY_FIELDS = [
+  'jobId', 'userId', 'parentJobId', 'correlationId', 'source', 'onDuplicate', 'state',
+  'totalBooks', 'rejectedCount', 'processedCount', 'successCount', 'failureCount', 'duplicateCount',
+  'failures', 'duplicates', 'attempts', 'error',
+  'createdAt', 'startedAt', 'completedAt', 'updatedAt'
+];
+
+// Counters that move while a job runs; the live Redis record is fresher than the history for these
+const PROGRESS_FIELDS = ['state', 'processedCount', 'successCount', 'failureCount', 'duplicateCount', 'attempts', 'startedAt', 'error'];
+
+const getHistoryFields = (job) => {
+  const fields = {};
+
+  for (const field of HISTORY_FIELDS) {
+    if (job[field] !== undefined) {
+      fields[field] = job[field];
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Record a job the API is about to queue
+ * Only inserts, so a repeated call never takes newer progress back to 'queued'
+ * @param {Object} job - Job record from createJob
+ */
+const createJobHistory = async (job) => {
+  await BulkJob.updateOne({ jobId: job.jobId }, { $setOnInsert: getHistoryFields(job) }, { upsert: true });
+};
+
+/**
+ * Copy a Redis job record into its BulkJob history document
+ * @param {Object} job - Job record
+ */
+const saveJobHistory = async (job) => {
+  const update = getHistoryFields(job);
+
+  // Failed jobs never get a report email
+  if (job.state === 'failed') {
+    update['report.status'] = 'none';
+  }
+
+  await BulkJob.updateOne({ jobId: job.jobId }, { $set: update }, { upsert: true });
+};
+
+/**
+ * Record what happened to the report email for one or more jobs
+ * @param {Array<string>} jobIds - Job IDs covered by the report
+ * @param {Object} changes - Report fields (status, delivery, messageId, sentAt, attempts, lastError)
+ */
+const recordReportDelivery = async (jobIds, changes) => {
+  const update = {};
+
+  for (const [field, value] of Object.entries(changes)) {
+    update[`report.${field}`] = value;
+  }
+
+  await BulkJob.updateMany({ jobId: { $in: jobIds } }, { $set: update });
+};
+
+/**
+ * Shape a BulkJob document for API responses
+ * @param {Object} job - Lean BulkJob document
+ * @param {boolean} includeFailures - Whether to include the failures and duplicates arrays
+ * @returns {Object} Job with progress percentage and duration
+ */
+const formatJobHistory = (job, includeFailures = true) => {
+  const { _id, __v, failures, duplicates, ...summary } = job;
+  const progress = job.totalBooks > 0
+    ? Number(((job.processedCount / job.totalBooks) * 100).toFixed(2))
+    : 0;
+  const durationMs = job.startedAt && job.completedAt
+    ? new Date(job.completedAt) - new Date(job.startedAt)
+    : null;
+
+  const formatted = { ...summary, userId: String(job.userId), progress, durationMs };
+
+  return includeFailures
+    ? { ...formatted, failures: failures || [], duplicates: duplicates || [], ...getTruncation(job) }
+    : formatted;
+};
+
+/**
+ * Page through a user's job history, newest first
+ * Jobs still running show their live progress from Redis
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string|null} userId - User ID, or null for every user's jobs
+ * @param {Object} options - Listing options
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.limit - Jobs per page
+ * @param {string} options.state - Only jobs in this state
+ * @returns {Promise<Object>} { total, jobs }
+ */
+const listJobHistory = async (redisClient, userId, { page = 1, limit = 20, state } = {}) => {
+  const filter = userId ? { userId } : {};
+
+  if (state) {
+    filter.state = state;
+  }
+
+  const [jobs, total] = await Promise.all([
+    BulkJob.find(filter)
+      .select('-failures -duplicates')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    BulkJob.countDocuments(filter)
+  ]);
+
+  for (const job of jobs.filter(isActive)) {
+    const liveJob = await getJob(redisClient, job.jobId);
+
+    if (liveJob) {
+      for (const field of PROGRESS_FIELDS) {
+        job[field] = liveJob[field];
+      }
+    }
+  }
+
+  return { total, jobs: jobs.map(job => formatJobHistory(job, false)) };
+};
+
+/**
+ * Get one job from history, with live progress if it is still running
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Lean BulkJob document
+ */
+const getJobHistory = async (redisClient, jobId) => {
+  const job = await BulkJob.findOne({ jobId }).lean();
+
+  if (job && isActive(job)) {
+    const liveJob = await getJob(redisClient, jobId);
+
+    if (liveJob) {
+      for (const field of [...PROGRESS_FIELDS, 'failures', 'duplicates']) {
+        job[field] = liveJob[field];
+      }
+    }
+  }
+
+  return job;
+};
+
+/**
+ * List the jobs that resubmitted a job's failed rows
+ * @param {string} jobId - Parent job ID
+ * @returns {Promise<Array<Object>>} { jobId, state, createdAt } of each resubmission, oldest first
+ */
+const listResubmissions = async (jobId) => BulkJob.find({ parentJobId: jobId })
+  .select('jobId state createdAt -_id')
+  .sort({ createdAt: 1 })
+  .lean();
+
+/**
+ * Rebuild the status data a report is rendered from
+ * @param {Object} job - Lean BulkJob document
+ * @returns {Object} Status data, as stored in bulk_status keys
+ */
+const toStatusData = (job) => ({
+  jobId: job.jobId,
+  correlationId: job.correlationId,
+  userId: String(job.userId),
+  totalBooks: job.totalBooks,
+  successCount: job.successCount,
+  failureCount: job.failureCount,
+  duplicateCount: job.duplicateCount,
+  timestamp: job.startedAt ? new Date(job.startedAt).toISOString() : new Date(job.createdAt).toISOString(),
+  failures: job.failures || [],
+  duplicates: job.duplicates || []
+});
+
+module.exports = {
+  createJobHistory,
+  saveJobHistory,
+  recordReportDelivery,
+  formatJobHistory,
+  listJobHistory,
+  getJobHistory,
+  listResubmissions,
+  toStatusData
+};
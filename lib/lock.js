@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const os = require('os');
+const { logger } = require('./logger');
+
+// Identifies this process in lock values, which helps when inspecting Redis by hand
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Only the holder's token may extend or delete a lock
+const RENEW_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+/**
+ * Try to take a lock that expires on its own if the holder dies
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} key - Lock key
+ * @param {number} ttlMs - Lock lifetime in milliseconds
+ * @returns {Promise<Object|null>} Lock handle, or null if another worker holds it
+ */
+const acquireLock = async (redisClient, key, ttlMs) => {
+  const token = `${WORKER_ID}:${crypto.randomUUID()}`;
+  const acquired = await redisClient.set(key, token, { NX: true, PX: ttlMs });
+
+  return acquired ? { key, token, ttlMs, lost: false } : null;
+};
+
+/**
+ * Extend a held lock by its original lifetime
+ * @param {Object} redisClient - Connected Redis client
+ * @param {Object} lock - Lock handle from acquireLock
+ * @returns {Promise<boolean>} False if the lock expired or was taken over
+ */
+const renewLock = async (redisClient, lock) => {
+  const renewed = await redisClient.eval(RENEW_SCRIPT, {
+    keys: [lock.key],
+    arguments: [lock.token, String(lock.ttlMs)]
+  });
+
+  if (!renewed) {
+    lock.lost = true;
+  }
+
+  return Boolean(renewed);
+};
+
+/**
+ * Release a held lock; a no-op if it already belongs to someone else
+ * @param {Object} redisClient - Connected Redis client
+ * @param {Object} lock - Lock handle from acquireLock
+ */
+const releaseLock = async (redisClient, lock) => {
+  await redisClient.eval(RELEASE_SCRIPT, { keys: [lock.key], arguments: [lock.token] });
+};
+
+/**
+ * Keep renewing a lock in the background at a third of its lifetime
+ * A failed renewal marks the handle as lost so the holder can stop its work
+ * @param {Object} redisClient - Connected Redis client
+ * @param {Object} lock - Lock handle from acquireLock
+ * @returns {Function} Stops the renewal
+ */
+const startRenewal = (redisClient, lock) => {
+  const timer = setInterval(() => {
+    renewLock(redisClient, lock).catch((error) => {
+      logger.error('Error renewing lock', { lockKey: lock.key, err: error });
+    });
+  }, Math.max(Math.floor(lock.ttlMs / 3), 1000));
+
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+/**
+ * Run a task while holding a lock, renewing it until the task settles
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} key - Lock key
+ * @param {number} ttlMs - Lock lifetime in milliseconds
+ * @param {Function} task - async (lock) => result
+ * @returns {Promise<{ acquired: boolean, result: * }>} Whether the task ran, and its result
+ */
+const withLock = async (redisClient, key, ttlMs, task) => {
+  const lock = await acquireLock(redisClient, key, ttlMs);
+
+  if (!lock) {
+    return { acquired: false, result: undefined };
+  }
+
+  const stopRenewal = startRenewal(redisClient, lock);
+
+  try {
+    return { acquired: true, result: await task(lock) };
+  } finally {
+    stopRenewal();
+    await releaseLock(redisClient, lock);
+  }
+};
+
+module.exports = {
+  WORKER_ID,
+  acquireLock,
+  renewLock,
+  releaseLock,
+  startRenewal,
+  withLock
+};
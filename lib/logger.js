@@ -0,0 +1,46 @@
+const { config } = require('../config');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minLevel = LOG_LEVELS[config.logging.level];
+
+// Errors have no enumerable fields, so JSON.stringify would print them as {}
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack
+});
+
+const replacer = (key, value) => (value instanceof Error ? serializeError(value) : value);
+
+const write = (level, bindings, message, fields) => {
+  if (LOG_LEVELS[level] < minLevel) {
+    return;
+  }
+
+  const entry = { time: new Date().toISOString(), level, msg: message, ...bindings, ...fields };
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+
+  stream.write(`${JSON.stringify(entry, replacer)}\n`);
+};
+
+/**
+ * Create a logger that writes one JSON object per line
+ * Entries carry `time`, `level` and `msg`, then the logger's bindings, then the call's fields;
+ * Error values (conventionally under `err`) are written with their message and stack
+ * @param {Object} bindings - Fields added to every entry, e.g. { requestId } or { jobId, correlationId }
+ * @returns {Object} { debug, info, warn, error, child } where each level takes (message, fields)
+ */
+const createLogger = (bindings = {}) => ({
+  debug: (message, fields) => write('debug', bindings, message, fields),
+  info: (message, fields) => write('info', bindings, message, fields),
+  warn: (message, fields) => write('warn', bindings, message, fields),
+  error: (message, fields) => write('error', bindings, message, fields),
+  child: (extra) => createLogger({ ...bindings, ...extra })
+});
+
+// Shared root logger; minimum level from LOG_LEVEL
+const logger = createLogger();
+
+module.exports = { LOG_LEVELS, logger, createLogger, serializeError };
@@ -0,0 +1,117 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../config');
+
+// Set MAIL_TRANSPORT=preview to write emails to disk instead of sending them
+const isPreviewEnabled = () => config.email.transport === 'preview';
+
+const getPreviewDir = () => path.resolve(config.email.previewDir);
+
+// Preview IDs are directory names we created; anything else could escape the preview directory
+const isValidPreviewId = (id) => /^\d+-[a-f0-9]{8}$/.test(id);
+
+// Files every preview has; attachments with these names are renamed
+const PREVIEW_FILES = ['message.eml', 'body.html', 'meta.json'];
+
+// Attachment file names come from the email, so only their base name is used on disk
+const toSafeFilename = (filename, index) => {
+  const safeName = path.basename(String(filename || `attachment-${index + 1}`)).replace(/[^\w.-]/g, '_');
+  return PREVIEW_FILES.includes(safeName) ? `attachment-${index + 1}-${safeName}` : safeName;
+};
+
+/**
+ * Write a sent preview email to its own directory: message.eml, body.html, each attachment and meta.json
+ * @param {Object} mailOptions - Nodemailer message options
+ * @param {Object} info - Send info from a stream transport with `buffer: true`
+ * @returns {Promise<string>} Preview ID
+ */
+const savePreview = async (mailOptions, info) => {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const dir = path.join(getPreviewDir(), id);
+  const attachments = (mailOptions.attachments || []).map((attachment, index) => ({
+    filename: toSafeFilename(attachment.filename, index),
+    contentType: attachment.contentType || null,
+    content: attachment.content
+  }));
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'message.eml'), info.message);
+  await fs.writeFile(path.join(dir, 'body.html'), mailOptions.html || '');
+
+  for (const attachment of attachments) {
+    await fs.writeFile(path.join(dir, attachment.filename), attachment.content);
+  }
+
+  await fs.writeFile(path.join(dir, 'meta.json'), JSON.stringify({
+    id,
+    messageId: info.messageId,
+    from: mailOptions.from,
+    to: mailOptions.to,
+    subject: mailOptions.subject,
+    attachments: attachments.map(({ filename, contentType }) => ({ filename, contentType })),
+    createdAt: new Date().toISOString()
+  }, null, 2));
+
+  return id;
+};
+
+/**
+ * List preview emails, newest first
+ * @returns {Promise<Array<Object>>} Preview metadata
+ */
+const listPreviews = async () => {
+  let ids;
+
+  try {
+    ids = (await fs.readdir(getPreviewDir())).filter(isValidPreviewId);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const previews = [];
+  for (const id of ids.sort().reverse()) {
+    const meta = await getPreview(id);
+    if (meta) {
+      previews.push(meta);
+    }
+  }
+
+  return previews;
+};
+
+/**
+ * Read one preview email's metadata
+ * @param {string} id - Preview ID
+ * @returns {Promise<Object|null>} Metadata, or null if there is no such preview
+ */
+const getPreview = async (id) => {
+  if (!isValidPreviewId(id)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(path.join(getPreviewDir(), id, 'meta.json'), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Path of a file inside a preview, or null for unknown previews and files
+ * @param {Object} preview - Metadata from getPreview
+ * @param {string} filename - 'message.eml', 'body.html' or an attachment name
+ * @returns {string|null} Absolute file path
+ */
+const getPreviewFilePath = (preview, filename) => {
+  const known = ['message.eml', 'body.html', ...preview.attachments.map(attachment => attachment.filename)];
+  return known.includes(filename) ? path.join(getPreviewDir(), preview.id, filename) : null;
+};
+
+module.exports = { isPreviewEnabled, getPreviewDir, savePreview, listPreviews, getPreview, getPreviewFilePath };
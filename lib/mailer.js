@@ -0,0 +1,58 @@
+const nodemailer = require('nodemailer');
+const { config } = require('../config');
+const { isPreviewEnabled, getPreviewDir, savePreview } = require('./mailPreview');
+const { logger } = require('./logger');
+const { emailsSent, emailsFailed } = require('./metrics');
+
+// Shared transporter for report and account emails
+// In preview mode messages are built but written to disk instead of going to SMTP
+const transporter = isPreviewEnabled()
+  ? nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+  : nodemailer.createTransport({
+    host: config.email.host,
+    port: config.email.port,
+    secure: config.email.secure,
+    auth: {
+      user: config.email.user,
+      pass: config.email.password
+    }
+  });
+
+/**
+ * Send an email through the shared transporter
+ * @param {Object} mailOptions - Nodemailer message options; `from` defaults to EMAIL_FROM
+ * @returns {Promise<Object>} Nodemailer send info (with `previewId` in preview mode)
+ */
+const sendMail = async (mailOptions) => {
+  const message = {
+    from: config.email.from,
+    ...mailOptions
+  };
+  let info;
+
+  try {
+    info = await transporter.sendMail(message);
+    emailsSent.inc();
+  } catch (error) {
+    emailsFailed.inc();
+    throw error;
+  }
+
+  if (isPreviewEnabled()) {
+    const previewId = await savePreview(message, info);
+    logger.info('Email written to preview directory', { to: message.to, messageId: message.messageId, previewDir: getPreviewDir(), previewId });
+    return { ...info, message: undefined, previewId };
+  }
+
+  return info;
+};
+
+/**
+ * Check the SMTP connection and credentials
+ * There is nothing to check in preview mode
+ */
+const verifyTransport = () => (isPreviewEnabled() ? Promise.resolve(true) : transporter.verify());
+
+const closeTransport = () => transporter.close();
+
+module.exports = { sendMail, verifyTransport, closeTransport };
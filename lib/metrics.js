@@ -0,0 +1,203 @@
+const http = require('http');
+const client = require('prom-client');
+const { getRedisClient } = require('../db');
+const { logger } = require('./logger');
+
+// One registry per process; the API serves it on /metrics, workers on WORKER_METRICS_PORT
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by route pattern and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency, by route pattern and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const booksCacheRequests = new client.Counter({
+  name: 'books_cache_requests_total',
+  help: 'Book list cache lookups on GET /api/books, by result (hit or miss)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const bulkJobsProcessed = new client.Counter({
+  name: 'bulk_jobs_processed_total',
+  help: 'Bulk job attempts finished, by result (completed, retried or failed)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const bulkBooks = new client.Counter({
+  name: 'bulk_books_total',
+  help: 'Books written by bulk jobs, by result (inserted, failed or duplicate)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const bulkJobDuration = new client.Histogram({
+  name: 'bulk_job_duration_seconds',
+  help: 'Time from a bulk job starting to it completing or failing for good, across attempts',
+  labelNames: ['result'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600],
+  registers: [register]
+});
+
+const pdfRenderDuration = new client.Histogram({
+  name: 'pdf_render_duration_seconds',
+  help: 'Time to render a PDF report',
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const emailsSent = new client.Counter({
+  name: 'emails_sent_total',
+  help: 'Emails accepted by the mail transport',
+  registers: [register]
+});
+
+const emailsFailed = new client.Counter({
+  name: 'emails_failed_total',
+  help: 'Emails the mail transport rejected or failed to send',
+  registers: [register]
+});
+
+const cronLastSuccess = new client.Gauge({
+  name: 'cron_last_success_timestamp_seconds',
+  help: 'Unix time of the last cron tick that completed without error, by task',
+  labelNames: ['task'],
+  registers: [register]
+});
+
+// Backlogs are read from Redis when scraped; if that fails the previous values are reported
+const readBacklog = async (read) => {
+  try {
+    return await read(getRedisClient());
+  } catch (error) {
+    return null;
+  }
+};
+
+new client.Gauge({
+  name: 'bulk_queue_jobs',
+  help: 'Bulk jobs waiting in (pending) or claimed from (processing) the Redis queue',
+  labelNames: ['queue'],
+  registers: [register],
+  async collect() {
+    const lengths = await readBacklog(redisClient => Promise.all([
+      redisClient.lLen('bulk_queue:pending'),
+      redisClient.lLen('bulk_queue:processing')
+    ]));
+
+    if (lengths) {
+      this.set({ queue: 'pending' }, lengths[0]);
+      this.set({ queue: 'processing' }, lengths[1]);
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'bulk_status_pending',
+  help: 'Finished bulk jobs whose bulk_status record still waits for the report cron',
+  registers: [register],
+  async collect() {
+    const count = await readBacklog(async redisClient => {
+      let total = 0;
+      for await (const key of redisClient.scanIterator({ MATCH: 'bulk_status:*', COUNT: 500 })) {
+        total++;
+      }
+      return total;
+    });
+
+    if (count !== null) {
+      this.set(count);
+    }
+  }
+});
+
+// Last completed tick per task, for the worker health checks
+const lastCronSuccess = new Map();
+
+/**
+ * Record that a cron task's tick completed
+ * @param {string} task - Task name ('bulk', 'report' or 'outbox')
+ */
+const markCronSuccess = (task) => {
+  const now = Date.now();
+  lastCronSuccess.set(task, now);
+  cronLastSuccess.set({ task }, now / 1000);
+};
+
+/**
+ * When a cron task last completed a tick in this process
+ * @param {string} task - Task name
+ * @returns {number|null} Epoch milliseconds, or null if it has not yet
+ */
+const getLastCronSuccess = (task) => lastCronSuccess.get(task) || null;
+
+/**
+ * Serve the registry in Prometheus text format
+ * Works as an Express handler and as a plain http request listener
+ */
+const metricsHandler = async (req, res) => {
+  try {
+    const body = await register.metrics();
+    res.statusCode = 200;
+    res.setHeader('Content-Type', register.contentType);
+    res.end(body);
+  } catch (error) {
+    logger.error('Error collecting metrics', { err: error });
+    res.statusCode = 500;
+    res.end();
+  }
+};
+
+/**
+ * Serve /metrics on its own port, for processes without the API
+ * @param {number} port - Port to listen on
+ * @param {Object} routes - Further GET handlers by path, e.g. health checks
+ * @returns {http.Server} Listening server
+ */
+const startMetricsServer = (port, routes = {}) => {
+  const handlers = { ...routes, '/metrics': metricsHandler };
+
+  const server = http.createServer((req, res) => {
+    const handler = handlers[req.url.split('?')[0]];
+
+    if (req.method === 'GET' && handler) {
+      return handler(req, res);
+    }
+
+    res.statusCode = 404;
+    res.end();
+  });
+
+  server.listen(port, () => logger.info('Metrics server listening', { port }));
+  return server;
+};
+
+module.exports = {
+  register,
+  httpRequestsTotal,
+  httpRequestDuration,
+  booksCacheRequests,
+  bulkJobsProcessed,
+  bulkBooks,
+  bulkJobDuration,
+  pdfRenderDuration,
+  emailsSent,
+  emailsFailed,
+  markCronSuccess,
+  getLastCronSuccess,
+  metricsHandler,
+  startMetricsServer
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const NotificationChannel = require('../models/notificationChannels');
+const { getNotifier } = require('./notifiers');
+const { logger } = require('./logger');
+const { formatMongooseErrors } = require('./validation');
+
+// Channels a single user may configure
+const MAX_CHANNELS_PER_USER = 10;
+
+// Failure and duplicate rows included in an event; the rest are available from the job API
+const MAX_EVENT_ROWS = 500;
+
+const CHANNEL_FIELDS = ['type', 'name', 'address', 'url', 'events', 'enabled'];
+
+/**
+ * Build a bulk job event from its status payload
+ * @param {string} type - 'bulk_job.completed' or 'bulk_job.failed'
+ * @param {Object} status - Bulk status (or error status) payload
+ * @returns {Object} { id, type, createdAt, data }
+ */
+const buildJobEvent = (type, status) => {
+  const failures = status.failures || [];
+  const duplicates = status.duplicates || [];
+
+  return {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    data: {
+      ...status,
+      failures: failures.slice(0, MAX_EVENT_ROWS).map(({ input, ...failure }) => failure),
+      duplicates: duplicates.slice(0, MAX_EVENT_ROWS),
+      failuresTruncated: failures.length > MAX_EVENT_ROWS || status.failureCount > failures.length,
+      duplicatesTruncated: duplicates.length > MAX_EVENT_ROWS || status.duplicateCount > duplicates.length
+    }
+  };
+};
+
+/**
+ * Deliver an event through one channel and remember the outcome on the channel
+ * @param {Object} channel - NotificationChannel document
+ * @param {Object} event - Event from buildJobEvent
+ * @returns {Promise<string|null>} Error message, or null if delivered
+ */
+const deliverToChannel = async (channel, event) => {
+  let errorMessage = null;
+
+  try {
+    await getNotifier(channel.type).send(channel, event);
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  await NotificationChannel.updateOne(
+    { _id: channel._id },
+    { $set: { lastDeliveryAt: new Date(), lastError: errorMessage } }
+  );
+
+  return errorMessage;
+};
+
+/**
+ * Send a bulk job event to every enabled channel of the job's owner that subscribes to it
+ * Never throws: a broken channel must not fail the job that triggered it
+ * @param {string} type - 'bulk_job.completed' or 'bulk_job.failed'
+ * @param {Object} status - Bulk status (or error status) payload, with userId
+ */
+const notifyJobEvent = async (type, status) => {
+  try {
+    const channels = await NotificationChannel.find({ userId: status.userId, enabled: true, events: type });
+
+    if (channels.length === 0) {
+      return;
+    }
+
+    const event = buildJobEvent(type, status);
+    const log = logger.child({ jobId: status.jobId, correlationId: status.correlationId, eventType: type });
+
+    for (const channel of channels) {
+      const errorMessage = await deliverToChannel(channel, event);
+
+      if (errorMessage) {
+        log.warn('Notification delivery failed', { channelType: channel.type, channelId: String(channel._id), error: errorMessage });
+      } else {
+        log.info('Notification delivered', { channelType: channel.type, channelId: String(channel._id) });
+      }
+    }
+  } catch (error) {
+    logger.error('Error sending job notifications', { jobId: status.jobId, correlationId: status.correlationId, eventType: type, err: error });
+  }
+};
+
+/**
+ * Apply channel settings to a channel document and check the type-specific ones
+ * The body's shape is checked beforehand by channelSchema or channelUpdateSchema (lib/schemas.js)
+ * @param {Object} channel - New or existing NotificationChannel document
+ * @param {Object} body - Parsed request body
+ * @returns {Array<Object>|null} Field errors [{ field, message }], or null if valid
+ */
+const applyChannelSettings = (channel, body) => {
+  if (!channel.isNew && body.type !== undefined && body.type !== channel.type) {
+    return [{ field: 'type', message: 'Cannot be changed' }];
+  }
+
+  for (const field of CHANNEL_FIELDS) {
+    if (body[field] !== undefined) {
+      channel[field] = body[field];
+    }
+  }
+
+  const notifier = getNotifier(channel.type);
+  const settingsError = notifier.validate(channel);
+  if (settingsError) {
+    return [{ field: notifier.field, message: settingsError }];
+  }
+
+  if (channel.type === 'webhook' && !channel.secret) {
+    channel.secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  const validationError = channel.validateSync();
+  return validationError ? formatMongooseErrors(validationError) : null;
+};
+
+/**
+ * Create a notification channel for a user
+ * @param {string} userId - Channel owner's user ID
+ * @param {Object} body - Channel settings
+ * @param {string} createdBy - User ID of whoever is creating it
+ * @returns {Promise<Object>} { channel }, { errors } for invalid settings, or { error } when the user has too many channels
+ */
+const createChannel = async (userId, body, createdBy) => {
+  if (await NotificationChannel.countDocuments({ userId }) >= MAX_CHANNELS_PER_USER) {
+    return { error: `A user can have at most ${MAX_CHANNELS_PER_USER} notification channels` };
+  }
+
+  const channel = new NotificationChannel({ userId, createdBy });
+  const errors = applyChannelSettings(channel, body);
+
+  if (errors) {
+    return { errors };
+  }
+
+  await channel.save();
+  return { channel };
+};
+
+/**
+ * Shape a channel for API responses
+ * The webhook secret is only shown in full when the channel is created
+ * @param {Object} channel - NotificationChannel document
+ * @param {boolean} includeSecret - Whether to include the full secret
+ * @returns {Object} Channel
+ */
+const formatChannel = (channel, includeSecret = false) => {
+  const { _id, __v, secret, ...fields } = channel.toObject();
+
+  return {
+    id: String(_id),
+    ...fields,
+    ...(secret ? { secret: includeSecret ? secret : `${secret.slice(0, 4)}...` } : {})
+  };
+};
+
+module.exports = {
+  buildJobEvent,
+  deliverToChannel,
+  notifyJobEvent,
+  applyChannelSettings,
+  createChannel,
+  formatChannel
+};
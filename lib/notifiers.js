@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Preference = require('../models/preferences');
+const { sendMail } = require('./mailer');
+const { createTranslator } = require('./i18n');
+const { config } = require('../config');
+const { buildReportModel } = require('./reportModel');
+const { escapeHtml, renderReportHTML } = require('./reportHtml');
+
+const CHANNEL_EVENTS = ['bulk_job.completed', 'bulk_job.failed'];
+
+// Outgoing HTTP calls give up after this long so a slow receiver can't stall the worker
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Private, loopback, link-local, multicast and reserved ranges that user-supplied URLs may not reach
+const privateRanges = new net.BlockList();
+privateRanges.addSubnet('0.0.0.0', 8, 'ipv4');
+privateRanges.addSubnet('10.0.0.0', 8, 'ipv4');
+privateRanges.addSubnet('100.64.0.0', 10, 'ipv4');
+privateRanges.addSubnet('127.0.0.0', 8, 'ipv4');
+privateRanges.addSubnet('169.254.0.0', 16, 'ipv4');
+privateRanges.addSubnet('172.16.0.0', 12, 'ipv4');
+privateRanges.addSubnet('192.168.0.0', 16, 'ipv4');
+privateRanges.addSubnet('224.0.0.0', 4, 'ipv4');
+// Reserved, up to and including the broadcast address 255.255.255.255
+privateRanges.addSubnet('240.0.0.0', 4, 'ipv4');
+privateRanges.addAddress('::', 'ipv6');
+privateRanges.addAddress('::1', 'ipv6');
+// IPv4-compatible and NAT64 addresses embed an IPv4 address that may be a private one
+privateRanges.addSubnet('::', 96, 'ipv6');
+privateRanges.addSubnet('64:ff9b::', 96, 'ipv6');
+privateRanges.addSubnet('fc00::', 7, 'ipv6');
+privateRanges.addSubnet('fe80::', 10, 'ipv6');
+privateRanges.addSubnet('ff00::', 8, 'ipv6');
+
+const isPrivateAddress = (address) => {
+  const mappedIpv4 = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+
+  if (mappedIpv4) {
+    return privateRanges.check(mappedIpv4[1], 'ipv4');
+  }
+
+  return privateRanges.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const privateAddressError = (hostname) => new Error(`Refusing to call ${hostname}: it resolves to a private address`);
+
+/**
+ * dns.lookup for outgoing notifier requests that fails on private addresses
+ * The socket connects to the address checked here, so a host can't pass the check and then re-resolve elsewhere
+ * (DNS rebinding)
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(privateAddressError(hostname));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * POST a JSON body to a user-supplied URL
+ * Private, loopback and link-local targets are refused unless NOTIFY_ALLOW_PRIVATE_URLS=true (e.g. for local development)
+ * Redirects are not followed, so a public URL can't bounce the request to an internal one
+ * @param {string} url - Target URL
+ * @param {string} body - JSON body
+ * @param {Object} headers - Extra request headers
+ */
+const postJson = (url, body, headers = {}) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  const allowPrivate = config.notifications.allowPrivateUrls;
+
+  // IP literals are connected to without a lookup, so they are checked here
+  if (!allowPrivate && net.isIP(hostname) && isPrivateAddress(hostname)) {
+    return reject(privateAddressError(hostname));
+  }
+
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'books-api-notifier/1.0',
+      ...headers
+    },
+    lookup: allowPrivate ? undefined : publicLookup,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  }, (response) => {
+    response.resume();
+
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      resolve();
+    } else {
+      reject(new Error(`${url} responded with HTTP ${response.statusCode}`));
+    }
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+const validateUrl = (url, protocols) => {
+  try {
+    const { protocol } = new URL(url);
+    return protocols.includes(protocol) ? null : `URL must use ${protocols.join(' or ')}`;
+  } catch (error) {
+    return 'Invalid URL';
+  }
+};
+
+// Email and Slack messages are written in the channel owner's language
+const getReaderSettings = async (userId) => {
+  const preferences = await Preference.findOne({ userId }).select('locale timezone').lean() || {};
+  return { locale: preferences.locale, timeZone: preferences.timezone };
+};
+
+const describeEvent = (event, i18n = createTranslator()) => {
+  const { data } = event;
+
+  if (event.type === 'bulk_job.failed') {
+    return i18n.t('event.failed', { jobId: data.jobId, error: data.error });
+  }
+
+  return i18n.t('event.completed', { ...data, duplicateCount: data.duplicateCount || 0 });
+};
+
+/**
+ * Sign a webhook body the way receivers should verify it:
+ * HMAC-SHA256 over "<timestamp>.<body>" with the channel secret, hex encoded
+ * @param {string} secret - Channel secret
+ * @param {string} timestamp - Unix time in seconds, sent as X-Books-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature, sent as X-Books-Signature: sha256=<signature>
+ */
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Notifier implementations, keyed by channel type
+ * Each has field, the setting validate(config) checks; validate(config) -> error message or null;
+ * and send(channel, event) which throws on failure
+ */
+const NOTIFIERS = {
+  email: {
+    field: 'address',
+    validate: ({ address }) => (address && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address) ? null : 'A valid address is required'),
+    send: async (channel, event) => {
+      const settings = await getReaderSettings(channel.userId);
+      const i18n = createTranslator(settings);
+      const html = event.type === 'bulk_job.completed'
+        ? renderReportHTML(buildReportModel(event.data, { userId: event.data.userId, ...settings }))
+        : `<p lang="${escapeHtml(i18n.locale)}">${escapeHtml(describeEvent(event, i18n))}</p>`;
+
+      await sendMail({ to: channel.address, subject: describeEvent(event, i18n), html });
+    }
+  },
+
+  webhook: {
+    field: 'url',
+    validate: ({ url }) => validateUrl(url, ['https:', 'http:']),
+    send: async (channel, event) => {
+      const body = JSON.stringify(event);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+
+      await postJson(channel.url, body, {
+        'X-Books-Event': event.type,
+        'X-Books-Delivery': event.id,
+        'X-Books-Timestamp': timestamp,
+        'X-Books-Signature': `sha256=${signPayload(channel.secret, timestamp, body)}`
+      });
+    }
+  },
+
+  slack: {
+    field: 'url',
+    validate: ({ url }) => validateUrl(url, ['https:']),
+    send: async (channel, event) => {
+      const i18n = createTranslator(await getReaderSettings(channel.userId));
+      await postJson(channel.url, JSON.stringify({ text: describeEvent(event, i18n) }));
+    }
+  }
+};
+
+const CHANNEL_TYPES = Object.keys(NOTIFIERS);
+
+/**
+ * Look up the notifier for a channel type
+ * @param {string} type - Channel type
+ * @returns {Object|null} Notifier
+ */
+const getNotifier = (type) => NOTIFIERS[type] || null;
+
+module.exports = { CHANNEL_TYPES, CHANNEL_EVENTS, getNotifier, signPayload, describeEvent, isPrivateAddress };
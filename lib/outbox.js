@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const OutboxEmail = require('../models/outboxEmails');
+const { sendMail } = require('./mailer');
+const { MAX_REPORT_ATTEMPTS, getRetryDelay } = require('./reportRetry');
+const { recordReportDelivery } = require('./jobHistory');
+const { logger } = require('./logger');
+
+// How long a dispatcher may spend sending one email before another may take it over
+const SEND_LEASE_MS = 2 * 60 * 1000;
+
+// Emails sent per dispatcher tick
+const DISPATCH_BATCH_SIZE = 50;
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Carries the correlation IDs of the jobs an email reports on, so it can be traced back to the imports
+const CORRELATION_HEADER = 'X-Correlation-Id';
+
+// Message-IDs must be dot-atoms, so the key is hashed rather than used as is
+const buildMessageId = (idempotencyKey) => {
+  const hash = crypto.createHash('sha256').update(idempotencyKey).digest('hex').slice(0, 32);
+  return `<outbox-${hash}@books-api>`;
+};
+
+/**
+ * Find an already queued email
+ * @param {string} idempotencyKey - Key the email was queued under
+ * @returns {Promise<Object|null>} OutboxEmail document
+ */
+const findOutboxEmail = (idempotencyKey) => OutboxEmail.findOne({ idempotencyKey });
+
+/**
+ * Queue a rendered email for the dispatcher
+ * Queueing a key that already exists leaves the first email untouched and returns it
+ * @param {Object} email - Email to queue
+ * @param {string} email.idempotencyKey - Unique key, e.g. "report:<jobId>"
+ * @param {string} email.userId - Recipient's user ID
+ * @param {Array<string>} email.jobIds - Bulk jobs the email reports on
+ * @param {Array<string>} email.correlationIds - Correlation IDs of those jobs
+ * @param {string} email.delivery - Delivery preference it was sent under
+ * @param {Object} email.message - { to, subject, html, attachments }
+ * @returns {Promise<{ email: Object, created: boolean }>} Queued email
+ */
+const enqueueEmail = async ({ idempotencyKey, userId, jobIds = [], correlationIds = [], delivery, message }) => {
+  try {
+    const email = await OutboxEmail.create({
+      idempotencyKey,
+      userId,
+      jobIds,
+      correlationIds,
+      delivery,
+      messageId: buildMessageId(idempotencyKey),
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      attachments: message.attachments || []
+    });
+
+    return { email, created: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    return { email: await findOutboxEmail(idempotencyKey), created: false };
+  }
+};
+
+// Take the next due email, including ones whose dispatcher died mid-send
+const claimNextEmail = () => {
+  const now = new Date();
+
+  return OutboxEmail.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LEASE_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Note an email's delivery on the jobs it covers; never throws, the email state is already saved
+const noteDelivery = async (email, changes) => {
+  try {
+    await recordReportDelivery(email.jobIds, changes);
+  } catch (error) {
+    logger.error('Error recording outbox email delivery', { idempotencyKey: email.idempotencyKey, correlationIds: email.correlationIds, err: error });
+  }
+};
+
+const sendOutboxEmail = async (email) => {
+  const log = logger.child({ idempotencyKey: email.idempotencyKey, messageId: email.messageId, correlationIds: email.correlationIds });
+
+  try {
+    const info = await sendMail({
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      messageId: email.messageId,
+      headers: email.correlationIds.length > 0 ? { [CORRELATION_HEADER]: email.correlationIds.join(', ') } : {},
+      attachments: email.attachments.map(({ filename, contentType, content }) => ({ filename, contentType, content }))
+    });
+
+    await OutboxEmail.updateOne(
+      { _id: email._id },
+      { $set: { status: 'sent', sentAt: new Date(), lockedUntil: null, lastError: null }, $inc: { attempts: 1 } }
+    );
+    await noteDelivery(email, {
+      status: 'sent',
+      delivery: email.delivery,
+      messageId: info.messageId || email.messageId,
+      sentAt: new Date(),
+      lastError: null
+    });
+
+    log.info('Outbox email sent', { to: email.to, attempts: email.attempts + 1 });
+    return true;
+  } catch (error) {
+    const attempts = email.attempts + 1;
+    // 5xx SMTP replies (unknown mailbox, rejected content) won't succeed on a retry
+    const failed = error.responseCode >= 500 || attempts >= MAX_REPORT_ATTEMPTS;
+    const nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts));
+
+    await OutboxEmail.updateOne(
+      { _id: email._id },
+      {
+        $set: {
+          status: failed ? 'failed' : 'pending',
+          attempts,
+          nextAttemptAt: failed ? null : nextAttemptAt,
+          lockedUntil: null,
+          lastError: error.message
+        }
+      }
+    );
+    await noteDelivery(email, { status: failed ? 'dead_lettered' : 'retrying', attempts, lastError: error.message });
+
+    log.warn(failed ? 'Outbox email failed, giving up' : 'Outbox email failed, will retry', {
+      attempts,
+      maxAttempts: MAX_REPORT_ATTEMPTS,
+      nextAttemptAt: failed ? null : nextAttemptAt,
+      error: error.message
+    });
+    return false;
+  }
+};
+
+/**
+ * Send due outbox emails
+ * Each email is claimed atomically, so any number of dispatchers can run side by side
+ * @returns {Promise<{ sent: number, failed: number }>} Emails sent and failed this run
+ */
+const dispatchOutbox = async () => {
+  const counts = { sent: 0, failed: 0 };
+
+  for (let i = 0; i < DISPATCH_BATCH_SIZE; i++) {
+    const email = await claimNextEmail();
+
+    if (!email) {
+      break;
+    }
+
+    if (await sendOutboxEmail(email)) {
+      counts.sent++;
+    } else {
+      counts.failed++;
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Shape an outbox email for API responses, without its body and attachment content
+ * @param {Object} email - Lean OutboxEmail document
+ * @returns {Object} Email summary
+ */
+const formatOutboxEmail = (email) => {
+  const { _id, __v, html, attachments, ...fields } = email;
+
+  return {
+    id: String(_id),
+    ...fields,
+    attachments: attachments.map(({ filename, contentType }) => ({ filename, contentType }))
+  };
+};
+
+/**
+ * List outbox emails, newest first
+ * @param {Object} options - Filters
+ * @param {string} options.status - Only emails in this status
+ * @param {number} options.page - 1-based page
+ * @param {number} options.limit - Page size
+ * @returns {Promise<Object>} { emails, total, page, limit }
+ */
+const listOutbox = async ({ status, page = 1, limit = 20 } = {}) => {
+  const filter = status ? { status } : {};
+  const [emails, total] = await Promise.all([
+    OutboxEmail.find(filter).select('-html -attachments.content').sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    OutboxEmail.countDocuments(filter)
+  ]);
+
+  return { emails: emails.map(formatOutboxEmail), total, page, limit };
+};
+
+/**
+ * Give a failed email a fresh set of attempts
+ * @param {string} id - OutboxEmail ID
+ * @returns {Promise<boolean>} Whether a failed email was found and requeued
+ */
+const retryOutboxEmail = async (id) => {
+  const result = await OutboxEmail.updateOne(
+    { _id: id, status: 'failed' },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+module.exports = {
+  OUTBOX_STATUSES,
+  findOutboxEmail,
+  enqueueEmail,
+  dispatchOutbox,
+  listOutbox,
+  retryOutboxEmail
+};
@@ -0,0 +1,50 @@
+const http = require('http');
+
+// RFC 7807 problem types by status; a route passes its own type when clients need to tell problems apart
+const PROBLEM_TYPES = {
+  400: '/problems/bad-request',
+  401: '/problems/unauthorized',
+  403: '/problems/forbidden',
+  404: '/problems/not-found',
+  409: '/problems/conflict',
+  410: '/problems/gone',
+  413: '/problems/payload-too-large',
+  415: '/problems/unsupported-media-type',
+  429: '/problems/too-many-requests',
+  500: '/problems/internal-error',
+  502: '/problems/bad-gateway'
+};
+
+/**
+ * Answer with an RFC 7807 application/problem+json body
+ * Every API error goes through here, so clients see one content type and one shape
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {Object} problem - { title, detail, errors, type, ...extensions }; title defaults to the status text,
+ *   errors are field-level [{ field, message }] and default to none
+ */
+const sendProblem = (req, res, status, { type, title, detail, errors = [], ...extensions } = {}) => {
+  res.status(status).type('application/problem+json').json({
+    type: type || PROBLEM_TYPES[status] || 'about:blank',
+    title: title || http.STATUS_CODES[status],
+    status,
+    detail,
+    instance: req.originalUrl,
+    errors,
+    ...extensions
+  });
+};
+
+/**
+ * Answer 500 for an unexpected error
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} title - What failed, e.g. "Error creating book"
+ * @param {Error} error - The error
+ */
+const sendServerError = (req, res, title, error) => {
+  sendProblem(req, res, 500, { title, detail: error.message });
+};
+
+module.exports = { PROBLEM_TYPES, sendProblem, sendServerError };
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const Book = require('../models/books');
+const BulkJob = require('../models/bulkJobs');
+const { config } = require('../config');
+const { reserveQuota, releaseQuota } = require('./rateLimit');
+const { getJob } = require('./bulkJobs');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Daily counters reset at midnight UTC
+const getBulkRowsKey = (userId, date = new Date()) => `quota:bulk_rows:${userId}:${date.toISOString().slice(0, 10)}`;
+
+const secondsUntilUtcMidnight = (now = new Date()) => {
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+};
+
+/**
+ * Check whether a user may add more books under QUOTA_MAX_BOOKS
+ * Rows still waiting in queued or running bulk jobs count as used
+ * A running job's progress is read from its live Redis record, since its history only catches up when it finishes;
+ * rows it has already inserted are then counted as stored books only
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} userId - User ID
+ * @param {number} amount - Books about to be added
+ * @returns {Promise<Object>} { name, allowed, limit, used, requested }
+ */
+const checkBookQuota = async (redisClient, userId, amount) => {
+  const limit = config.quotas.maxBooks;
+  const [stored, activeJobs] = await Promise.all([
+    Book.countDocuments({ userId }),
+    BulkJob.find({ userId: new mongoose.Types.ObjectId(userId), state: { $in: ['queued', 'processing'] } })
+      .select('jobId totalBooks processedCount')
+      .lean()
+  ]);
+
+  let pending = 0;
+
+  for (const job of activeJobs) {
+    const liveJob = await getJob(redisClient, job.jobId);
+    const { totalBooks, processedCount } = liveJob || job;
+    pending += Math.max(0, totalBooks - processedCount);
+  }
+
+  const used = stored + pending;
+
+  return { name: 'books', allowed: used + amount <= limit, limit, used, requested: amount };
+};
+
+/**
+ * Reserve bulk rows against the user's QUOTA_BULK_ROWS_PER_DAY
+ * Nothing is reserved when the rows do not fit; release the reservation if the import is not queued after all,
+ * and settle it with settleBulkRows once the import has finished
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} userId - User ID
+ * @param {number} rows - Rows in the import
+ * @returns {Promise<Object>} { name, allowed, limit, used, requested, resetSeconds, key }
+ */
+const reserveBulkRows = async (redisClient, userId, rows) => {
+  const limit = config.quotas.bulkRowsPerDay;
+  const key = getBulkRowsKey(userId);
+  const { allowed, used } = await reserveQuota(redisClient, key, rows, limit, 2 * DAY_SECONDS);
+
+  return { name: 'bulk_rows_per_day', allowed, limit, used, requested: rows, resetSeconds: secondsUntilUtcMidnight(), key };
+};
+
+/**
+ * Hand back rows reserved by reserveBulkRows
+ * @param {Object} redisClient - Connected Redis client
+ * @param {Object} reservation - Result of reserveBulkRows
+ */
+const releaseBulkRows = async (redisClient, reservation) => {
+  if (reservation && reservation.allowed) {
+    await releaseQuota(redisClient, reservation.key, reservation.requested);
+  }
+};
+
+/**
+ * Settle a finished import against its reservation: rows that did not become books are handed back,
+ * so failed, rejected and skipped rows don't use up the day's quota
+ * @param {Object} redisClient - Connected Redis client
+ * @param {Object} reservation - { key, requested }, from reserveBulkRows or a job's quotaKey and quotaRows
+ * @param {number} successCount - Books the import wrote
+ */
+const settleBulkRows = async (redisClient, { key, requested }, successCount) => {
+  const unused = requested - successCount;
+
+  if (key && unused > 0) {
+    await releaseQuota(redisClient, key, unused);
+  }
+};
+
+module.exports = { checkBookQuota, reserveBulkRows, releaseBulkRows, settleBulkRows };
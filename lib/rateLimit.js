@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+
+// Sliding window log: one sorted-set member per request, scored by its time
+// Returns { allowed, count, resetMs } where resetMs is when the oldest request leaves the window
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+
+redis.call('zremrangebyscore', KEYS[1], '-inf', now - window)
+
+local count = redis.call('zcard', KEYS[1])
+local allowed = 0
+
+if count < limit then
+  redis.call('zadd', KEYS[1], now, ARGV[4])
+  redis.call('pexpire', KEYS[1], window)
+  count = count + 1
+  allowed = 1
+end
+
+local oldest = redis.call('zrange', KEYS[1], 0, 0, 'WITHSCORES')
+local resetMs = window
+if oldest[2] then
+  resetMs = tonumber(oldest[2]) + window - now
+end
+
+return { allowed, count, resetMs }`;
+
+// Adds to a counter only if the total stays within the limit; returns { allowed, used }
+const RESERVE_SCRIPT = `
+local used = tonumber(redis.call('get', KEYS[1]) or '0')
+local amount = tonumber(ARGV[1])
+
+if used + amount > tonumber(ARGV[2]) then
+  return { 0, used }
+end
+
+used = redis.call('incrby', KEYS[1], amount)
+redis.call('expire', KEYS[1], ARGV[3])
+
+return { 1, used }`;
+
+// Takes back part of a reservation; an expired counter stays gone and a counter never drops below zero
+const RELEASE_SCRIPT = `
+local used = redis.call('get', KEYS[1])
+if not used then
+  return 0
+end
+
+local remaining = math.max(0, tonumber(used) - tonumber(ARGV[1]))
+redis.call('set', KEYS[1], remaining, 'KEEPTTL')
+
+return remaining`;
+
+// Emails are hashed so Redis keys hold no addresses
+const getEmailKey = (email) => crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex').slice(0, 32);
+const getLoginFailuresKey = (email) => `login_failures:${getEmailKey(email)}`;
+const getLoginLockoutKey = (email) => `login_lockout:${getEmailKey(email)}`;
+
+/**
+ * Count a request against a sliding window limit
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} key - Rate limit key, e.g. "rate_limit:auth:ip:1.2.3.4"
+ * @param {number} max - Requests allowed per window
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Promise<Object>} { allowed, remaining, resetSeconds }
+ */
+const hitRateLimit = async (redisClient, key, max, windowMs) => {
+  const [allowed, count, resetMs] = await redisClient.eval(SLIDING_WINDOW_SCRIPT, {
+    keys: [key],
+    arguments: [String(Date.now()), String(windowMs), String(max), crypto.randomUUID()]
+  });
+
+  return {
+    allowed: allowed === 1,
+    remaining: Math.max(0, max - count),
+    resetSeconds: Math.max(1, Math.ceil(resetMs / 1000))
+  };
+};
+
+/**
+ * Set the RateLimit-* headers (IETF draft) for a limit or quota
+ * @param {Object} res - Express response
+ * @param {Object} limit - { limit, remaining, resetSeconds, policy }; resetSeconds and policy are optional
+ */
+const setRateLimitHeaders = (res, { limit, remaining, resetSeconds, policy }) => {
+  res.set('RateLimit-Limit', String(limit));
+  res.set('RateLimit-Remaining', String(remaining));
+
+  if (resetSeconds !== undefined) {
+    res.set('RateLimit-Reset', String(resetSeconds));
+  }
+
+  if (policy) {
+    res.set('RateLimit-Policy', policy);
+  }
+};
+
+/**
+ * Seconds left on an account's login lockout
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} email - Login email
+ * @returns {Promise<number>} Seconds until login is allowed again, 0 if not locked
+ */
+const getLoginLockout = async (redisClient, email) => {
+  const ttl = await redisClient.ttl(getLoginLockoutKey(email));
+  return ttl > 0 ? ttl : 0;
+};
+
+/**
+ * Count a failed login; LOGIN_MAX_FAILURES within LOGIN_FAILURE_WINDOW_SECONDS locks the account
+ * for LOGIN_LOCKOUT_SECONDS. Unknown emails are counted too, so lockouts don't reveal which accounts exist
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} email - Login email
+ * @returns {Promise<Object>} { locked, lockoutSeconds, remainingAttempts }
+ */
+const recordLoginFailure = async (redisClient, email) => {
+  const { maxFailures, failureWindowSeconds, lockoutSeconds } = config.loginLockout;
+  const { allowed, remaining } = await hitRateLimit(redisClient, getLoginFailuresKey(email), maxFailures, failureWindowSeconds * 1000);
+
+  if (allowed && remaining > 0) {
+    return { locked: false, lockoutSeconds: 0, remainingAttempts: remaining };
+  }
+
+  await redisClient.setEx(getLoginLockoutKey(email), lockoutSeconds, new Date().toISOString());
+  await redisClient.del(getLoginFailuresKey(email));
+
+  return { locked: true, lockoutSeconds, remainingAttempts: 0 };
+};
+
+/**
+ * Forget an account's failed logins after a successful one
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} email - Login email
+ */
+const clearLoginFailures = async (redisClient, email) => {
+  await redisClient.del(getLoginFailuresKey(email));
+};
+
+/**
+ * Reserve part of a counter that resets at a fixed time, e.g. a daily quota
+ * Nothing is reserved when the amount does not fit
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} key - Counter key
+ * @param {number} amount - Units to reserve
+ * @param {number} limit - Units allowed until the counter expires
+ * @param {number} ttlSeconds - Counter lifetime, set on every reservation
+ * @returns {Promise<Object>} { allowed, used }
+ */
+const reserveQuota = async (redisClient, key, amount, limit, ttlSeconds) => {
+  const [allowed, used] = await redisClient.eval(RESERVE_SCRIPT, {
+    keys: [key],
+    arguments: [String(amount), String(limit), String(ttlSeconds)]
+  });
+
+  return { allowed: allowed === 1, used };
+};
+
+/**
+ * Give back a reservation, e.g. when the work it was for could not be queued
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} key - Counter key
+ * @param {number} amount - Units to release
+ */
+const releaseQuota = async (redisClient, key, amount) => {
+  await redisClient.eval(RELEASE_SCRIPT, { keys: [key], arguments: [String(amount)] });
+};
+
+module.exports = {
+  hitRateLimit,
+  setRateLimitHeaders,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  reserveQuota,
+  releaseQuota
+};
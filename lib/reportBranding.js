@@ -0,0 +1,14 @@
+const { config } = require('../config');
+
+/**
+ * Branding applied to PDF and HTML reports
+ * Every value can be overridden through the environment (REPORT_* variables, see config.js)
+ * Titles left unset are translated into the reader's language
+ * @returns {Object} { title, digestTitle, company, logoPath, colors }
+ */
+const getBranding = () => ({
+  ...config.branding,
+  colors: { ...config.branding.colors }
+});
+
+module.exports = { getBranding };
@@ -0,0 +1,47 @@
+const { escapeCsvValue } = require('./failedRows');
+
+const CSV_COLUMNS = ['type', 'jobId', 'index', 'row', 'title', 'isbn', 'detail'];
+
+const toCsvLine = (values) => values.map(escapeCsvValue).join(',');
+
+/**
+ * Render a report as CSV: the summary from the report model, as in the PDF and HTML,
+ * then the failed and duplicate rows with their raw job, index and row references
+ * @param {Object} statusData - Status data, or a combined digest
+ * @param {Object} model - Report model from buildReportModel for the same status data
+ * @returns {Buffer} CSV file contents
+ */
+const generateCSVReport = (statusData, model) => {
+  const summary = model.sections
+    .filter(section => section.type === 'keyValue')
+    .flatMap(section => [
+      toCsvLine([section.title]),
+      ...section.rows.map(row => toCsvLine([row.label, row.value])),
+      ''
+    ]);
+
+  const rows = [
+    ...(statusData.failures || []).map(failure => ({
+      type: 'failure',
+      jobId: statusData.jobId,
+      ...failure,
+      detail: failure.error
+    })),
+    ...(statusData.duplicates || []).map(duplicate => ({
+      type: 'duplicate',
+      jobId: statusData.jobId,
+      ...duplicate,
+      detail: duplicate.action
+    }))
+  ];
+
+  const lines = [
+    ...summary,
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => toCsvLine(CSV_COLUMNS.map(column => row[column])))
+  ];
+
+  return Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+module.exports = { generateCSVReport };
@@ -0,0 +1,125 @@
+// Long tables are cut short in the email; the attachment has every row
+const MAX_EMAIL_TABLE_ROWS = 25;
+
+const escapeHtml = (value) => (value === undefined || value === null ? '' : String(value))
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderSectionTitle = (title, colors) => `<h3 style="color: ${colors.primary}; margin: 24px 0 8px;">${escapeHtml(title)}</h3>`;
+
+const renderText = (section, colors) => {
+  const color = section.tone ? colors[section.tone] : colors.text;
+  return `<p style="color: ${color};">${escapeHtml(section.text)}</p>`;
+};
+
+const renderKeyValue = (section, colors) => `
+  <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+    ${renderSectionTitle(section.title, colors)}
+    <ul style="list-style-type: none; padding: 0; margin: 0;">
+      ${section.rows.map(row => `<li><strong>${escapeHtml(row.label)}:</strong> <span style="color: ${row.color || colors.text};">${escapeHtml(row.value)}</span></li>`).join('')}
+    </ul>
+  </div>`;
+
+// Email clients don't render SVG reliably, so the pie becomes a single stacked bar
+const renderPieChart = (section, colors, i18n) => {
+  const total = section.data.reduce((sum, slice) => sum + slice.value, 0);
+
+  if (total === 0) {
+    return '';
+  }
+
+  const percent = (slice) => ((slice.value / total) * 100).toFixed(1);
+  const label = (slice) => `${escapeHtml(slice.label)}: ${escapeHtml(i18n.number(slice.value))} (${escapeHtml(i18n.percent(slice.value / total))})`;
+
+  return `
+    ${renderSectionTitle(section.title, colors)}
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse: collapse;">
+      <tr>
+        ${section.data.filter(slice => slice.value > 0).map(slice => `<td style="background-color: ${slice.color}; height: 16px; width: ${percent(slice)}%;"></td>`).join('')}
+      </tr>
+    </table>
+    <p style="font-size: 13px;">
+      ${section.data.map(slice => `<span style="color: ${slice.color};">&#9632;</span> ${label(slice)}`).join(' &nbsp; ')}
+    </p>`;
+};
+
+const renderBarChart = (section, colors, i18n) => {
+  const maxValue = Math.max(...section.data.map(bar => bar.value), 1);
+
+  return `
+    ${renderSectionTitle(section.title, colors)}
+    <table role="presentation" width="100%" cellpadding="4" cellspacing="0" style="border-collapse: collapse; font-size: 13px;">
+      ${section.data.map(bar => `
+        <tr>
+          <td style="width: 35%;">${escapeHtml(bar.label)}</td>
+          <td>
+            <div style="background-color: ${bar.color || colors.primary}; height: 12px; width: ${Math.max((bar.value / maxValue) * 100, 1).toFixed(1)}%; display: inline-block;"></div>
+            <span style="margin-left: 6px;">${escapeHtml(i18n.number(bar.value))}</span>
+          </td>
+        </tr>`).join('')}
+    </table>`;
+};
+
+const renderTable = (section, colors, i18n) => {
+  const rows = section.rows.slice(0, MAX_EMAIL_TABLE_ROWS);
+  const hiddenCount = section.rows.length - rows.length;
+  const cellStyle = `border-bottom: 1px solid ${colors.border}; padding: 6px; text-align: left; vertical-align: top;`;
+
+  return `
+    ${renderSectionTitle(section.title, colors)}
+    <table width="100%" cellspacing="0" style="border-collapse: collapse; font-size: 13px;">
+      <tr style="background-color: ${colors.tableHeader};">
+        ${section.columns.map(column => `<th style="${cellStyle}">${escapeHtml(column.label)}</th>`).join('')}
+      </tr>
+      ${rows.map(row => `
+        <tr>
+          ${section.columns.map(column => `<td style="${cellStyle}">${escapeHtml(row[column.key])}</td>`).join('')}
+        </tr>`).join('')}
+    </table>
+    ${hiddenCount > 0 ? `<p style="font-size: 12px; color: ${colors.muted};">${escapeHtml(i18n.t('email.moreRows', { count: hiddenCount }))}</p>` : ''}`;
+};
+
+const SECTION_RENDERERS = {
+  text: renderText,
+  keyValue: renderKeyValue,
+  chart: (section, colors, i18n) => (section.chart === 'pie' ? renderPieChart(section, colors, i18n) : renderBarChart(section, colors, i18n)),
+  table: renderTable
+};
+
+/**
+ * Render a report model (see reportModel.js) as an HTML email body
+ * @param {Object} model - Report model from buildReportModel
+ * @param {Object} options - Email-only content
+ * @param {Array<string>} options.notes - Extra paragraphs (trusted HTML) shown after the report
+ * @returns {string} HTML
+ */
+const renderReportHTML = (model, { notes = [] } = {}) => {
+  const { branding, i18n } = model;
+  const { colors } = branding;
+
+  return `
+    <div lang="${escapeHtml(i18n.locale)}" style="font-family: Arial, sans-serif; line-height: 1.6; color: ${colors.text}; max-width: 700px;">
+      ${branding.logoUrl ? `<img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.company)}" style="max-height: 40px;">` : ''}
+      <h2 style="color: ${colors.primary};">${escapeHtml(model.title)}</h2>
+      <p style="font-size: 12px; color: ${colors.muted};">${escapeHtml(model.subtitle)} &middot; ${escapeHtml(i18n.t('report.reportId', { id: model.reportId }))}</p>
+      <p>${escapeHtml(i18n.t('email.greeting'))}</p>
+
+      ${model.sections.map(section => SECTION_RENDERERS[section.type](section, colors, i18n)).join('\n')}
+
+      ${notes.map(note => `<p>${note}</p>`).join('\n')}
+
+      <p>${escapeHtml(i18n.t('email.signOff'))}<br>
+      ${escapeHtml(branding.company)}</p>
+
+      <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+      <p style="font-size: 12px; color: ${colors.muted};">
+        ${escapeHtml(i18n.t('email.automated'))}
+      </p>
+    </div>
+  `;
+};
+
+module.exports = { escapeHtml, renderReportHTML };
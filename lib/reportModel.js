@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { getBranding } = require('./reportBranding');
+const { createTranslator } = require('./i18n');
+
+// Error-type slices beyond this are grouped as "Other" in the chart
+const MAX_ERROR_TYPES = 6;
+
+const getSuccessRate = (statusData, i18n) => (statusData.totalBooks > 0
+  ? i18n.percent(statusData.successCount / statusData.totalBooks)
+  : i18n.t('report.notAvailable'));
+
+const getLocation = (item, i18n) => (item.row
+  ? i18n.t('report.row', { row: item.row })
+  : i18n.t('report.index', { index: item.index }));
+
+// Digest periods run from the first job's timestamp to the last one's
+const getPeriod = (jobs, i18n) => {
+  const start = i18n.dateTime(jobs[0].timestamp);
+  const end = i18n.dateTime(jobs[jobs.length - 1].timestamp);
+
+  return start === end ? start : i18n.t('report.periodRange', { start, end });
+};
+
+/**
+ * Reduce an error message to its type, dropping row-specific details
+ * e.g. "Duplicate ISBN: 9780306406157" becomes "Duplicate ISBN"
+ * @param {string} message - Failure error message
+ * @returns {string} Error type
+ */
+const getErrorType = (message) => {
+  const type = String(message || 'Unknown error').split(':')[0].trim();
+  return type.length > 40 ? `${type.slice(0, 37)}...` : type;
+};
+
+const countErrorTypes = (failures, i18n) => {
+  const counts = new Map();
+
+  for (const failure of failures) {
+    const type = failure.error ? getErrorType(failure.error) : i18n.t('report.unknownError');
+    counts.set(type, (counts.get(type) || 0) + 1);
+  }
+
+  const sorted = [...counts].sort((a, b) => b[1] - a[1]);
+  const top = sorted.slice(0, MAX_ERROR_TYPES).map(([label, value]) => ({ label, value }));
+  const otherCount = sorted.slice(MAX_ERROR_TYPES).reduce((sum, [, value]) => sum + value, 0);
+
+  return otherCount > 0 ? [...top, { label: i18n.t('report.otherErrors'), value: otherCount }] : top;
+};
+
+/**
+ * Describe a report as renderer-neutral sections
+ * The PDF and the HTML email are both rendered from this, so they always show the same data
+ * Section types: 'text', 'keyValue', 'chart' (pie or bar) and 'table'
+ * Text is already translated; renderers use model.i18n for their own labels and numbers
+ * @param {Object} statusData - Status data, or a combined digest
+ * @param {Object} options - Report options
+ * @param {string} options.userId - User ID
+ * @param {string} options.locale - Reader's locale, defaults to English
+ * @param {string} options.timeZone - Reader's timezone for dates, defaults to UTC
+ * @param {Object} options.branding - Branding, defaults to getBranding()
+ * @returns {Object} { title, subtitle, reportId, branding, i18n, sections }
+ */
+const buildReportModel = (statusData, { userId, locale, timeZone, branding = getBranding() } = {}) => {
+  const { colors } = branding;
+  const i18n = createTranslator({ locale, timeZone });
+  const { t, number } = i18n;
+  const isDigest = Boolean(statusData.jobs);
+  const failures = statusData.failures || [];
+  const duplicates = statusData.duplicates || [];
+  const sections = [];
+
+  sections.push({
+    type: 'text',
+    text: isDigest
+      ? t('report.digestIntro', { count: statusData.jobs.length })
+      : t('report.intro')
+  });
+
+  sections.push({
+    type: 'keyValue',
+    title: t('report.summary'),
+    rows: [
+      { label: t('report.userId'), value: userId || statusData.userId },
+      isDigest
+        ? { label: t('report.period'), value: getPeriod(statusData.jobs, i18n) }
+        : { label: t('report.processTime'), value: i18n.dateTime(statusData.timestamp) },
+      { label: t('report.totalBooks'), value: number(statusData.totalBooks) },
+      { label: t('report.successful'), value: number(statusData.successCount), color: colors.success },
+      { label: t('report.failed'), value: number(statusData.failureCount), color: colors.failure },
+      { label: t('report.duplicateIsbns'), value: number(statusData.duplicateCount || 0) },
+      { label: t('report.successRate'), value: getSuccessRate(statusData, i18n) }
+    ]
+  });
+
+  sections.push(statusData.failureCount > 0
+    ? { type: 'text', tone: 'failure', text: t('report.someFailed') }
+    : { type: 'text', tone: 'success', text: t('report.allSucceeded') });
+
+  if (statusData.totalBooks > 0) {
+    sections.push({
+      type: 'chart',
+      chart: 'pie',
+      title: t('report.results'),
+      data: [
+        { label: t('report.successful'), value: statusData.successCount, color: colors.success },
+        { label: t('report.failed'), value: statusData.failureCount, color: colors.failure }
+      ]
+    });
+  }
+
+  if (failures.length > 0) {
+    sections.push({
+      type: 'chart',
+      chart: 'bar',
+      title: t('report.failuresByType'),
+      data: countErrorTypes(failures, i18n).map(entry => ({ ...entry, color: colors.failure }))
+    });
+  }
+
+  if (isDigest) {
+    sections.push({
+      type: 'table',
+      title: t('report.jobs', { count: statusData.jobs.length }),
+      columns: [
+        { key: 'jobId', label: t('report.job'), width: 3 },
+        { key: 'timestamp', label: t('report.processed'), width: 3 },
+        { key: 'totalBooks', label: t('report.total'), width: 1 },
+        { key: 'successCount', label: t('report.successful'), width: 1 },
+        { key: 'failureCount', label: t('report.failed'), width: 1 },
+        { key: 'duplicateCount', label: t('report.duplicates'), width: 1 }
+      ],
+      rows: statusData.jobs.map(job => ({
+        jobId: job.jobId,
+        timestamp: i18n.dateTime(job.timestamp),
+        totalBooks: number(job.totalBooks),
+        successCount: number(job.successCount),
+        failureCount: number(job.failureCount),
+        duplicateCount: number(job.duplicateCount || 0)
+      }))
+    });
+  }
+
+  if (failures.length > 0) {
+    sections.push({
+      type: 'table',
+      title: t('report.failedItems'),
+      columns: [
+        { key: 'position', label: '#', width: 0.6 },
+        { key: 'location', label: t('report.location'), width: 1.4 },
+        ...(isDigest ? [{ key: 'jobId', label: t('report.job'), width: 2.5 }] : []),
+        { key: 'title', label: t('report.bookTitle'), width: 2.5 },
+        { key: 'error', label: t('report.error'), width: 4 }
+      ],
+      rows: failures.map((failure, index) => ({
+        position: number(index + 1),
+        location: getLocation(failure, i18n),
+        jobId: failure.jobId,
+        title: failure.title,
+        error: failure.error
+      }))
+    });
+  }
+
+  if (duplicates.length > 0) {
+    sections.push({
+      type: 'table',
+      title: t('report.duplicateIsbns'),
+      columns: [
+        { key: 'position', label: '#', width: 0.6 },
+        { key: 'location', label: t('report.location'), width: 1.4 },
+        { key: 'title', label: t('report.bookTitle'), width: 3 },
+        { key: 'isbn', label: t('report.isbn'), width: 2 },
+        { key: 'action', label: t('report.action'), width: 1.2 }
+      ],
+      rows: duplicates.map((duplicate, index) => ({
+        position: number(index + 1),
+        location: getLocation(duplicate, i18n),
+        title: duplicate.title,
+        isbn: duplicate.isbn,
+        action: duplicate.action
+      }))
+    });
+  }
+
+  return {
+    title: (isDigest ? branding.digestTitle : branding.title) || t(isDigest ? 'report.digestTitle' : 'report.title'),
+    subtitle: t('report.generatedOn', { date: i18n.dateTime(new Date()) }),
+    reportId: crypto.randomUUID(),
+    branding,
+    i18n,
+    sections
+  };
+};
+
+module.exports = { getErrorType, buildReportModel };
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 20;
+const CELL_PADDING = 4;
+const FONT = 'Helvetica';
+const BOLD_FONT = 'Helvetica-Bold';
+
+const bottomLimit = (doc) => doc.page.height - doc.page.margins.bottom;
+
+// Start a new page unless `height` more points fit on this one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > bottomLimit(doc)) {
+    doc.addPage();
+  }
+};
+
+const asText = (value) => (value === undefined || value === null ? '' : String(value));
+
+const renderHeader = (ctx, model) => {
+  const { doc, left, width, colors } = ctx;
+  const { logoPath } = model.branding;
+  let textLeft = left;
+
+  if (logoPath && fs.existsSync(logoPath)) {
+    doc.image(logoPath, left, MARGIN, { fit: [100, 40] });
+    textLeft = left + 110;
+  }
+
+  doc.font(BOLD_FONT).fontSize(20).fillColor(colors.primary)
+     .text(model.title, textLeft, MARGIN, { width: width - (textLeft - left) });
+  doc.font(FONT).fontSize(10).fillColor(colors.muted)
+     .text(model.subtitle, textLeft, doc.y + 2)
+     .text(model.i18n.t('report.reportId', { id: model.reportId }), textLeft, doc.y);
+
+  const ruleY = Math.max(doc.y, MARGIN + 40) + 8;
+  doc.moveTo(left, ruleY).lineTo(left + width, ruleY).lineWidth(1.5).strokeColor(colors.primary).stroke();
+  doc.y = ruleY + 14;
+};
+
+const renderSectionTitle = (ctx, title) => {
+  const { doc, left, colors } = ctx;
+
+  // Keep a title on the same page as the start of its section
+  ensureSpace(doc, 60);
+  doc.font(BOLD_FONT).fontSize(14).fillColor(colors.primary).text(title, left, doc.y);
+  doc.y += 6;
+};
+
+const renderText = (ctx, section) => {
+  const { doc, left, width, colors } = ctx;
+  const color = section.tone ? colors[section.tone] : colors.text;
+  const height = doc.font(FONT).fontSize(11).heightOfString(section.text, { width });
+
+  ensureSpace(doc, height);
+  doc.fillColor(color).text(section.text, left, doc.y, { width });
+  doc.y += 10;
+};
+
+const renderKeyValue = (ctx, section) => {
+  const { doc, left, width, colors } = ctx;
+  const labelWidth = 150;
+
+  renderSectionTitle(ctx, section.title);
+
+  for (const row of section.rows) {
+    const value = asText(row.value);
+    const height = Math.max(
+      doc.font(BOLD_FONT).fontSize(11).heightOfString(row.label, { width: labelWidth }),
+      doc.font(FONT).fontSize(11).heightOfString(value, { width: width - labelWidth })
+    );
+
+    ensureSpace(doc, height);
+    const y = doc.y;
+
+    doc.font(BOLD_FONT).fillColor(colors.text).text(row.label, left, y, { width: labelWidth });
+    doc.font(FONT).fillColor(row.color || colors.text).text(value, left + labelWidth, y, { width: width - labelWidth });
+    doc.y = y + height + 4;
+  }
+
+  doc.y += 10;
+};
+
+const renderPieChart = (ctx, section) => {
+  const { doc, left, colors, i18n } = ctx;
+  const radius = 60;
+  const total = section.data.reduce((sum, slice) => sum + slice.value, 0);
+
+  if (total === 0) {
+    return;
+  }
+
+  renderSectionTitle(ctx, section.title);
+  ensureSpace(doc, radius * 2 + 10);
+
+  const top = doc.y;
+  const centerX = left + radius;
+  const centerY = top + radius;
+  let startAngle = -Math.PI / 2;
+
+  for (const slice of section.data.filter(entry => entry.value > 0)) {
+    const sweep = (slice.value / total) * Math.PI * 2;
+
+    if (slice.value === total) {
+      doc.circle(centerX, centerY, radius).fill(slice.color);
+    } else {
+      doc.moveTo(centerX, centerY)
+         .arc(centerX, centerY, radius, startAngle, startAngle + sweep)
+         .lineTo(centerX, centerY)
+         .fill(slice.color);
+    }
+
+    startAngle += sweep;
+  }
+
+  // Legend beside the pie
+  let legendY = top + radius - (section.data.length * 18) / 2;
+  for (const slice of section.data) {
+    doc.rect(left + radius * 2 + 30, legendY + 2, 10, 10).fill(slice.color);
+    doc.font(FONT).fontSize(11).fillColor(colors.text)
+       .text(`${slice.label}: ${i18n.number(slice.value)} (${i18n.percent(slice.value / total)})`, left + radius * 2 + 48, legendY);
+    legendY += 18;
+  }
+
+  doc.y = top + radius * 2 + 20;
+};
+
+const renderBarChart = (ctx, section) => {
+  const { doc, left, width, colors, i18n } = ctx;
+  const labelWidth = 170;
+  const valueWidth = 40;
+  const barHeight = 12;
+  const maxValue = Math.max(...section.data.map(bar => bar.value), 1);
+
+  renderSectionTitle(ctx, section.title);
+
+  for (const bar of section.data) {
+    ensureSpace(doc, barHeight + 8);
+    const y = doc.y;
+    const barWidth = ((width - labelWidth - valueWidth) * bar.value) / maxValue;
+
+    doc.font(FONT).fontSize(10).fillColor(colors.text)
+       .text(bar.label, left, y, { width: labelWidth - 10, height: barHeight + 4, ellipsis: true });
+    doc.rect(left + labelWidth, y, Math.max(barWidth, 1), barHeight).fill(bar.color || colors.primary);
+    doc.fillColor(colors.text).text(i18n.number(bar.value), left + labelWidth + barWidth + 6, y, { lineBreak: false });
+
+    doc.y = y + barHeight + 8;
+  }
+
+  doc.y += 10;
+};
+
+const renderTableHeader = (ctx, columns) => {
+  const { doc, left, width, colors } = ctx;
+  const height = Math.max(...columns.map(column => (
+    doc.font(BOLD_FONT).fontSize(10).heightOfString(column.label, { width: column.pixelWidth - CELL_PADDING * 2 })
+  ))) + CELL_PADDING * 2;
+  const y = doc.y;
+
+  doc.rect(left, y, width, height).fill(colors.tableHeader);
+
+  let x = left;
+  for (const column of columns) {
+    doc.font(BOLD_FONT).fontSize(10).fillColor(colors.text)
+       .text(column.label, x + CELL_PADDING, y + CELL_PADDING, { width: column.pixelWidth - CELL_PADDING * 2 });
+    x += column.pixelWidth;
+  }
+
+  doc.y = y + height;
+};
+
+const renderTable = (ctx, section) => {
+  const { doc, left, width, colors } = ctx;
+  const totalWeight = section.columns.reduce((sum, column) => sum + column.width, 0);
+  const columns = section.columns.map(column => ({ ...column, pixelWidth: (width * column.width) / totalWeight }));
+
+  renderSectionTitle(ctx, section.title);
+  renderTableHeader(ctx, columns);
+
+  for (const row of section.rows) {
+    // Cells wrap, so the row is as tall as its longest cell
+    const height = Math.max(...columns.map(column => (
+      doc.font(FONT).fontSize(10).heightOfString(asText(row[column.key]), { width: column.pixelWidth - CELL_PADDING * 2 })
+    ))) + CELL_PADDING * 2;
+
+    if (doc.y + height > bottomLimit(doc)) {
+      doc.addPage();
+      renderTableHeader(ctx, columns);
+    }
+
+    const y = doc.y;
+    let x = left;
+
+    for (const column of columns) {
+      doc.font(FONT).fontSize(10).fillColor(colors.text)
+         .text(asText(row[column.key]), x + CELL_PADDING, y + CELL_PADDING, { width: column.pixelWidth - CELL_PADDING * 2 });
+      x += column.pixelWidth;
+    }
+
+    doc.moveTo(left, y + height).lineTo(left + width, y + height).lineWidth(0.5).strokeColor(colors.border).stroke();
+    doc.y = y + height;
+  }
+
+  doc.y += 16;
+};
+
+const SECTION_RENDERERS = {
+  text: renderText,
+  keyValue: renderKeyValue,
+  chart: (ctx, section) => (section.chart === 'pie' ? renderPieChart(ctx, section) : renderBarChart(ctx, section)),
+  table: renderTable
+};
+
+// Page numbers are drawn last, once the page count is known
+const renderFooters = (ctx, model) => {
+  const { doc, left, width, colors, i18n } = ctx;
+  const { start, count } = doc.bufferedPageRange();
+
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+
+    // The footer sits inside the bottom margin, so lift the margin while drawing it
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+
+    const y = doc.page.height - MARGIN;
+    doc.font(FONT).fontSize(9).fillColor(colors.muted)
+       .text(model.branding.company, left, y, { width: width / 2, lineBreak: false })
+       .text(i18n.t('report.page', { page: i + 1, count }), left + width / 2, y, { width: width / 2, align: 'right', lineBreak: false });
+
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+/**
+ * Render a report model (see reportModel.js) as a paginated PDF
+ * Sections flow down the page; tables wrap long cells and repeat their header on each page
+ * @param {Object} model - Report model from buildReportModel
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+const renderReportPDF = (model) => new Promise((resolve, reject) => {
+  try {
+    const doc = new PDFDocument({
+      bufferPages: true,
+      margins: { top: MARGIN, left: MARGIN, right: MARGIN, bottom: MARGIN + FOOTER_HEIGHT }
+    });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const ctx = {
+      doc,
+      left: MARGIN,
+      width: doc.page.width - MARGIN * 2,
+      colors: model.branding.colors,
+      i18n: model.i18n
+    };
+
+    renderHeader(ctx, model);
+
+    for (const section of model.sections) {
+      SECTION_RENDERERS[section.type](ctx, section);
+    }
+
+    renderFooters(ctx, model);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+module.exports = { renderReportPDF };
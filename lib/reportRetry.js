@@ -0,0 +1,219 @@
+const { config } = require('../config');
+
+// Attempts before a report is moved to the dead-letter set
+const MAX_REPORT_ATTEMPTS = config.reports.maxAttempts;
+
+// Delay before the first retry; doubles on every further failure up to the cap
+const RETRY_BASE_DELAY_MS = config.reports.retryBaseMs;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// Sorted sets of status keys, scored by next attempt time / dead-letter time
+const RETRY_SCHEDULE_KEY = 'report_retry:schedule';
+const DEAD_LETTER_KEY = 'report_dead_letter';
+const ATTEMPTS_KEY = 'report_retry:attempts';
+
+const getDeadLetterRecordKey = (statusKey) => `report_dead_letter:${statusKey}`;
+
+// Per-user sets of status and error keys, so history lookups never scan the keyspace
+// Members outlive the keys they name and are pruned when read
+const getStatusIndexKey = (userId) => `report_index:status:${userId}`;
+const getErrorIndexKey = (userId) => `report_index:error:${userId}`;
+
+/**
+ * Exponential backoff for the given attempt number (1-based)
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+
+/**
+ * Check whether a status report should be attempted now
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} statusKey - bulk_status key
+ * @returns {Promise<{ due: boolean, deadLettered: boolean, nextAttemptAt: number|null }>} Retry state
+ */
+const getRetryState = async (redisClient, statusKey) => {
+  if (await redisClient.zScore(DEAD_LETTER_KEY, statusKey) !== null) {
+    return { due: false, deadLettered: true, nextAttemptAt: null };
+  }
+
+  const nextAttemptAt = await redisClient.zScore(RETRY_SCHEDULE_KEY, statusKey);
+
+  return {
+    due: nextAttemptAt === null || nextAttemptAt <= Date.now(),
+    deadLettered: false,
+    nextAttemptAt
+  };
+};
+
+/**
+ * Record a failed report attempt and schedule the next one
+ * Reports that keep failing, or fail with `error.permanent`, are dead-lettered
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} statusKey - bulk_status key
+ * @param {string} userId - User ID
+ * @param {Error} error - Failure cause
+ * @returns {Promise<{ attempts: number, deadLettered: boolean, nextAttemptAt: number|null }>} Retry outcome
+ */
+const recordFailure = async (redisClient, statusKey, userId, error) => {
+  const attempts = await redisClient.hIncrBy(ATTEMPTS_KEY, statusKey, 1);
+  const now = Date.now();
+
+  // Error log kept for monitoring, as before
+  const errorKey = `report_error:${userId}:${now}`;
+  await redisClient.setEx(errorKey, config.errorLog.ttlSeconds, JSON.stringify({
+    userId: userId,
+    originalKey: statusKey,
+    error: error.message,
+    timestamp: new Date(now).toISOString(),
+    retryCount: attempts
+  }));
+  await redisClient.sAdd(getErrorIndexKey(userId), errorKey);
+  // Every member expires with the log, so the index can too
+  await redisClient.expire(getErrorIndexKey(userId), config.errorLog.ttlSeconds);
+
+  // The status must outlive its retries, so drop its expiry
+  await redisClient.persist(statusKey);
+
+  if (error.permanent || attempts >= MAX_REPORT_ATTEMPTS) {
+    await redisClient.zRem(RETRY_SCHEDULE_KEY, statusKey);
+    await redisClient.zAdd(DEAD_LETTER_KEY, { score: now, value: statusKey });
+    await redisClient.set(getDeadLetterRecordKey(statusKey), JSON.stringify({
+      statusKey,
+      userId,
+      attempts,
+      lastError: error.message,
+      lastErrorKey: errorKey,
+      deadLetteredAt: new Date(now).toISOString()
+    }));
+
+    return { attempts, deadLettered: true, nextAttemptAt: null };
+  }
+
+  const nextAttemptAt = now + getRetryDelay(attempts);
+  await redisClient.zAdd(RETRY_SCHEDULE_KEY, { score: nextAttemptAt, value: statusKey });
+
+  return { attempts, deadLettered: false, nextAttemptAt };
+};
+
+/**
+ * Record a user's status key so getUserReportHistory can find it
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} userId - User ID
+ * @param {string} statusKey - bulk_status key
+ */
+const indexStatusKey = async (redisClient, userId, statusKey) => {
+  await redisClient.sAdd(getStatusIndexKey(userId), statusKey);
+};
+
+/**
+ * Read the keys in a user index, dropping members whose key has expired or been deleted
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} indexKey - Index set key
+ * @returns {Promise<Array<{ key: string, value: string }>>} Keys that still exist, with their values
+ */
+const readIndexedKeys = async (redisClient, indexKey) => {
+  const entries = [];
+
+  for (const key of await redisClient.sMembers(indexKey)) {
+    const value = await redisClient.get(key);
+
+    if (value) {
+      entries.push({ key, value });
+    } else {
+      await redisClient.sRem(indexKey, key);
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Forget retry bookkeeping for a report that was sent or discarded
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} statusKey - bulk_status key
+ */
+const clearRetryState = async (redisClient, statusKey) => {
+  await redisClient.hDel(ATTEMPTS_KEY, statusKey);
+  await redisClient.zRem(RETRY_SCHEDULE_KEY, statusKey);
+};
+
+/**
+ * List dead-lettered reports, most recent first
+ * @param {Object} redisClient - Connected Redis client
+ * @returns {Promise<Array<Object>>} Dead-letter records
+ */
+const listDeadLetters = async (redisClient) => {
+  const statusKeys = await redisClient.zRange(DEAD_LETTER_KEY, 0, -1, { REV: true });
+  const records = [];
+
+  for (const statusKey of statusKeys) {
+    const record = await redisClient.get(getDeadLetterRecordKey(statusKey));
+    const statusExists = await redisClient.exists(statusKey);
+
+    records.push({
+      ...(record ? JSON.parse(record) : { statusKey }),
+      statusAvailable: Boolean(statusExists)
+    });
+  }
+
+  return records;
+};
+
+/**
+ * Move a dead-lettered report back so the next report tick sends it
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} statusKey - bulk_status key
+ * @returns {Promise<string>} 'requeued', 'not_found' or 'status_missing'
+ */
+const requeueDeadLetter = async (redisClient, statusKey) => {
+  if (await redisClient.zScore(DEAD_LETTER_KEY, statusKey) === null) {
+    return 'not_found';
+  }
+
+  if (!(await redisClient.exists(statusKey))) {
+    return 'status_missing';
+  }
+
+  await redisClient.zRem(DEAD_LETTER_KEY, statusKey);
+  await redisClient.del(getDeadLetterRecordKey(statusKey));
+  await clearRetryState(redisClient, statusKey);
+
+  return 'requeued';
+};
+
+/**
+ * Report history for one user: statuses awaiting delivery, failed attempts and dead letters
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { pending, errors, deadLettered }
+ */
+const getUserReportHistory = async (redisClient, userId) => {
+  const pending = [];
+  for (const { key: statusKey, value } of await readIndexedKeys(redisClient, getStatusIndexKey(userId))) {
+    const { failures, duplicates, ...summary } = JSON.parse(value);
+    pending.push({ statusKey, ...summary, ...(await getRetryState(redisClient, statusKey)) });
+  }
+
+  const errors = [];
+  for (const { key: errorKey, value } of await readIndexedKeys(redisClient, getErrorIndexKey(userId))) {
+    errors.push({ errorKey, ...JSON.parse(value) });
+  }
+  errors.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+  const deadLettered = (await listDeadLetters(redisClient)).filter(record => record.userId === userId);
+
+  return { pending, errors, deadLettered };
+};
+
+module.exports = {
+  MAX_REPORT_ATTEMPTS,
+  getRetryDelay,
+  getRetryState,
+  recordFailure,
+  indexStatusKey,
+  clearRetryState,
+  listDeadLetters,
+  requeueDeadLetter,
+  getUserReportHistory
+};
@@ -0,0 +1,66 @@
+const { isValidTimeZone } = require('./i18n');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Wall-clock date, hour and weekday of an instant in a timezone
+ * @param {Date} now - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { date: 'YYYY-MM-DD', hour, weekday }
+ */
+const getLocalTime = (now, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+    weekday: 'short'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Calendar arithmetic on YYYY-MM-DD strings, independent of any timezone
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Local date of the most recent digest send time at or before `now`
+ * Comparing it with lastDigestPeriod tells whether a digest is owed, even after downtime
+ * A timezone Intl doesn't know (e.g. saved before timezones were validated) is treated as UTC
+ * @param {Object} preferences - Preference document
+ * @param {Date} now - Current time
+ * @returns {string} Local date (YYYY-MM-DD)
+ */
+const getDigestPeriod = (preferences, now = new Date()) => {
+  const timeZone = preferences.timezone && isValidTimeZone(preferences.timezone) ? preferences.timezone : 'UTC';
+  const local = getLocalTime(now, timeZone);
+  let daysBack = local.hour >= preferences.digestHour ? 0 : 1;
+
+  if (preferences.delivery === 'weekly') {
+    const weekday = (local.weekday - daysBack + 7) % 7;
+    daysBack += (weekday - preferences.digestDay + 7) % 7;
+  }
+
+  return addDays(local.date, -daysBack);
+};
+
+/**
+ * Check whether a digest user's pending reports should be sent now
+ * @param {Object} preferences - Preference document
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the current digest period hasn't been sent yet
+ */
+const isDigestDue = (preferences, now = new Date()) => {
+  const period = getDigestPeriod(preferences, now);
+  return !preferences.lastDigestPeriod || preferences.lastDigestPeriod < period;
+};
+
+module.exports = { getLocalTime, getDigestPeriod, isDigestDue };
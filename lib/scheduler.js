@@ -0,0 +1,37 @@
+const cron = require('node-cron');
+const { logger } = require('./logger');
+
+/**
+ * Schedule a recurring task that can be stopped gracefully
+ * Ticks may overlap (the tasks use Redis locks and leases for that); stop() waits for all of them
+ * @param {string} name - Task name, for logs
+ * @param {string} expression - Cron expression
+ * @param {Function} run - Async function run on every tick
+ * @returns {Object} { name, stop } where stop() resolves once no tick is running
+ */
+const scheduleTask = (name, expression, run) => {
+  const running = new Set();
+
+  const task = cron.schedule(expression, () => {
+    const tick = Promise.resolve()
+      .then(run)
+      .catch(error => logger.error('Unhandled error in scheduled task', { task: name, err: error }))
+      .finally(() => running.delete(tick));
+
+    running.add(tick);
+    return tick;
+  });
+
+  const stop = async () => {
+    task.stop();
+
+    if (running.size > 0) {
+      logger.info('Waiting for running ticks to finish', { task: name, running: running.size });
+      await Promise.all(running);
+    }
+  };
+
+  return { name, stop };
+};
+
+module.exports = { scheduleTask };
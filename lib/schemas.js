@@ -0,0 +1,214 @@
+const { z } = require('zod');
+const { toIsbn13 } = require('./isbn');
+const { SUPPORTED_LANGUAGES, isSupportedLocale, isValidTimeZone } = require('./i18n');
+const { CHANNEL_TYPES, CHANNEL_EVENTS } = require('./notifiers');
+const Preference = require('../models/preferences');
+
+// What to do with a book whose ISBN the user already has (see lib/bookWriter.js)
+const DUPLICATE_MODES = ['skip', 'update', 'fail'];
+const DEFAULT_DUPLICATE_MODE = 'fail';
+
+// CSV cells arrive as strings and JSON clients send null for "no value"; both blank forms mean unset
+const blankToUndefined = (value) => {
+  if (value === null || (typeof value === 'string' && value.trim() === '')) {
+    return undefined;
+  }
+  return value;
+};
+
+// Numbers are accepted where text is expected, e.g. a book titled 1984
+const toText = (value) => (typeof value === 'number' ? String(value) : value);
+
+const string = () => z.string({ required_error: 'Required', invalid_type_error: 'Must be a string' });
+
+const oneOf = (values) => z.enum(values, {
+  errorMap: () => ({ message: `Use one of: ${values.join(', ')}` })
+});
+
+const wholeNumber = (min, max) => z.number({ required_error: 'Required', invalid_type_error: 'Must be a whole number' })
+  .int('Must be a whole number')
+  .min(min, `Must be at least ${min}`)
+  .max(max, `Must be at most ${max}`);
+
+// A JSON null is a missing value here too, so it gets the Required message rather than a type error
+const requiredText = (max) => z.preprocess(
+  value => (value === null ? undefined : toText(value)),
+  string().trim().min(1, 'Required').max(max, `Must be at most ${max} characters`)
+);
+
+const optionalText = (max) => z.preprocess(
+  value => blankToUndefined(toText(value)),
+  string().trim().max(max, `Must be at most ${max} characters`).optional()
+);
+
+// Whole numbers given as numeric strings (CSV) are read as numbers
+const optionalWholeNumber = (min, max) => z.preprocess(
+  value => {
+    const present = blankToUndefined(value);
+    return typeof present === 'string' && /^\s*\d+\s*$/.test(present) ? Number(present) : present;
+  },
+  wholeNumber(min, max).optional()
+);
+
+// Stored as canonical ISBN-13, like the Book model's setter
+const isbn = optionalText(20).transform((value, ctx) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const isbn13 = toIsbn13(value);
+  if (!isbn13) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Invalid ISBN: ${value}` });
+    return z.NEVER;
+  }
+
+  return isbn13;
+});
+
+const bookFields = {
+  title: requiredText(500),
+  author: requiredText(300),
+  isbn,
+  publishedYear: optionalWholeNumber(0, 9999),
+  genre: optionalText(100)
+};
+
+/**
+ * A book as accepted by POST /api/books, the bulk endpoints and the bulk cron
+ * Unknown fields are dropped
+ */
+const bookSchema = z.object(bookFields, { invalid_type_error: 'Each book must be an object' });
+
+/**
+ * Fields for PUT /api/books/:id; every field is optional but at least one is needed
+ * null clears an optional field (isbn, publishedYear, genre); title and author can't be cleared
+ */
+const bookUpdateSchema = z.object({
+  title: bookFields.title.optional(),
+  author: bookFields.author.optional(),
+  isbn: bookFields.isbn.nullable(),
+  publishedYear: bookFields.publishedYear.nullable(),
+  genre: bookFields.genre.nullable()
+}, { invalid_type_error: 'Must be an object' }).refine(
+  book => Object.values(book).some(value => value !== undefined),
+  'Provide at least one field to update'
+);
+
+/**
+ * An uploaded CSV or NDJSON row; originalRow ties a resubmitted row to the failure it fixes
+ */
+const importRowSchema = bookSchema.extend({
+  originalRow: optionalWholeNumber(0, Number.MAX_SAFE_INTEGER)
+});
+
+const duplicateMode = oneOf(DUPLICATE_MODES).default(DEFAULT_DUPLICATE_MODE);
+
+/**
+ * Body of POST /api/books/bulk and /bulk/jobs
+ * Books are checked one by one afterwards, so a bad row doesn't reject the whole request
+ */
+const bulkBodySchema = z.object({
+  books: z.array(z.unknown(), { required_error: 'Required', invalid_type_error: 'Must be an array of books' })
+    .min(1, 'Must not be empty'),
+  onDuplicate: duplicateMode
+});
+
+/**
+ * Query of the upload and resubmit endpoints
+ */
+const bulkQuerySchema = z.object({
+  onDuplicate: duplicateMode
+});
+
+const email = string().trim().toLowerCase().email('Must be a valid email address');
+
+// bcrypt only reads the first 72 bytes
+const newPassword = string().min(8, 'Must be at least 8 characters').max(72, 'Must be at most 72 characters');
+
+const token = string().trim().min(1, 'Required');
+
+const registerSchema = z.object({
+  username: string().trim()
+    .min(3, 'Must be at least 3 characters')
+    .max(30, 'Must be at most 30 characters')
+    .regex(/^[\w.-]+$/, 'Use letters, digits, dots, dashes and underscores only'),
+  email,
+  password: newPassword
+});
+
+// No password rules on login, so accounts created before them can still sign in
+const loginSchema = z.object({
+  email,
+  password: string().min(1, 'Required')
+});
+
+const refreshSchema = z.object({ refreshToken: token });
+
+const forgotPasswordSchema = z.object({ email });
+
+const resetPasswordSchema = z.object({ token, password: newPassword });
+
+const verifyEmailSchema = z.object({ token });
+
+const resetLinkSchema = z.object({ token });
+
+const preferenceValues = (field) => Preference.schema.path(field).enumValues;
+
+/**
+ * Body of PUT /api/users/me/preferences; fields left out keep their current value
+ * Unknown fields are rejected rather than dropped, so a typo doesn't look like a saved setting
+ */
+const preferencesSchema = z.object({
+  delivery: oneOf(preferenceValues('delivery')).optional(),
+  attachment: oneOf(preferenceValues('attachment')).optional(),
+  locale: string().trim()
+    .refine(isSupportedLocale, `Use one of: ${SUPPORTED_LANGUAGES.join(', ')} (optionally with a region, e.g. es-MX)`)
+    .optional(),
+  timezone: string().trim().refine(isValidTimeZone, 'Must be an IANA time zone, e.g. Europe/Madrid').optional(),
+  digestHour: wholeNumber(0, 23).optional(),
+  digestDay: wholeNumber(0, 6).optional()
+}, { invalid_type_error: 'Must be an object' }).strict();
+
+// Address and URL rules depend on the channel type, so the notifier checks them (see lib/notifications.js)
+const channelFields = {
+  type: oneOf(CHANNEL_TYPES),
+  name: optionalText(100),
+  address: string().trim().toLowerCase().optional(),
+  url: string().trim().optional(),
+  events: z.array(oneOf(CHANNEL_EVENTS), { invalid_type_error: 'Must be an array of events' })
+    .min(1, 'Must not be empty')
+    .optional(),
+  enabled: z.boolean({ invalid_type_error: 'Must be true or false' }).optional()
+};
+
+/**
+ * Body of the notification channel create endpoints
+ */
+const channelSchema = z.object(channelFields, { invalid_type_error: 'Must be an object' }).strict();
+
+/**
+ * Body of PUT /api/users/me/channels/:channelId; fields left out keep their current value
+ */
+const channelUpdateSchema = z.object({ ...channelFields, type: channelFields.type.optional() }, {
+  invalid_type_error: 'Must be an object'
+}).strict();
+
+module.exports = {
+  DUPLICATE_MODES,
+  DEFAULT_DUPLICATE_MODE,
+  bookSchema,
+  bookUpdateSchema,
+  importRowSchema,
+  bulkBodySchema,
+  bulkQuerySchema,
+  registerSchema,
+  loginSchema,
+  refreshSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  resetLinkSchema,
+  verifyEmailSchema,
+  preferencesSchema,
+  channelSchema,
+  channelUpdateSchema
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config');
+
+// Access tokens are short-lived; refresh tokens rotate on every use
+const ACCESS_TOKEN_TTL_SECONDS = config.jwt.accessTokenTtlSeconds;
+const REFRESH_TOKEN_TTL_SECONDS = config.jwt.refreshTokenTtlSeconds;
+
+// Longest-lived access token we may still have to reject (pre-rotation tokens lasted 7 days)
+const MAX_ACCESS_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshTokenKey = (tokenHash) => `refresh_token:${tokenHash}`;
+const getUsedRefreshTokenKey = (tokenHash) => `refresh_token_used:${tokenHash}`;
+const getFamilyKey = (familyId) => `refresh_family:${familyId}`;
+const getUserFamiliesKey = (userId) => `refresh_families:${userId}`;
+const getDenylistKey = (jti) => `token_denylist:${jti}`;
+const getRevokedBeforeKey = (userId) => `tokens_revoked_before:${userId}`;
+
+/**
+ * Issue an access token and a refresh token belonging to a token family
+ * A family is one login session; every rotation stays in the same family
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} userId - User ID
+ * @param {string} familyId - Existing family when rotating, omitted on login
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+const issueTokens = async (redisClient, userId, familyId = crypto.randomUUID()) => {
+  const token = jwt.sign(
+    { userId, jti: crypto.randomUUID() },
+    config.jwt.secret,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const tokenHash = hashToken(refreshToken);
+
+  await redisClient.setEx(getRefreshTokenKey(tokenHash), REFRESH_TOKEN_TTL_SECONDS, JSON.stringify({ userId, familyId }));
+  await redisClient.setEx(getFamilyKey(familyId), REFRESH_TOKEN_TTL_SECONDS, JSON.stringify({ userId, currentTokenHash: tokenHash }));
+  await redisClient.sAdd(getUserFamiliesKey(userId), familyId);
+
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+};
+
+/**
+ * Revoke a token family, invalidating its current refresh token
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} familyId - Token family ID
+ */
+const revokeFamily = async (redisClient, familyId) => {
+  const familyData = await redisClient.get(getFamilyKey(familyId));
+
+  if (!familyData) {
+    return;
+  }
+
+  const family = JSON.parse(familyData);
+  await redisClient.del(getRefreshTokenKey(family.currentTokenHash));
+  await redisClient.del(getFamilyKey(familyId));
+  await redisClient.sRem(getUserFamiliesKey(family.userId), familyId);
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Presenting an already-used refresh token revokes its whole family
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<Object>} { userId, familyId } on success, or { error: 'invalid' | 'reused' }
+ */
+const consumeRefreshToken = async (redisClient, refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  // GETDEL makes each refresh token single-use even under concurrent requests
+  const tokenData = await redisClient.getDel(getRefreshTokenKey(tokenHash));
+
+  if (!tokenData) {
+    const reusedFamilyId = await redisClient.get(getUsedRefreshTokenKey(tokenHash));
+
+    if (reusedFamilyId) {
+      await revokeFamily(redisClient, reusedFamilyId);
+      return { error: 'reused' };
+    }
+
+    return { error: 'invalid' };
+  }
+
+  const { userId, familyId } = JSON.parse(tokenData);
+  await redisClient.setEx(getUsedRefreshTokenKey(tokenHash), REFRESH_TOKEN_TTL_SECONDS, familyId);
+
+  if (!(await redisClient.exists(getFamilyKey(familyId)))) {
+    return { error: 'invalid' };
+  }
+
+  return { userId, familyId };
+};
+
+/**
+ * Find the family a refresh token belongs to, without consuming it
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<Object|null>} { userId, familyId }
+ */
+const getRefreshTokenFamily = async (redisClient, refreshToken) => {
+  const tokenData = await redisClient.get(getRefreshTokenKey(hashToken(refreshToken)));
+  return tokenData ? JSON.parse(tokenData) : null;
+};
+
+/**
+ * Reject an access token until it would have expired anyway
+ * @param {Object} redisClient - Connected Redis client
+ * @param {Object} decoded - Verified JWT payload
+ */
+const denyAccessToken = async (redisClient, decoded) => {
+  const remainingSeconds = decoded.exp - Math.floor(Date.now() / 1000);
+
+  if (decoded.jti && remainingSeconds > 0) {
+    await redisClient.setEx(getDenylistKey(decoded.jti), remainingSeconds, '1');
+  }
+};
+
+/**
+ * Log a user out everywhere: revoke every refresh family and every access token issued so far
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} userId - User ID
+ */
+const revokeAllForUser = async (redisClient, userId) => {
+  for (const familyId of await redisClient.sMembers(getUserFamiliesKey(userId))) {
+    await revokeFamily(redisClient, familyId);
+  }
+
+  await redisClient.setEx(
+    getRevokedBeforeKey(userId),
+    MAX_ACCESS_TOKEN_TTL_SECONDS,
+    String(Math.floor(Date.now() / 1000))
+  );
+};
+
+/**
+ * Check an access token against the denylist and the user's logout-all cutoff
+ * @param {Object} redisClient - Connected Redis client
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<boolean>} True if the token must be rejected
+ */
+const isAccessTokenRevoked = async (redisClient, decoded) => {
+  if (decoded.jti && await redisClient.exists(getDenylistKey(decoded.jti))) {
+    return true;
+  }
+
+  // iat has one-second resolution, so a token from the same second as the logout-all counts as revoked
+  const revokedBefore = await redisClient.get(getRevokedBeforeKey(decoded.id || decoded.userId));
+  return Boolean(revokedBefore) && decoded.iat <= Number(revokedBefore);
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  issueTokens,
+  consumeRefreshToken,
+  getRefreshTokenFamily,
+  revokeFamily,
+  denyAccessToken,
+  revokeAllForUser,
+  isAccessTokenRevoked
+};
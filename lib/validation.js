@@ -0,0 +1,128 @@
+const { bookSchema } = require('./schemas');
+const { toFailedRowInput } = require('./failedRows');
+const { sendProblem } = require('./problems');
+
+// RFC 7807 problem type for requests that fail schema validation
+const VALIDATION_PROBLEM_TYPE = '/problems/validation-error';
+
+/**
+ * Flatten a ZodError into field-level errors
+ * @param {ZodError} error - Failed parse result's error
+ * Unknown fields of a strict schema are listed one by one
+ * @returns {Array<Object>} [{ field, message }]; field is the dotted path, '' for the whole input
+ */
+const formatIssues = (error) => error.issues.flatMap(issue => (issue.code === 'unrecognized_keys'
+  ? issue.keys.map(key => ({ field: [...issue.path, key].join('.'), message: 'Unknown field' }))
+  : [{ field: issue.path.join('.'), message: issue.message }]));
+
+/**
+ * Flatten a Mongoose ValidationError into field-level errors, like formatIssues
+ * @param {Error} error - Mongoose ValidationError
+ * @returns {Array<Object>} [{ field, message }]
+ */
+const formatMongooseErrors = (error) => Object.values(error.errors).map(({ path, message }) => ({
+  field: path,
+  message
+}));
+
+/**
+ * One-line summary of field errors, for failure entries and reports
+ * @param {Array<Object>} errors - Field errors from formatIssues
+ * @returns {string} e.g. "title: Required; isbn: Invalid ISBN: 123"
+ */
+const summarizeErrors = (errors) => errors
+  .map(({ field, message }) => (field ? `${field}: ${message}` : message))
+  .join('; ');
+
+/**
+ * Parse input against a schema
+ * @param {ZodSchema} schema - Schema from lib/schemas
+ * @param {*} input - Untrusted input
+ * @returns {{ value: *, errors: Array<Object>|null }} Parsed value, or field errors
+ */
+const validate = (schema, input) => {
+  const result = schema.safeParse(input);
+
+  if (!result.success) {
+    return { value: null, errors: formatIssues(result.error) };
+  }
+
+  return { value: result.data, errors: null };
+};
+
+const asTitle = (record) => (record && record.title ? String(record.title) : 'Unknown');
+
+/**
+ * Shape a rejected row as a bulk failure entry (same fields as the bulk cron's failures)
+ * @param {Object} record - Raw row as submitted
+ * @param {Array<Object>} errors - Field errors
+ * @param {Object} position - { row } or { index }
+ * @returns {Object} Failure entry
+ */
+const toRowFailure = (record, errors, position) => ({
+  ...position,
+  title: asTitle(record),
+  error: summarizeErrors(errors),
+  fieldErrors: errors,
+  input: toFailedRowInput(record)
+});
+
+/**
+ * Validate a JSON array of books row by row, so one bad book doesn't reject the rest
+ * Each book gets `row`, its 1-based position in the array, which failures and resubmissions refer to
+ * @param {Array<*>} records - Submitted books
+ * @returns {{ books: Array<Object>, failures: Array<Object> }} Valid books and rejected rows
+ */
+const validateBookRows = (records) => {
+  const books = [];
+  const failures = [];
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const { value, errors } = validate(bookSchema, record);
+
+    if (errors) {
+      failures.push(toRowFailure(record, errors, { row }));
+    } else {
+      books.push({ ...value, row });
+    }
+  });
+
+  return { books, failures };
+};
+
+/**
+ * Answer 400 with an RFC 7807 application/problem+json body for invalid input
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} problem - { detail, errors, ...extensions }; errors are [{ field, message }] or, for bulk rows, [{ row, field, message }]
+ */
+const sendValidationProblem = (req, res, { detail, errors = [], ...extensions }) => {
+  sendProblem(req, res, 400, { type: VALIDATION_PROBLEM_TYPE, title: 'Validation failed', detail, errors, ...extensions });
+};
+
+/**
+ * Answer 400 for a bulk request where no row was valid, listing every row's errors
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} detail - Summary
+ * @param {Array<Object>} failures - Rejected rows
+ */
+const sendRowsProblem = (req, res, detail, failures) => {
+  const errors = failures.flatMap(failure => (failure.fieldErrors
+    ? failure.fieldErrors.map(({ field, message }) => ({ row: failure.row, field, message }))
+    : [{ row: failure.row, field: '', message: failure.error }]));
+
+  sendValidationProblem(req, res, { detail, errors, failures });
+};
+
+module.exports = {
+  formatIssues,
+  formatMongooseErrors,
+  summarizeErrors,
+  validate,
+  toRowFailure,
+  validateBookRows,
+  sendValidationProblem,
+  sendRowsProblem
+};
@@ -0,0 +1,57 @@
+// English report messages; the fallback for every other locale
+// Placeholders look like {name}; entries with { one, other } are chosen by the {count} parameter
+module.exports = {
+  'report.title': 'Books Bulk Insertion Report',
+  'report.digestTitle': 'Books Bulk Insertion Digest',
+  'report.generatedOn': 'Generated on: {date}',
+  'report.reportId': 'Report ID: {id}',
+  'report.page': 'Page {page} of {count}',
+  'report.intro': 'Your bulk book insertion process has been completed. Here\'s a summary:',
+  'report.digestIntro': {
+    one: '{count} bulk book insertion job completed since your last digest. Here\'s a combined summary:',
+    other: '{count} bulk book insertion jobs completed since your last digest. Here\'s a combined summary:'
+  },
+  'report.summary': 'Summary',
+  'report.userId': 'User ID',
+  'report.processTime': 'Process Time',
+  'report.period': 'Period',
+  'report.periodRange': '{start} to {end}',
+  'report.totalBooks': 'Total Books',
+  'report.successful': 'Successful',
+  'report.failed': 'Failed',
+  'report.duplicateIsbns': 'Duplicate ISBNs',
+  'report.successRate': 'Success Rate',
+  'report.notAvailable': 'n/a',
+  'report.someFailed': 'Note: Some books failed to insert. The failed rows are listed below.',
+  'report.allSucceeded': 'Success! All books were inserted successfully.',
+  'report.results': 'Results',
+  'report.failuresByType': 'Failures by Error Type',
+  'report.otherErrors': 'Other',
+  'report.unknownError': 'Unknown error',
+  'report.jobs': 'Jobs ({count})',
+  'report.job': 'Job',
+  'report.processed': 'Processed',
+  'report.total': 'Total',
+  'report.duplicates': 'Duplicates',
+  'report.failedItems': 'Failed Items Details',
+  'report.location': 'Row / Index',
+  'report.row': 'Row {row}',
+  'report.index': 'Index {index}',
+  'report.bookTitle': 'Title',
+  'report.error': 'Error',
+  'report.isbn': 'ISBN',
+  'report.action': 'Action',
+
+  'email.greeting': 'Dear User,',
+  'email.signOff': 'Best regards,',
+  'email.automated': 'This is an automated message. Please do not reply to this email.',
+  'email.moreRows': {
+    one: '...and {count} more. See the attached report for the full list.',
+    other: '...and {count} more. See the attached report for the full list.'
+  },
+  'email.attachment': 'Please find the detailed report attached as a {format} file.',
+  'email.failedRows': 'The rows that failed are attached as CSV (failed-rows-&lt;job ID&gt;.csv). Fix them, keep the originalRow column, and upload the file to <code>POST /api/books/bulk/jobs/&lt;job ID&gt;/resubmit</code> to import just those rows.',
+
+  'event.completed': 'Bulk import {jobId} completed: {successCount}/{totalBooks} books inserted, {failureCount} failed, {duplicateCount} duplicate ISBNs',
+  'event.failed': 'Bulk import {jobId} failed: {error}'
+};
@@ -0,0 +1,56 @@
+// Spanish report messages; missing keys fall back to English
+module.exports = {
+  'report.title': 'Informe de inserción masiva de libros',
+  'report.digestTitle': 'Resumen de inserción masiva de libros',
+  'report.generatedOn': 'Generado el: {date}',
+  'report.reportId': 'ID del informe: {id}',
+  'report.page': 'Página {page} de {count}',
+  'report.intro': 'Tu proceso de inserción masiva de libros ha finalizado. Este es el resumen:',
+  'report.digestIntro': {
+    one: 'Se ha completado {count} trabajo de inserción masiva de libros desde tu último resumen. Este es el resumen combinado:',
+    other: 'Se han completado {count} trabajos de inserción masiva de libros desde tu último resumen. Este es el resumen combinado:'
+  },
+  'report.summary': 'Resumen',
+  'report.userId': 'ID de usuario',
+  'report.processTime': 'Hora del proceso',
+  'report.period': 'Periodo',
+  'report.periodRange': 'Del {start} al {end}',
+  'report.totalBooks': 'Total de libros',
+  'report.successful': 'Correctos',
+  'report.failed': 'Fallidos',
+  'report.duplicateIsbns': 'ISBN duplicados',
+  'report.successRate': 'Tasa de éxito',
+  'report.notAvailable': 'n/d',
+  'report.someFailed': 'Nota: algunos libros no se pudieron insertar. Las filas fallidas se detallan a continuación.',
+  'report.allSucceeded': '¡Listo! Todos los libros se insertaron correctamente.',
+  'report.results': 'Resultados',
+  'report.failuresByType': 'Fallos por tipo de error',
+  'report.otherErrors': 'Otros',
+  'report.unknownError': 'Error desconocido',
+  'report.jobs': 'Trabajos ({count})',
+  'report.job': 'Trabajo',
+  'report.processed': 'Procesado',
+  'report.total': 'Total',
+  'report.duplicates': 'Duplicados',
+  'report.failedItems': 'Detalle de elementos fallidos',
+  'report.location': 'Fila / Índice',
+  'report.row': 'Fila {row}',
+  'report.index': 'Índice {index}',
+  'report.bookTitle': 'Título',
+  'report.error': 'Error',
+  'report.isbn': 'ISBN',
+  'report.action': 'Acción',
+
+  'email.greeting': 'Hola:',
+  'email.signOff': 'Saludos cordiales,',
+  'email.automated': 'Este es un mensaje automático. Por favor, no respondas a este correo.',
+  'email.moreRows': {
+    one: '...y {count} más. Consulta el informe adjunto para ver la lista completa.',
+    other: '...y {count} más. Consulta el informe adjunto para ver la lista completa.'
+  },
+  'email.attachment': 'Adjuntamos el informe detallado en formato {format}.',
+  'email.failedRows': 'Las filas que fallaron van adjuntas en CSV (failed-rows-&lt;ID del trabajo&gt;.csv). Corrígelas, conserva la columna originalRow y sube el archivo a <code>POST /api/books/bulk/jobs/&lt;ID del trabajo&gt;/resubmit</code> para importar solo esas filas.',
+
+  'event.completed': 'Importación masiva {jobId} completada: {successCount}/{totalBooks} libros insertados, {failureCount} fallidos, {duplicateCount} ISBN duplicados',
+  'event.failed': 'La importación masiva {jobId} falló: {error}'
+};
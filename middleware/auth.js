@@ -1,10 +1,17 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/users');
+const { getRedisClient } = require('../db');
+const { config } = require('../config');
+const { isAccessTokenRevoked } = require('../lib/tokens');
+const { sendProblem } = require('../lib/problems');
 
 /**
  * Authentication Middleware
  * Validates JWT token from Authorization header
+ * Rejects tokens revoked by logout or logout-all
+ * Loads the user so role changes and disabled accounts take effect immediately
  * Attaches user information to request object
- * Returns 401 for missing or invalid tokens
+ * Returns 401 for missing or invalid tokens, 403 for disabled accounts
  */
 const authMiddleware = async (req, res, next) => {
   try {
@@ -13,18 +20,12 @@ const authMiddleware = async (req, res, next) => {
 
     // Check if Authorization header exists
     if (!authHeader) {
-      return res.status(401).json({ 
-        error: 'Access denied',
-        message: 'No authorization token provided' 
-      });
+      return sendProblem(req, res, 401, { title: 'Access denied', detail: 'No authorization token provided' });
     }
 
     // Check if token follows Bearer scheme
     if (!authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        error: 'Access denied',
-        message: 'Invalid authorization format. Use Bearer token' 
-      });
+      return sendProblem(req, res, 401, { title: 'Access denied', detail: 'Invalid authorization format. Use Bearer token' });
     }
 
     // Extract token from Bearer scheme
@@ -32,46 +33,54 @@ const authMiddleware = async (req, res, next) => {
 
     // Check if token exists after Bearer
     if (!token) {
-      return res.status(401).json({ 
-        error: 'Access denied',
-        message: 'No token provided' 
-      });
+      return sendProblem(req, res, 401, { title: 'Access denied', detail: 'No token provided' });
     }
 
     // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, config.jwt.secret);
+
+    // Check the denylist and the user's logout-all cutoff
+    if (await isAccessTokenRevoked(getRedisClient(), decoded)) {
+      return sendProblem(req, res, 401, { title: 'Access denied', detail: 'Token has been revoked' });
+    }
+
+    // Look up the account behind the token
+    const user = await User.findById(decoded.id || decoded.userId).select('username email role disabled');
+
+    if (!user) {
+      return sendProblem(req, res, 401, { title: 'Access denied', detail: 'User no longer exists' });
+    }
+
+    if (user.disabled) {
+      return sendProblem(req, res, 403, { title: 'Access denied', detail: 'Account is disabled' });
+    }
 
     // Attach user information to request object
     req.user = {
-      id: decoded.id || decoded.userId,
-      email: decoded.email,
-      username: decoded.username
+      id: String(user._id),
+      email: user.email,
+      username: user.username,
+      role: user.role
     };
 
+    // Keep the verified payload so logout can revoke this exact token
+    req.token = decoded;
+
     // Proceed to next middleware/route handler
     next();
 
   } catch (error) {
     // Handle JWT verification errors
     if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        error: 'Access denied',
-        message: 'Invalid token' 
-      });
+      return sendProblem(req, res, 401, { title: 'Access denied', detail: 'Invalid token' });
     }
 
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        error: 'Access denied',
-        message: 'Token has expired' 
-      });
+      return sendProblem(req, res, 401, { title: 'Access denied', detail: 'Token has expired' });
     }
 
     // Handle other errors
-    return res.status(401).json({ 
-      error: 'Access denied',
-      message: 'Token validation failed' 
-    });
+    return sendProblem(req, res, 401, { title: 'Access denied', detail: 'Token validation failed' });
   }
 };
 
@@ -0,0 +1,26 @@
+const { httpRequestsTotal, httpRequestDuration } = require('../lib/metrics');
+
+/**
+ * HTTP Metrics Middleware
+ * Counts requests and observes their latency once the response is sent
+ * Labels use the matched route pattern (e.g. /api/books/:id), not the raw URL, to keep cardinality low;
+ * requests that matched no route are labelled "unmatched"
+ */
+const httpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode
+    };
+
+    httpRequestsTotal.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+};
+
+module.exports = httpMetrics;
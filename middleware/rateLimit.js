@@ -0,0 +1,49 @@
+const { getRedisClient } = require('../db');
+const { config } = require('../config');
+const { hitRateLimit, setRateLimitHeaders } = require('../lib/rateLimit');
+const { sendProblem } = require('../lib/problems');
+
+/**
+ * Rate Limit Middleware factory
+ * Counts requests in a Redis sliding window per user (after authMiddleware) or per client IP
+ * Sets RateLimit-* headers on every response and answers 429 with Retry-After once the limit is reached
+ * If Redis is unavailable requests are let through, so a Redis outage does not take the API down with it
+ * @param {string} name - Policy name, part of the Redis key
+ * @param {Object} policy - { max, windowSeconds }
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (name, { max, windowSeconds }) => async (req, res, next) => {
+  if (!config.rateLimit.enabled) {
+    return next();
+  }
+
+  const subject = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+  let result;
+
+  try {
+    result = await hitRateLimit(getRedisClient(), `rate_limit:${name}:${subject}`, max, windowSeconds * 1000);
+  } catch (error) {
+    req.log.warn('Rate limiter unavailable, request let through', { policy: name, err: error });
+    return next();
+  }
+
+  setRateLimitHeaders(res, { limit: max, remaining: result.remaining, resetSeconds: result.resetSeconds, policy: `${max};w=${windowSeconds}` });
+
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.resetSeconds));
+    return sendProblem(req, res, 429, {
+      title: 'Too many requests',
+      detail: `Limit of ${max} requests per ${windowSeconds} seconds reached, retry in ${result.resetSeconds} seconds`
+    });
+  }
+
+  next();
+};
+
+// Strict limit for unauthenticated account endpoints (login, register, password reset)
+const authRateLimit = rateLimit('auth', config.rateLimit.auth);
+
+// Moderate per-user limit for the books API
+const booksRateLimit = rateLimit('books', config.rateLimit.books);
+
+module.exports = { rateLimit, authRateLimit, booksRateLimit };
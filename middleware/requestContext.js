@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const { logger } = require('../lib/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// IDs passed in by a proxy or client are kept if they look like IDs, so they cannot inject into logs
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Request Context Middleware
+ * Gives every request an ID (the caller's X-Request-Id, or a new UUID) and echoes it in the response
+ * Attaches req.id and req.log, a logger bound to the request ID
+ * Logs one entry per finished request with its status and duration
+ */
+const requestContext = (req, res, next) => {
+  const incomingId = req.get(REQUEST_ID_HEADER);
+  const startedAt = process.hrtime.bigint();
+
+  req.id = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  res.on('finish', () => {
+    const fields = {
+      method: req.method,
+      // Query strings can hold tokens (e.g. email verification links)
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Number((process.hrtime.bigint() - startedAt) / 1000n) / 1000,
+      userId: req.user ? req.user.id : undefined
+    };
+
+    if (res.statusCode >= 500) {
+      req.log.error('Request failed', fields);
+    } else {
+      req.log.info('Request completed', fields);
+    }
+  });
+
+  next();
+};
+
+module.exports = requestContext;
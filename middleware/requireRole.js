@@ -0,0 +1,19 @@
+const { sendProblem } = require('../lib/problems');
+
+/**
+ * Role Middleware
+ * Must run after authMiddleware
+ * Allows only users whose role is one of the given roles
+ * Returns 403 for everyone else
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return sendProblem(req, res, 403, { title: 'Forbidden', detail: `Requires role: ${roles.join(' or ')}` });
+  }
+
+  next();
+};
+
+module.exports = requireRole;
@@ -0,0 +1,26 @@
+const { validate: parse, sendValidationProblem } = require('../lib/validation');
+
+/**
+ * Validation Middleware factory
+ * Parses req.body or req.query against a schema from lib/schemas and replaces it with the parsed value
+ * (trimmed, defaults applied, unknown fields dropped)
+ * Returns 400 application/problem+json with field-level errors when the input doesn't match
+ * @param {ZodSchema} schema - Schema to parse with
+ * @param {string} source - 'body' or 'query'
+ * @returns {Function} Express middleware
+ */
+const validate = (schema, source = 'body') => (req, res, next) => {
+  const { value, errors } = parse(schema, req[source] || {});
+
+  if (errors) {
+    return sendValidationProblem(req, res, {
+      detail: `The request ${source} has ${errors.length} invalid field${errors.length === 1 ? '' : 's'}`,
+      errors
+    });
+  }
+
+  req[source] = value;
+  next();
+};
+
+module.exports = validate;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { toIsbn13, isValidIsbn13 } = require('../lib/isbn');
 
 const bookSchema = new mongoose.Schema({
   title: {
@@ -11,6 +12,16 @@ const bookSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  isbn: {
+    type: String,
+    trim: true,
+    // Stored as canonical ISBN-13; invalid values are kept as-is so validation reports them
+    set: (value) => (value ? toIsbn13(value) || value : undefined),
+    validate: {
+      validator: (value) => value == null || isValidIsbn13(value),
+      message: (props) => `Invalid ISBN: ${props.value}`
+    }
+  },
   publishedYear: {
     type: Number
   },
@@ -29,4 +40,16 @@ const bookSchema = new mongoose.Schema({
   }
 });
 
+// A user can hold each ISBN once; books without an ISBN are not constrained
+bookSchema.index(
+  { userId: 1, isbn: 1 },
+  { unique: true, partialFilterExpression: { isbn: { $type: 'string' } } }
+);
+
+// Default listing order for GET /api/books
+bookSchema.index({ userId: 1, createdAt: -1 });
+
+// Backs the `q` search on GET /api/books
+bookSchema.index({ title: 'text', author: 'text' });
+
 module.exports = mongoose.model('Book', bookSchema);
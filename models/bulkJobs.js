@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const fieldErrorSchema = new mongoose.Schema({
+  field: String,
+  message: String
+}, { _id: false });
+
+const failureSchema = new mongoose.Schema({
+  index: Number,
+  row: Number,
+  title: String,
+  error: String,
+  // Per-field validation errors, when the row failed the book schema
+  fieldErrors: { type: [fieldErrorSchema], default: undefined },
+  // Submitted book fields, for the failed-rows CSV
+  input: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const duplicateSchema = new mongoose.Schema({
+  index: Number,
+  row: Number,
+  title: String,
+  isbn: String,
+  action: String
+}, { _id: false });
+
+// Permanent record of a bulk import; the Redis job record is only its short-lived working copy
+const bulkJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['json', 'csv', 'ndjson'],
+    default: 'json'
+  },
+  onDuplicate: {
+    type: String
+  },
+  // Job whose failed rows this job resubmits
+  parentJobId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Request ID the job was queued under (or a UUID), also found in its logs and report email headers
+  correlationId: {
+    type: String,
+    index: true
+  },
+  state: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totalBooks: { type: Number, default: 0 },
+  rejectedCount: { type: Number, default: 0 },
+  processedCount: { type: Number, default: 0 },
+  successCount: { type: Number, default: 0 },
+  failureCount: { type: Number, default: 0 },
+  duplicateCount: { type: Number, default: 0 },
+  failures: [failureSchema],
+  duplicates: [duplicateSchema],
+  attempts: { type: Number, default: 0 },
+  error: {
+    type: String,
+    default: null
+  },
+  // Delivery of the emailed report for this job
+  report: {
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'retrying', 'dead_lettered', 'none'],
+      default: 'pending'
+    },
+    delivery: String,
+    messageId: String,
+    sentAt: Date,
+    attempts: { type: Number, default: 0 },
+    lastError: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Backs the job history listing, newest first
+bulkJobSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BulkJob', bulkJobSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { CHANNEL_TYPES, CHANNEL_EVENTS } = require('../lib/notifiers');
+
+const notificationChannelSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: CHANNEL_TYPES,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Recipient address for email channels
+  address: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Target URL for webhook and Slack channels
+  url: {
+    type: String,
+    trim: true
+  },
+  // HMAC key for webhook signatures
+  secret: {
+    type: String
+  },
+  events: {
+    type: [{ type: String, enum: CHANNEL_EVENTS }],
+    default: CHANNEL_EVENTS
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('NotificationChannel', notificationChannelSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  filename: { type: String, required: true },
+  contentType: { type: String },
+  content: { type: Buffer, required: true }
+}, { _id: false });
+
+const outboxEmailSchema = new mongoose.Schema({
+  // One email per key: enqueueing the same report twice finds the first one
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Bulk jobs the email reports on
+  jobIds: {
+    type: [String],
+    default: []
+  },
+  // Correlation IDs of those jobs, sent in the X-Correlation-Id header
+  correlationIds: {
+    type: [String],
+    default: []
+  },
+  delivery: {
+    type: String,
+    enum: ['immediate', 'daily', 'weekly']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  // Fixed when the email is queued, so a resend after a crash carries the same Message-ID
+  messageId: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A dispatcher owns a 'sending' email until then; after that another may take it over
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Sent emails are removed after 30 days
+  sentAt: {
+    type: Date,
+    index: { expires: '30d' }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('OutboxEmail', outboxEmailSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { DEFAULT_LOCALE, SUPPORTED_LANGUAGES, isSupportedLocale, isValidTimeZone } = require('../lib/i18n');
+
+const preferenceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // When bulk insertion reports are emailed
+  delivery: {
+    type: String,
+    enum: ['immediate', 'daily', 'weekly'],
+    default: 'immediate'
+  },
+  // What the report email carries
+  attachment: {
+    type: String,
+    enum: ['pdf', 'csv', 'none'],
+    default: 'pdf'
+  },
+  // Language (and optionally region) reports are written and formatted in, e.g. "es" or "es-MX"
+  locale: {
+    type: String,
+    trim: true,
+    default: DEFAULT_LOCALE,
+    set: (value) => (isSupportedLocale(value) ? Intl.getCanonicalLocales(value)[0] : value),
+    validate: {
+      validator: isSupportedLocale,
+      message: (props) => `Unsupported locale: ${props.value}. Use one of: ${SUPPORTED_LANGUAGES.join(', ')} (optionally with a region, e.g. es-MX)`
+    }
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: (props) => `Invalid timezone: ${props.value}`
+    }
+  },
+  // Local hour digests are sent at
+  digestHour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: 8
+  },
+  // Local day of week weekly digests are sent on (0 = Sunday)
+  digestDay: {
+    type: Number,
+    min: 0,
+    max: 6,
+    default: 1
+  },
+  // Local date (YYYY-MM-DD) of the last digest period that was sent
+  lastDigestPeriod: {
+    type: String,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Preference', preferenceSchema);
@@ -18,6 +18,28 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  disabledAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,42 @@
+const { config } = require('./config');
+const { dispatchOutbox } = require('./lib/outbox');
+const { scheduleTask } = require('./lib/scheduler');
+const { logger } = require('./lib/logger');
+const { markCronSuccess } = require('./lib/metrics');
+
+const log = logger.child({ component: 'outbox' });
+
+/**
+ * Send due emails from the outbox
+ * Emails are claimed one at a time, so overlapping runs and replicas never send the same one twice
+ * @returns {Promise<boolean>} False if the dispatch itself failed (already logged); emails left to retry don't count
+ */
+const processOutbox = async () => {
+  try {
+    const { sent, failed } = await dispatchOutbox();
+    markCronSuccess('outbox');
+
+    if (sent > 0 || failed > 0) {
+      log.info('Outbox dispatch completed', { sent, failed });
+    }
+
+    return true;
+  } catch (error) {
+    log.error('Error dispatching outbox emails', { err: error });
+    return false;
+  }
+};
+
+/**
+ * Initialize the outbox dispatcher
+ * Runs on OUTBOX_CRON_SCHEDULE (every minute by default)
+ * @returns {Object} Scheduled task; stop() waits for a running dispatch to finish
+ */
+const startOutboxDispatcher = () => {
+  const task = scheduleTask('outbox', config.cron.outboxSchedule, processOutbox);
+
+  log.info('Outbox dispatcher initialized', { schedule: config.cron.outboxSchedule });
+  return task;
+};
+
+module.exports = { startOutboxDispatcher, processOutbox };
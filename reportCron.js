@@ -1,316 +1,499 @@
-const cron = require('node-cron');
-const redis = require('redis');
-const nodemailer = require('nodemailer');
-const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
-const User = require('./models/User'); // Assuming user model exists
-
-// Redis client setup
-const redisClient = redis.createClient({
-  url: process.env.REDIS_URL || 'redis://localhost:6379'
-});
-
-// Email transporter setup
-const transporter = nodemailer.createTransporter({
-  host: process.env.SMTP_HOST || 'smtp.gmail.com',
-  port: process.env.SMTP_PORT || 587,
-  secure: false,
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
-});
-
-// Connect to Redis
-redisClient.connect().catch(console.error);
-
-redisClient.on('error', (err) => {
-  console.error('Redis Client Error:', err);
-});
-
-redisClient.on('connect', () => {
-  console.log('Redis client connected for report cron job');
-});
+const mongoose = require('mongoose');
+const { config } = require('./config');
+const { getRedisClient } = require('./db');
+const { scheduleTask } = require('./lib/scheduler');
+const User = require('./models/users');
+const Preference = require('./models/preferences');
+const { withLock } = require('./lib/lock');
+const { verifyTransport } = require('./lib/mailer');
+const { MAX_REPORT_ATTEMPTS, getRetryState, recordFailure, clearRetryState } = require('./lib/reportRetry');
+const { getDigestPeriod, isDigestDue } = require('./lib/reportSchedule');
+const { generateCSVReport } = require('./lib/reportCsv');
+const { generateFailedRowsCSV } = require('./lib/failedRows');
+const { buildReportModel } = require('./lib/reportModel');
+const { renderReportPDF } = require('./lib/reportPdf');
+const { renderReportHTML } = require('./lib/reportHtml');
+const { recordReportDelivery } = require('./lib/jobHistory');
+const { findOutboxEmail, enqueueEmail } = require('./lib/outbox');
+const { logger } = require('./lib/logger');
+const { pdfRenderDuration, markCronSuccess } = require('./lib/metrics');
+
+const log = logger.child({ component: 'reports' });
+
+// Lifetime of the lock that lets only one worker run a report tick at a time
+const REPORT_LOCK_TTL_MS = 60 * 1000;
 
 /**
  * Generate PDF report for user's bulk insertion status
- * @param {Object} statusData - Status data from Redis
+ * @param {Object} statusData - Status data from Redis, or a combined digest
  * @param {string} userId - User ID
+ * @param {Object} options - Rendering options
+ * @param {string} options.locale - Reader's locale
+ * @param {string} options.timeZone - Reader's timezone for dates
  * @returns {Promise<Buffer>} PDF buffer
  */
-const generatePDFReport = async (statusData, userId) => {
-  return new Promise((resolve, reject) => {
-    try {
-      const doc = new PDFDocument();
-      const chunks = [];
-
-      // Collect PDF data
-      doc.on('data', chunk => chunks.push(chunk));
-      doc.on('end', () => resolve(Buffer.concat(chunks)));
-
-      // PDF Header
-      doc.fontSize(20).text('Books Bulk Insertion Report', 100, 50);
-      doc.fontSize(12).text(`Generated on: ${new Date().toLocaleString()}`, 100, 80);
-      doc.text(`Report ID: ${Date.now()}`, 100, 95);
-
-      // User Information
-      doc.fontSize(16).text('User Details', 100, 130);
-      doc.fontSize(12)
-         .text(`User ID: ${userId}`, 100, 155)
-         .text(`Process Timestamp: ${statusData.timestamp}`, 100, 170);
-
-      // Summary Section
-      doc.fontSize(16).text('Summary', 100, 200);
-      doc.fontSize(12)
-         .text(`Total Books Processed: ${statusData.totalBooks}`, 100, 225)
-         .text(`Successful Insertions: ${statusData.successCount}`, 100, 240)
-         .text(`Failed Insertions: ${statusData.failureCount}`, 100, 255)
-         .text(`Success Rate: ${((statusData.successCount / statusData.totalBooks) * 100).toFixed(2)}%`, 100, 270);
-
-      // Status indicators
-      if (statusData.successCount > 0) {
-        doc.fillColor('green').text('✓', 80, 240).fillColor('black');
-      }
-      if (statusData.failureCount > 0) {
-        doc.fillColor('red').text('✗', 80, 255).fillColor('black');
-      }
-
-      // Failures Section (if any)
-      if (statusData.failures && statusData.failures.length > 0) {
-        doc.fontSize(16).text('Failed Items Details', 100, 300);
-        let yPosition = 325;
-        
-        statusData.failures.forEach((failure, index) => {
-          if (yPosition > 700) { // Start new page if needed
-            doc.addPage();
-            yPosition = 50;
-          }
-          
-          doc.fontSize(12)
-             .text(`${index + 1}. Title: ${failure.title}`, 100, yPosition)
-             .text(`   Index: ${failure.index}`, 100, yPosition + 15)
-             .text(`   Error: ${failure.error}`, 100, yPosition + 30);
-          
-          yPosition += 50;
-        });
-      }
-
-      // Footer
-      const pageCount = doc.bufferedPageRange().count;
-      for (let i = 0; i < pageCount; i++) {
-        doc.switchToPage(i);
-        doc.fontSize(10)
-           .text(`Page ${i + 1} of ${pageCount}`, 450, 750);
-      }
+const generatePDFReport = async (statusData, userId, { locale, timeZone } = {}) => {
+  const endTimer = pdfRenderDuration.startTimer();
 
-      doc.end();
-    } catch (error) {
-      reject(error);
-    }
-  });
+  try {
+    return await renderReportPDF(buildReportModel(statusData, { userId, locale, timeZone }));
+  } finally {
+    endTimer();
+  }
 };
 
 /**
  * Get user email by user ID
+ * Reports only go to verified addresses; anything else is a permanent failure
  * @param {string} userId - User ID
  * @returns {Promise<string>} User email
  */
 const getUserEmail = async (userId) => {
   try {
-    // Try to get from User model first
-    const user = await User.findById(userId);
-    if (user && user.email) {
-      return user.email;
+    const user = await User.findById(userId).select('email emailVerified');
+
+    if (!user || !user.email) {
+      const error = new Error(`No email found for user ${userId}`);
+      error.permanent = true;
+      throw error;
     }
-    
-    // Fallback: try to get from Redis cache
-    const cachedEmail = await redisClient.get(`user_email:${userId}`);
-    if (cachedEmail) {
-      return cachedEmail;
+
+    if (!user.emailVerified) {
+      const error = new Error(`Email address for user ${userId} is not verified`);
+      error.permanent = true;
+      throw error;
     }
-    
-    // Default fallback - this should be replaced with actual user lookup
-    console.warn(`No email found for user ${userId}, using fallback`);
-    return process.env.DEFAULT_EMAIL || 'admin@example.com';
+
+    return user.email;
   } catch (error) {
-    console.error(`Error getting email for user ${userId}:`, error);
+    log.error('Error getting email for user', { userId, err: error });
     throw error;
   }
 };
 
+// Language and timezone a user's reports are written in
+const getRenderOptions = (preferences) => ({ locale: preferences.locale, timeZone: preferences.timezone });
+
 /**
- * Send email with PDF report attachment
- * @param {string} userEmail - User's email address
- * @param {Buffer} pdfBuffer - PDF report buffer
- * @param {Object} statusData - Status data for email content
+ * Build the report attachment in the user's preferred format
+ * @param {Object} statusData - Status data, or a combined digest
  * @param {string} userId - User ID
+ * @param {Object} preferences - User's report preferences
+ * @returns {Promise<Object|null>} Nodemailer attachment, or null when the user wants none
  */
-const sendReportEmail = async (userEmail, pdfBuffer, statusData, userId) => {
-  try {
-    const mailOptions = {
-      from: process.env.EMAIL_FROM || 'noreply@booksapi.com',
-      to: userEmail,
-      subject: 'Books Bulk Insertion Report',
-      html: `
-        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-          <h2>Books Bulk Insertion Report</h2>
-          <p>Dear User,</p>
-          <p>Your bulk book insertion process has been completed. Here's a summary:</p>
-          
-          <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
-            <h3>Summary</h3>
-            <ul style="list-style-type: none; padding: 0;">
-              <li><strong>User ID:</strong> ${userId}</li>
-              <li><strong>Total Books:</strong> ${statusData.totalBooks}</li>
-              <li><strong>Successful:</strong> <span style="color: green;">${statusData.successCount}</span></li>
-              <li><strong>Failed:</strong> <span style="color: red;">${statusData.failureCount}</span></li>
-              <li><strong>Success Rate:</strong> ${((statusData.successCount / statusData.totalBooks) * 100).toFixed(2)}%</li>
-              <li><strong>Process Time:</strong> ${statusData.timestamp}</li>
-            </ul>
-          </div>
-          
-          ${statusData.failureCount > 0 ? 
-            '<p style="color: red;"><strong>Note:</strong> Some books failed to insert. Please check the attached PDF report for detailed error information.</p>' : 
-            '<p style="color: green;"><strong>Success!</strong> All books were inserted successfully.</p>'
-          }
-          
-          <p>Please find the detailed report attached as a PDF file.</p>
-          
-          <p>Best regards,<br>
-          Books API Team</p>
-          
-          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
-          <p style="font-size: 12px; color: #666;">
-            This is an automated message. Please do not reply to this email.
-          </p>
-        </div>
-      `,
-      attachments: [
-        {
-          filename: `books-report-${userId}-${Date.now()}.pdf`,
-          content: pdfBuffer,
-          contentType: 'application/pdf'
-        }
-      ]
+const buildReportAttachment = async (statusData, userId, preferences) => {
+  const baseName = `books-${statusData.jobs ? 'digest' : 'report'}-${userId}-${Date.now()}`;
+
+  if (preferences.attachment === 'none') {
+    return null;
+  }
+
+  if (preferences.attachment === 'csv') {
+    return {
+      filename: `${baseName}.csv`,
+      content: generateCSVReport(statusData, buildReportModel(statusData, { userId, ...getRenderOptions(preferences) })),
+      contentType: 'text/csv'
     };
+  }
 
-    const info = await transporter.sendMail(mailOptions);
-    console.log(`[${new Date().toISOString()}] Email sent successfully to ${userEmail}:`, info.messageId);
-    return info;
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error sending email to ${userEmail}:`, error);
-    throw error;
+  return {
+    filename: `${baseName}.pdf`,
+    content: await generatePDFReport(statusData, userId, getRenderOptions(preferences)),
+    contentType: 'application/pdf'
+  };
+};
+
+/**
+ * Build one failed-rows CSV per job, ready to be corrected and resubmitted
+ * @param {Object} statusData - Status data, or a combined digest
+ * @returns {Array<Object>} Nodemailer attachments (empty if nothing failed)
+ */
+const buildFailedRowsAttachments = (statusData) => {
+  const failuresByJob = new Map();
+
+  for (const failure of statusData.failures || []) {
+    const jobId = failure.jobId || statusData.jobId;
+    failuresByJob.set(jobId, [...(failuresByJob.get(jobId) || []), failure]);
   }
+
+  return [...failuresByJob].map(([jobId, failures]) => ({
+    filename: `failed-rows-${jobId}.csv`,
+    content: generateFailedRowsCSV({ failures }),
+    contentType: 'text/csv'
+  }));
+};
+
+/**
+ * Render the report email with its attachment and failed-rows CSVs
+ * @param {string} userEmail - User's email address
+ * @param {Object} attachments - Email attachments
+ * @param {Object|null} attachments.report - Report attachment from buildReportAttachment
+ * @param {Array<Object>} attachments.failedRows - Failed-rows CSVs from buildFailedRowsAttachments
+ * @param {Object} statusData - Status data, or a combined digest, for email content
+ * @param {string} userId - User ID
+ * @param {Object} options - Rendering options
+ * @param {string} options.locale - Reader's locale
+ * @param {string} options.timeZone - Reader's timezone for dates
+ * @returns {Object} Message for the outbox: { to, subject, html, attachments }
+ */
+const buildReportEmail = (userEmail, { report: attachment, failedRows = [] }, statusData, userId, { locale, timeZone } = {}) => {
+  const model = buildReportModel(statusData, { userId, locale, timeZone });
+  const { t } = model.i18n;
+  const format = attachment && attachment.contentType === 'text/csv' ? 'CSV' : 'PDF';
+  const notes = [];
+
+  if (attachment) {
+    notes.push(t('email.attachment', { format }));
+  }
+
+  if (failedRows.length > 0) {
+    notes.push(t('email.failedRows'));
+  }
+
+  return {
+    to: userEmail,
+    subject: model.title,
+    html: renderReportHTML(model, { notes }),
+    attachments: [...(attachment ? [attachment] : []), ...failedRows]
+  };
+};
+
+/**
+ * Render a report and put it in the email outbox, unless it was queued before
+ * The outbox dispatcher sends it; a crash after queueing just finds the same email next tick
+ * @param {string} idempotencyKey - Outbox key for this report
+ * @param {Object} statusData - Status data, or a combined digest
+ * @param {string} userId - User ID
+ * @param {Object} preferences - User's report preferences
+ * @returns {Promise<Object>} Queued OutboxEmail document
+ */
+const queueReportEmail = async (idempotencyKey, statusData, userId, preferences) => {
+  const jobs = statusData.jobs || [statusData];
+  const jobIds = jobs.map(job => job.jobId);
+  // Statuses stored before correlation IDs existed have none
+  const correlationIds = jobs.map(job => job.correlationId).filter(Boolean);
+  const reportLog = log.child({ idempotencyKey, userId, jobIds, correlationIds });
+
+  const queued = await findOutboxEmail(idempotencyKey);
+
+  if (queued) {
+    reportLog.info('Report is already in the outbox, not rendering it again');
+    return queued;
+  }
+
+  const userEmail = await getUserEmail(userId);
+
+  // Generate the report in the user's chosen format
+  reportLog.info('Generating report', { format: preferences.attachment, delivery: preferences.delivery });
+  const attachment = await buildReportAttachment(statusData, userId, preferences);
+  const failedRows = attachment ? buildFailedRowsAttachments(statusData) : [];
+  const message = buildReportEmail(userEmail, { report: attachment, failedRows }, statusData, userId, getRenderOptions(preferences));
+
+  const { email, created } = await enqueueEmail({ idempotencyKey, userId, jobIds, correlationIds, delivery: preferences.delivery, message });
+
+  if (created) {
+    await noteReportDelivery(jobIds, { status: 'pending', delivery: preferences.delivery, lastError: null });
+    reportLog.info('Report queued in the outbox', { messageId: email.messageId });
+  }
+
+  return email;
 };
 
 /**
  * Process status reports for all users
+ * Runs under a cluster-wide lock so replicas never email the same status twice
+ * @returns {Promise<boolean>} False if the tick itself failed (already logged); reports left to retry don't count
  */
 const processStatusReports = async () => {
   try {
-    console.log(`[${new Date().toISOString()}] Starting status report processing...`);
-    
+    const { acquired, result } = await withLock(getRedisClient(), 'cron_lock:report', REPORT_LOCK_TTL_MS, runStatusReports);
+
+    if (!acquired) {
+      log.info('Status reports are being processed by another worker, skipping');
+      // The tick did its job; its health must not depend on which replica holds the lock
+      markCronSuccess('report');
+      return true;
+    }
+
+    return result;
+  } catch (error) {
+    log.error('Error acquiring status report lock', { err: error });
+    return false;
+  }
+};
+
+/**
+ * Merge a user's pending statuses into a single digest report
+ * @param {Array<Object>} statuses - Parsed status records
+ * @param {string} userId - User ID
+ * @returns {Object} Status-shaped digest with a `jobs` breakdown
+ */
+const combineStatuses = (statuses, userId) => {
+  const ordered = [...statuses].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+  const sum = (field) => ordered.reduce((total, status) => total + (status[field] || 0), 0);
+  const first = ordered[0].timestamp;
+  const last = ordered[ordered.length - 1].timestamp;
+
+  return {
+    userId: userId,
+    totalBooks: sum('totalBooks'),
+    successCount: sum('successCount'),
+    failureCount: sum('failureCount'),
+    duplicateCount: sum('duplicateCount'),
+    timestamp: first === last ? first : `${first} to ${last}`,
+    jobs: ordered.map(({ jobId, correlationId, totalBooks, successCount, failureCount, duplicateCount, timestamp }) => ({
+      jobId, correlationId, totalBooks, successCount, failureCount, duplicateCount, timestamp
+    })),
+    failures: ordered.flatMap(status => (status.failures || []).map(failure => ({ jobId: status.jobId, ...failure }))),
+    duplicates: ordered.flatMap(status => (status.duplicates || []).map(duplicate => ({ jobId: status.jobId, ...duplicate })))
+  };
+};
+
+/**
+ * Read and check a pending status record
+ * Invalid records are dropped so they are not retried forever
+ * @param {string} key - bulk_status key
+ * @returns {Promise<Object|null>} Parsed status, or null if missing or invalid
+ */
+const loadStatus = async (key) => {
+  const statusData = await getRedisClient().get(key);
+
+  if (!statusData) {
+    log.warn('No data found for status key', { key });
+    return null;
+  }
+
+  const parsedStatus = JSON.parse(statusData);
+
+  if (!parsedStatus.userId || parsedStatus.totalBooks === undefined) {
+    log.warn('Invalid status data, dropping it', { key });
+    await getRedisClient().del(key);
+    await clearRetryState(getRedisClient(), key);
+    return null;
+  }
+
+  return parsedStatus;
+};
+
+/**
+ * Note a report's delivery in the job history
+ * Never throws: a history write failing after the email went out must not trigger a resend
+ * @param {Array<string>} jobIds - Jobs the report covered
+ * @param {Object} changes - Report delivery fields
+ */
+const noteReportDelivery = async (jobIds, changes) => {
+  try {
+    await recordReportDelivery(jobIds.filter(Boolean), changes);
+  } catch (error) {
+    log.error('Error recording report delivery', { jobIds, err: error });
+  }
+};
+
+// Schedule a retry with backoff, or dead-letter the report
+const handleReportFailure = async (key, userId, error, correlationId) => {
+  const retry = await recordFailure(getRedisClient(), key, userId, error);
+
+  await noteReportDelivery([key.split(':')[2]], {
+    status: retry.deadLettered ? 'dead_lettered' : 'retrying',
+    attempts: retry.attempts,
+    lastError: error.message
+  });
+
+  const fields = { key, userId, correlationId, attempts: retry.attempts, maxAttempts: MAX_REPORT_ATTEMPTS };
+
+  if (retry.deadLettered) {
+    log.error('Report dead-lettered', fields);
+  } else {
+    log.warn('Report failed, will retry', { ...fields, nextAttemptAt: new Date(retry.nextAttemptAt) });
+  }
+};
+
+/**
+ * Queue one status report as soon as it is ready
+ * @param {string} key - bulk_status key
+ * @param {string} userId - User ID
+ * @param {Object} preferences - User's report preferences
+ * @param {Object} counts - Tick counters, updated in place
+ */
+const sendStatusReport = async (key, userId, preferences, counts) => {
+  // Failed reports wait out their backoff; dead-lettered ones wait for an admin
+  const retryState = await getRetryState(getRedisClient(), key);
+  if (!retryState.due) {
+    counts.deferred++;
+    return;
+  }
+
+  let parsedStatus = null;
+
+  try {
+    parsedStatus = await loadStatus(key);
+    if (!parsedStatus) {
+      return;
+    }
+
+    await queueReportEmail(`report:${userId}:${key.split(':')[2]}`, parsedStatus, userId, preferences);
+
+    // The outbox has the report now, so the status record can go
+    await getRedisClient().del(key);
+    await clearRetryState(getRedisClient(), key);
+
+    counts.processed++;
+
+  } catch (error) {
+    counts.errors++;
+    const correlationId = parsedStatus ? parsedStatus.correlationId : undefined;
+    log.error('Error processing report', { key, userId, correlationId, err: error });
+    await handleReportFailure(key, userId, error, correlationId);
+  }
+};
+
+/**
+ * Queue all of a digest user's pending statuses as one report at their local send time
+ * Statuses still in retry backoff when the digest goes out wait for the next one
+ * @param {string} userId - User ID
+ * @param {Array<string>} keys - The user's bulk_status keys
+ * @param {Object} preferences - User's report preferences
+ * @param {Object} counts - Tick counters, updated in place
+ */
+const sendDigestReport = async (userId, keys, preferences, counts) => {
+  // Statuses must outlive their expiry until the digest is sent
+  for (const key of keys) {
+    await getRedisClient().persist(key);
+  }
+
+  if (!isDigestDue(preferences)) {
+    counts.deferred += keys.length;
+    return;
+  }
+
+  const dueKeys = [];
+  const statuses = [];
+
+  for (const key of keys) {
+    const retryState = await getRetryState(getRedisClient(), key);
+    if (!retryState.due) {
+      counts.deferred++;
+      continue;
+    }
+
+    const parsedStatus = await loadStatus(key);
+    if (parsedStatus) {
+      dueKeys.push(key);
+      statuses.push(parsedStatus);
+    }
+  }
+
+  if (statuses.length === 0) {
+    return;
+  }
+
+  try {
+    const period = getDigestPeriod(preferences);
+    const email = await queueReportEmail(`digest:${userId}:${period}`, combineStatuses(statuses, userId), userId, preferences);
+
+    // If this period's digest was queued before a crash, statuses that arrived since wait for the next one
+    const queuedJobIds = new Set(email.jobIds);
+    const queuedKeys = dueKeys.filter((key, index) => queuedJobIds.has(statuses[index].jobId));
+
+    for (const key of queuedKeys) {
+      await getRedisClient().del(key);
+      await clearRetryState(getRedisClient(), key);
+    }
+
+    await Preference.updateOne({ userId }, { lastDigestPeriod: period });
+
+    counts.processed += queuedKeys.length;
+    counts.deferred += dueKeys.length - queuedKeys.length;
+
+  } catch (error) {
+    counts.errors++;
+    log.error('Error processing digest', { userId, delivery: preferences.delivery, err: error });
+
+    for (const [index, key] of dueKeys.entries()) {
+      await handleReportFailure(key, userId, error, statuses[index].correlationId);
+    }
+  }
+};
+
+/**
+ * Load report preferences for the given users
+ * Users without saved preferences get the defaults (immediate PDF reports)
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Promise<Map<string, Object>>} Preferences by user ID
+ */
+const loadPreferences = async (userIds) => {
+  const validIds = userIds.filter(userId => mongoose.Types.ObjectId.isValid(userId));
+  const saved = await Preference.find({ userId: { $in: validIds } });
+  const byUser = new Map(saved.map(preferences => [String(preferences.userId), preferences]));
+
+  for (const userId of userIds) {
+    if (!byUser.has(userId)) {
+      byUser.set(userId, new Preference());
+    }
+  }
+
+  return byUser;
+};
+
+const runStatusReports = async () => {
+  try {
+    log.info('Starting status report processing');
+
     // Get all bulk status keys from Redis
-    const statusKeys = await redisClient.keys('bulk_status:*');
+    const statusKeys = await getRedisClient().keys('bulk_status:*');
     
     if (statusKeys.length === 0) {
-      console.log(`[${new Date().toISOString()}] No status reports to process`);
-      return;
+      log.info('No status reports to process');
+      markCronSuccess('report');
+      return true;
     }
 
-    console.log(`[${new Date().toISOString()}] Found ${statusKeys.length} status reports to process`);
+    log.info('Found status reports to process', { count: statusKeys.length });
 
-    let processedCount = 0;
-    let errorCount = 0;
+    const counts = { processed: 0, errors: 0, deferred: 0 };
 
+    const keysByUser = new Map();
     for (const key of statusKeys) {
       const userId = key.split(':')[1];
-      console.log(`[${new Date().toISOString()}] Processing report for user: ${userId}`);
-
-      try {
-        // Get status data from Redis
-        const statusData = await redisClient.get(key);
-        
-        if (!statusData) {
-          console.log(`[${new Date().toISOString()}] No data found for key: ${key}`);
-          continue;
-        }
+      keysByUser.set(userId, [...(keysByUser.get(userId) || []), key]);
+    }
 
-        const parsedStatus = JSON.parse(statusData);
-        
-        // Validate status data
-        if (!parsedStatus.userId || parsedStatus.totalBooks === undefined) {
-          console.log(`[${new Date().toISOString()}] Invalid status data for key: ${key}`);
-          await redisClient.del(key);
-          continue;
-        }
+    const preferencesByUser = await loadPreferences([...keysByUser.keys()]);
 
-        // Get user email
-        const userEmail = await getUserEmail(userId);
-        
-        // Generate PDF report
-        console.log(`[${new Date().toISOString()}] Generating PDF report for user: ${userId}`);
-        const pdfBuffer = await generatePDFReport(parsedStatus, userId);
-
-        // Send email with report
-        console.log(`[${new Date().toISOString()}] Sending email report to: ${userEmail}`);
-        await sendReportEmail(userEmail, pdfBuffer, parsedStatus, userId);
-
-        // Delete the status record from Redis after successful email
-        await redisClient.del(key);
-        console.log(`[${new Date().toISOString()}] Status record deleted: ${key}`);
-
-        processedCount++;
-        console.log(`[${new Date().toISOString()}] Successfully processed report for user: ${userId}`);
-
-      } catch (error) {
-        errorCount++;
-        console.error(`[${new Date().toISOString()}] Error processing report for user ${userId}:`, error);
-
-        // Store error information for monitoring
-        const errorKey = `report_error:${userId}:${Date.now()}`;
-        const errorData = {
-          userId: userId,
-          originalKey: key,
-          error: error.message,
-          timestamp: new Date().toISOString(),
-          retryCount: 0
-        };
-        
-        await redisClient.setEx(errorKey, 86400, JSON.stringify(errorData)); // Expire after 24 hours
-        console.log(`[${new Date().toISOString()}] Error logged to: ${errorKey}`);
+    for (const [userId, keys] of keysByUser) {
+      const preferences = preferencesByUser.get(userId);
+
+      if (preferences.delivery === 'immediate') {
+        for (const key of keys) {
+          await sendStatusReport(key, userId, preferences, counts);
+        }
+      } else {
+        await sendDigestReport(userId, keys, preferences, counts);
       }
     }
 
-    console.log(`[${new Date().toISOString()}] Status report processing completed:`);
-    console.log(`  - Processed: ${processedCount}`);
-    console.log(`  - Errors: ${errorCount}`);
+    log.info('Status report processing completed', counts);
+    markCronSuccess('report');
+    return true;
 
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error in status report processing:`, error);
+    log.error('Error in status report processing', { err: error });
+    return false;
   }
 };
 
 /**
  * Initialize the report cron job
- * Runs every 5 minutes
+ * Runs on REPORT_CRON_SCHEDULE (every 5 minutes by default)
+ * @returns {Object} Scheduled task; stop() waits for a running tick to finish
  */
 const startReportCron = () => {
-  // Schedule: every 5 minutes
-  cron.schedule('*/5 * * * *', async () => {
-    console.log(`\n${'='.repeat(70)}`);
-    console.log(`[${new Date().toISOString()}] Report cron job triggered`);
-    console.log('='.repeat(70));
-    
-    await processStatusReports();
-    
-    console.log('='.repeat(70));
-    console.log(`[${new Date().toISOString()}] Report cron job completed`);
-    console.log(`${'='.repeat(70)}\n`);
-  });
+  const task = scheduleTask('report', config.cron.reportSchedule, processStatusReports);
 
-  console.log('Report cron job initialized - running every 5 minutes');
+  log.info('Report cron job initialized', { schedule: config.cron.reportSchedule });
+  return task;
 };
 
 /**
@@ -318,32 +501,17 @@ const startReportCron = () => {
  */
 const testEmailConfig = async () => {
   try {
-    await transporter.verify();
-    console.log('Email configuration verified successfully');
+    await verifyTransport();
+    log.info('Email configuration verified');
   } catch (error) {
-    console.error('Email configuration error:', error);
+    log.error('Email configuration error', { err: error });
   }
 };
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\nShutting down report cron job...');
-  await redisClient.quit();
-  transporter.close();
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-  console.log('\nShutting down report cron job...');
-  await redisClient.quit();
-  transporter.close();
-  process.exit(0);
-});
-
 module.exports = { 
   startReportCron, 
   processStatusReports, 
   generatePDFReport, 
-  sendReportEmail,
+  buildReportEmail,
   testEmailConfig 
 };
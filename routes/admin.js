@@ -0,0 +1,314 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/users');
+const NotificationChannel = require('../models/notificationChannels');
+const { getRedisClient } = require('../db');
+const { config, redactConfig } = require('../config');
+const authMiddleware = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const { listJobHistory } = require('../lib/jobHistory');
+const { listDeadLetters, requeueDeadLetter, getUserReportHistory } = require('../lib/reportRetry');
+const { processBulkBooks } = require('../bulkCron');
+const { processStatusReports } = require('../reportCron');
+const { processOutbox } = require('../outboxDispatcher');
+const { OUTBOX_STATUSES, listOutbox, retryOutboxEmail } = require('../lib/outbox');
+const { revokeAllForUser } = require('../lib/tokens');
+const { createChannel, formatChannel } = require('../lib/notifications');
+const { sendProblem, sendServerError } = require('../lib/problems');
+const { sendValidationProblem } = require('../lib/validation');
+const { channelSchema } = require('../lib/schemas');
+const validate = require('../middleware/validate');
+
+router.use(authMiddleware, requireRole('admin'));
+
+// Helper function to reject malformed user IDs before they reach MongoDB
+const isValidUserId = (userId) => mongoose.Types.ObjectId.isValid(userId);
+
+// Helper function to answer 400 for one invalid field
+const sendInvalidField = (req, res, field, message) => sendValidationProblem(req, res, {
+  detail: `Invalid ${field}`,
+  errors: [{ field, message }]
+});
+
+// USERS - List accounts
+router.get('/users', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [users, total] = await Promise.all([
+      User.find()
+        .select('-password')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments()
+    ]);
+
+    res.json({ page, limit, total, users });
+  } catch (error) {
+    sendServerError(req, res, 'Error fetching users', error);
+  }
+});
+
+// USERS - Change a user's role
+router.put('/users/:userId/role', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!isValidUserId(userId)) {
+      return sendInvalidField(req, res, 'userId', 'Must be a valid user ID');
+    }
+
+    if (!User.schema.path('role').enumValues.includes(role)) {
+      return sendInvalidField(req, res, 'role', `Use one of: ${User.schema.path('role').enumValues.join(', ')}`);
+    }
+
+    if (userId === req.user.id) {
+      return sendProblem(req, res, 400, { title: 'Admins cannot change their own role' });
+    }
+
+    const user = await User.findByIdAndUpdate(userId, { role }, { new: true }).select('-password');
+
+    if (!user) {
+      return sendProblem(req, res, 404, { title: 'User not found' });
+    }
+
+    res.json({ message: 'Role updated', user });
+  } catch (error) {
+    sendServerError(req, res, 'Error updating role', error);
+  }
+});
+
+// USERS - Disable or re-enable an account
+router.put('/users/:userId/disabled', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { disabled } = req.body;
+
+    if (!isValidUserId(userId)) {
+      return sendInvalidField(req, res, 'userId', 'Must be a valid user ID');
+    }
+
+    if (typeof disabled !== 'boolean') {
+      return sendInvalidField(req, res, 'disabled', 'Must be true or false');
+    }
+
+    if (userId === req.user.id) {
+      return sendProblem(req, res, 400, { title: 'Admins cannot disable their own account' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { disabled, disabledAt: disabled ? new Date() : null },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return sendProblem(req, res, 404, { title: 'User not found' });
+    }
+
+    // Drop the user's sessions so refresh tokens cannot outlive the ban
+    if (disabled) {
+      await revokeAllForUser(getRedisClient(), userId);
+    }
+
+    res.json({ message: disabled ? 'Account disabled' : 'Account enabled', user });
+  } catch (error) {
+    sendServerError(req, res, 'Error updating account', error);
+  }
+});
+
+// USERS - View any user's bulk job history
+router.get('/users/:userId/jobs', async (req, res) => {
+  try {
+    if (!isValidUserId(req.params.userId)) {
+      return sendInvalidField(req, res, 'userId', 'Must be a valid user ID');
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { total, jobs } = await listJobHistory(getRedisClient(), req.params.userId, { page, limit });
+
+    res.json({ page, limit, total, jobs });
+  } catch (error) {
+    sendServerError(req, res, 'Error fetching bulk jobs', error);
+  }
+});
+
+// USERS - View any user's report history
+router.get('/users/:userId/reports', async (req, res) => {
+  try {
+    if (!isValidUserId(req.params.userId)) {
+      return sendInvalidField(req, res, 'userId', 'Must be a valid user ID');
+    }
+
+    const history = await getUserReportHistory(getRedisClient(), req.params.userId);
+
+    res.json(history);
+  } catch (error) {
+    sendServerError(req, res, 'Error fetching report history', error);
+  }
+});
+
+// USERS - View any user's notification channels
+router.get('/users/:userId/channels', async (req, res) => {
+  try {
+    if (!isValidUserId(req.params.userId)) {
+      return sendInvalidField(req, res, 'userId', 'Must be a valid user ID');
+    }
+
+    const channels = await NotificationChannel.find({ userId: req.params.userId }).sort({ createdAt: 1 });
+
+    res.json({ channels: channels.map(channel => formatChannel(channel)) });
+  } catch (error) {
+    sendServerError(req, res, 'Error fetching notification channels', error);
+  }
+});
+
+// USERS - Add a notification channel for a user (e.g. an integration webhook)
+router.post('/users/:userId/channels', validate(channelSchema), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return sendInvalidField(req, res, 'userId', 'Must be a valid user ID');
+    }
+
+    if (!(await User.exists({ _id: userId }))) {
+      return sendProblem(req, res, 404, { title: 'User not found' });
+    }
+
+    const result = await createChannel(userId, req.body, req.user.id);
+
+    if (result.errors) {
+      return sendValidationProblem(req, res, { detail: 'Invalid channel settings', errors: result.errors });
+    }
+
+    if (result.error) {
+      return sendProblem(req, res, 409, { title: 'Too many notification channels', detail: result.error });
+    }
+
+    res.status(201).json({ message: 'Notification channel created', channel: formatChannel(result.channel, true) });
+  } catch (error) {
+    sendServerError(req, res, 'Error creating notification channel', error);
+  }
+});
+
+// USERS - Remove a user's notification channel
+router.delete('/users/:userId/channels/:channelId', async (req, res) => {
+  try {
+    const { userId, channelId } = req.params;
+
+    if (!isValidUserId(userId) || !isValidUserId(channelId)) {
+      return sendProblem(req, res, 404, { title: 'Notification channel not found' });
+    }
+
+    const result = await NotificationChannel.deleteOne({ _id: channelId, userId });
+
+    if (result.deletedCount === 0) {
+      return sendProblem(req, res, 404, { title: 'Notification channel not found' });
+    }
+
+    res.json({ message: 'Notification channel deleted' });
+  } catch (error) {
+    sendServerError(req, res, 'Error deleting notification channel', error);
+  }
+});
+
+// CONFIG - Show the effective configuration, with secrets redacted
+router.get('/config', (req, res) => {
+  res.json({ config: redactConfig(config) });
+});
+
+// CRON - Run bulk processing now; it continues in the background
+router.post('/cron/bulk/run', (req, res) => {
+  processBulkBooks();
+  res.status(202).json({ message: 'Bulk book processing triggered' });
+});
+
+// CRON - Run status report processing now; it continues in the background
+router.post('/cron/reports/run', (req, res) => {
+  processStatusReports();
+  res.status(202).json({ message: 'Status report processing triggered' });
+});
+
+// CRON - Send due outbox emails now; it continues in the background
+router.post('/cron/outbox/run', (req, res) => {
+  processOutbox();
+  res.status(202).json({ message: 'Outbox dispatch triggered' });
+});
+
+// OUTBOX - List queued, sent and failed report emails
+router.get('/outbox', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status !== undefined && !OUTBOX_STATUSES.includes(status)) {
+      return sendInvalidField(req, res, 'status', `Use one of: ${OUTBOX_STATUSES.join(', ')}`);
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { total, emails } = await listOutbox({ status, page, limit });
+
+    res.json({ page, limit, total, emails });
+  } catch (error) {
+    sendServerError(req, res, 'Error fetching outbox emails', error);
+  }
+});
+
+// OUTBOX - Give a failed email a fresh set of attempts
+router.post('/outbox/:emailId/retry', async (req, res) => {
+  try {
+    const { emailId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(emailId) || !(await retryOutboxEmail(emailId))) {
+      return sendProblem(req, res, 404, { title: 'Failed outbox email not found' });
+    }
+
+    res.json({ message: 'Outbox email requeued', emailId });
+  } catch (error) {
+    sendServerError(req, res, 'Error requeueing outbox email', error);
+  }
+});
+
+// DEAD LETTERS - List reports that exhausted their retries
+router.get('/reports/dead-letter', async (req, res) => {
+  try {
+    const reports = await listDeadLetters(getRedisClient());
+
+    res.json({ count: reports.length, reports });
+  } catch (error) {
+    sendServerError(req, res, 'Error fetching dead-lettered reports', error);
+  }
+});
+
+// DEAD LETTERS - Requeue a report for the next report cron tick
+router.post('/reports/dead-letter/:statusKey/requeue', async (req, res) => {
+  try {
+    const { statusKey } = req.params;
+
+    if (!statusKey.startsWith('bulk_status:')) {
+      return sendInvalidField(req, res, 'statusKey', 'Must be a bulk_status: key');
+    }
+
+    const result = await requeueDeadLetter(getRedisClient(), statusKey);
+
+    if (result === 'not_found') {
+      return sendProblem(req, res, 404, { title: 'Dead-lettered report not found' });
+    }
+
+    if (result === 'status_missing') {
+      return sendProblem(req, res, 410, { title: 'Bulk status for this report no longer exists' });
+    }
+
+    res.json({ message: 'Report requeued', statusKey });
+  } catch (error) {
+    sendServerError(req, res, 'Error requeueing report', error);
+  }
+});
+
+module.exports = router;
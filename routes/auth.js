@@ -1,62 +1,315 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/users');
+const { getRedisClient } = require('../db');
+const authMiddleware = require('../middleware/auth');
+const {
+  issueTokens,
+  consumeRefreshToken,
+  getRefreshTokenFamily,
+  revokeFamily,
+  denyAccessToken,
+  revokeAllForUser
+} = require('../lib/tokens');
+const { createAccountToken, consumeAccountToken } = require('../lib/accountTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../lib/accountEmails');
+const { authRateLimit } = require('../middleware/rateLimit');
+const { getLoginLockout, recordLoginFailure, clearLoginFailures } = require('../lib/rateLimit');
+const {
+  registerSchema,
+  loginSchema,
+  refreshSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  resetLinkSchema,
+  verifyEmailSchema
+} = require('../lib/schemas');
+const validate = require('../middleware/validate');
+const { sendProblem, sendServerError } = require('../lib/problems');
+const { sendValidationProblem } = require('../lib/validation');
 
 const router = express.Router();
 
+// Hash of a random password at the same cost as real ones; logins for unknown emails are checked
+// against it so they take as long as a wrong password and don't reveal which emails have accounts
+const DUMMY_PASSWORD_HASH = '$2a$10$mlAK40.OqiLF2vb7Z09iGeKfdD.h.tSu1MTLvBep7dzTdRI0v8z0a';
+
+/**
+ * Email a fresh verification link, replacing any earlier one
+ * The token is tied to the address it was sent to, so it stops working if the email changes
+ * @param {Object} redisClient - Connected Redis client
+ * @param {Object} user - User document
+ */
+const sendVerification = async (redisClient, user) => {
+  const token = await createAccountToken(redisClient, 'email_verification', String(user._id), { email: user.email });
+  await sendVerificationEmail(user, token);
+};
+
 // Register
-router.post('/register', async (req, res) => {
+router.post('/register', authRateLimit, validate(registerSchema), async (req, res) => {
   try {
     const { username, email, password } = req.body;
 
-    if (!username || !email || !password) {
-      return res.status(400).json({ error: 'All fields required' });
-    }
-
     const existingUser = await User.findOne({ $or: [{ email }, { username }] });
     if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
+      return sendProblem(req, res, 409, { title: 'User already exists' });
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
     const user = new User({ username, email, password: hashedPassword });
     await user.save();
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    const redisClient = getRedisClient();
+    const tokens = await issueTokens(redisClient, String(user._id));
+
+    // The account works without it, so a mail outage must not fail registration
+    try {
+      await sendVerification(redisClient, user);
+    } catch (error) {
+      req.log.error('Verification email error', { err: error });
+    }
 
-    res.status(201).json({ message: 'User registered successfully', token, userId: user._id });
+    res.status(201).json({
+      message: 'User registered successfully. Check your email to verify your address',
+      ...tokens,
+      userId: user._id
+    });
   } catch (error) {
-    console.error('Register error:', error);
-    res.status(500).json({ error: error.message });
+    req.log.error('Register error', { err: error });
+    sendServerError(req, res, 'Error registering user', error);
   }
 });
 
 // Login
-router.post('/login', async (req, res) => {
+// Repeated failures for an email lock it out for a while, whether or not the account exists
+router.post('/login', authRateLimit, validate(loginSchema), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' });
+    const redisClient = getRedisClient();
+    const lockoutSeconds = await getLoginLockout(redisClient, email);
+
+    if (lockoutSeconds > 0) {
+      res.set('Retry-After', String(lockoutSeconds));
+      return sendProblem(req, res, 429, {
+        title: 'Too many failed login attempts',
+        detail: `Try again in ${lockoutSeconds} seconds`
+      });
     }
 
     const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+    const passwordMatches = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    const isValidPassword = Boolean(user) && passwordMatches;
 
-    const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      const failure = await recordLoginFailure(redisClient, email);
+
+      if (failure.locked) {
+        req.log.warn('Login locked after repeated failures', { lockoutSeconds: failure.lockoutSeconds });
+      }
+
+      return sendProblem(req, res, 401, { title: 'Invalid credentials' });
+    }
+
+    await clearLoginFailures(redisClient, email);
+
+    if (user.disabled) {
+      return sendProblem(req, res, 403, { title: 'Account is disabled' });
+    }
+
+    const tokens = await issueTokens(redisClient, String(user._id));
+
+    res.json({ message: 'Login successful', ...tokens, userId: user._id });
+  } catch (error) {
+    req.log.error('Login error', { err: error });
+    sendServerError(req, res, 'Error logging in', error);
+  }
+});
+
+// Refresh - exchange a refresh token for a new token pair
+router.post('/refresh', validate(refreshSchema), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const redisClient = getRedisClient();
+    const result = await consumeRefreshToken(redisClient, refreshToken);
+
+    if (result.error === 'reused') {
+      return sendProblem(req, res, 401, { title: 'Refresh token reuse detected, session revoked' });
+    }
+
+    if (result.error) {
+      return sendProblem(req, res, 401, { title: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(result.userId).select('disabled');
+    if (!user || user.disabled) {
+      await revokeFamily(redisClient, result.familyId);
+      return sendProblem(req, res, 401, { title: 'Invalid or expired refresh token' });
+    }
+
+    const tokens = await issueTokens(redisClient, result.userId, result.familyId);
+
+    res.json({ message: 'Token refreshed', ...tokens, userId: result.userId });
+  } catch (error) {
+    req.log.error('Refresh error', { err: error });
+    sendServerError(req, res, 'Error refreshing token', error);
+  }
+});
+
+// Logout - revoke this access token and, if given, its refresh token's session
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    const redisClient = getRedisClient();
+    const { refreshToken } = req.body;
+
+    await denyAccessToken(redisClient, req.token);
+
+    if (refreshToken) {
+      const family = await getRefreshTokenFamily(redisClient, refreshToken);
+
+      if (family && family.userId === req.user.id) {
+        await revokeFamily(redisClient, family.familyId);
+      }
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    req.log.error('Logout error', { err: error });
+    sendServerError(req, res, 'Error logging out', error);
+  }
+});
+
+// Logout all - revoke every session for the current user
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    await revokeAllForUser(getRedisClient(), req.user.id);
+
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    req.log.error('Logout all error', { err: error });
+    sendServerError(req, res, 'Error logging out of all sessions', error);
+  }
+});
+
+// Forgot password - email a reset link
+router.post('/forgot-password', authRateLimit, validate(forgotPasswordSchema), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Same answer whether or not the account exists, so addresses can't be probed
+    const message = 'If an account exists for that email, a password reset link has been sent';
+
+    const user = await User.findOne({ email });
+    if (!user || user.disabled) {
+      return res.json({ message });
+    }
+
+    try {
+      const token = await createAccountToken(getRedisClient(), 'password_reset', String(user._id));
+      await sendPasswordResetEmail(user, token);
+    } catch (error) {
+      req.log.error('Password reset email error', { err: error });
+    }
+
+    res.json({ message });
+  } catch (error) {
+    req.log.error('Forgot password error', { err: error });
+    sendServerError(req, res, 'Error requesting password reset', error);
+  }
+});
+
+// Reset password link - where the emailed link lands when no FRONTEND_URL is set
+// Only shows how to use the token; it is spent by the POST below
+router.get('/reset-password', validate(resetLinkSchema, 'query'), (req, res) => {
+  res.json({
+    message: 'To choose a new password, POST { token, password } to /api/auth/reset-password',
+    token: req.query.token
+  });
+});
+
+// Reset password - set a new password with a reset token and sign out every session
+router.post('/reset-password', authRateLimit, validate(resetPasswordSchema), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const redisClient = getRedisClient();
+    const tokenData = await consumeAccountToken(redisClient, 'password_reset', token);
+
+    const user = tokenData && await User.findById(tokenData.userId);
+    if (!user || user.disabled) {
+      return sendValidationProblem(req, res, {
+        detail: 'Invalid or expired reset token',
+        errors: [{ field: 'token', message: 'Invalid or expired' }]
+      });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    user.passwordChangedAt = new Date();
+
+    // Following the emailed link proves the address belongs to the user
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    await user.save();
+    await revokeAllForUser(redisClient, String(user._id));
+
+    res.json({ message: 'Password has been reset. Please log in again' });
+  } catch (error) {
+    req.log.error('Reset password error', { err: error });
+    sendServerError(req, res, 'Error resetting password', error);
+  }
+});
+
+// Verify email - confirm the address with the token from the verification email
+// GET serves the emailed link when no FRONTEND_URL is set; frontends POST the token
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.method === 'GET' ? req.query : req.body;
+
+    const tokenData = await consumeAccountToken(getRedisClient(), 'email_verification', token);
+
+    const user = tokenData && await User.findById(tokenData.userId);
+    if (!user || user.email !== tokenData.email) {
+      return sendValidationProblem(req, res, {
+        detail: 'Invalid or expired verification token',
+        errors: [{ field: 'token', message: 'Invalid or expired' }]
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    req.log.error('Verify email error', { err: error });
+    sendServerError(req, res, 'Error verifying email', error);
+  }
+};
+
+router.get('/verify-email', validate(verifyEmailSchema, 'query'), verifyEmail);
+router.post('/verify-email', validate(verifyEmailSchema), verifyEmail);
+
+// Resend verification - email a new verification link to the current user
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return sendProblem(req, res, 400, { title: 'Email is already verified' });
     }
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    await sendVerification(getRedisClient(), user);
 
-    res.json({ message: 'Login successful', token, userId: user._id });
+    res.json({ message: 'Verification email sent' });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: error.message });
+    req.log.error('Resend verification error', { err: error });
+    sendServerError(req, res, 'Error resending verification email', error);
   }
 });
 
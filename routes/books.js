@@ -1,27 +1,152 @@
 const express = require('express');
 const router = express.Router();
-const Book = require('../models/Book');
-const redis = require('../config/redis');
+const Book = require('../models/books');
+const Preference = require('../models/preferences');
+const { getRedisClient } = require('../db');
 const authMiddleware = require('../middleware/auth');
+const { createJob, formatJob } = require('../lib/bulkJobs');
+const {
+  createJobHistory,
+  listJobHistory,
+  getJobHistory,
+  listResubmissions,
+  formatJobHistory,
+  toStatusData
+} = require('../lib/jobHistory');
+const { toFailedRowInput, getOriginalRow, generateFailedRowsCSV } = require('../lib/failedRows');
+const { UploadTooLargeError, detectFormat, parseUpload } = require('../lib/bookImport');
+const { insertBooks } = require('../lib/bookWriter');
+const { parseBookQuery, encodeCursor } = require('../lib/bookQuery');
+const { BOOKS_CACHE_TTL_SECONDS, getBooksCacheKey, invalidateBooksCache } = require('../lib/bookCache');
+const { generatePDFReport } = require('../reportCron');
+const { booksCacheRequests } = require('../lib/metrics');
+const { booksRateLimit } = require('../middleware/rateLimit');
+const { setRateLimitHeaders } = require('../lib/rateLimit');
+const { checkBookQuota, reserveBulkRows, releaseBulkRows, settleBulkRows } = require('../lib/quotas');
+const { bookSchema, bookUpdateSchema, bulkBodySchema, bulkQuerySchema } = require('../lib/schemas');
+const { formatMongooseErrors, validateBookRows, sendValidationProblem, sendRowsProblem } = require('../lib/validation');
+const { sendProblem, sendServerError } = require('../lib/problems');
+const validate = require('../middleware/validate');
+const { config } = require('../config');
+
+const JOB_STATES = ['queued', 'processing', 'completed', 'failed'];
+
+// Helper function to answer 415 for an upload that is neither CSV nor NDJSON
+const sendUnsupportedFormat = (req, res) => sendProblem(req, res, 415, {
+  title: 'Unsupported upload format',
+  detail: 'Use Content-Type text/csv or application/x-ndjson'
+});
+
+// Helper function to answer 413 for an upload over BULK_MAX_ROWS or the bulk body size
+// The rest of the body is left unread, so the connection is closed rather than reused
+const sendUploadTooLarge = (req, res, detail) => {
+  res.set('Connection', 'close');
+  return sendProblem(req, res, 413, { title: 'Upload too large', detail });
+};
+
+// Helper function to parse an upload within the bulk limits
+// Returns the parsed rows, or null once a 413 or 400 has been sent
+const readUpload = async (req, res, format) => {
+  if (Number(req.headers['content-length']) > config.bulk.maxBodyBytes) {
+    sendUploadTooLarge(req, res, `Upload is larger than ${config.bulk.maxBodyBytes} bytes`);
+    return null;
+  }
+
+  try {
+    return await parseUpload(req, format);
+  } catch (error) {
+    if (error instanceof UploadTooLargeError) {
+      sendUploadTooLarge(req, res, error.message);
+    } else {
+      sendProblem(req, res, 400, { title: `Malformed ${format.toUpperCase()} upload`, detail: error.message });
+    }
+    return null;
+  }
+};
 
-// Helper function to generate user-specific cache keys
-const getUserCacheKey = (userId, key) => `user:${userId}:${key}`;
+// Helper function to answer 429 for an exceeded quota, with RateLimit-* headers describing it
+const sendQuotaExceeded = (req, res, quota) => {
+  const remaining = Math.max(0, quota.limit - quota.used);
+
+  setRateLimitHeaders(res, { limit: quota.limit, remaining, resetSeconds: quota.resetSeconds });
+
+  if (quota.resetSeconds !== undefined) {
+    res.set('Retry-After', String(quota.resetSeconds));
+  }
+
+  return sendProblem(req, res, 429, {
+    type: '/problems/quota-exceeded',
+    title: 'Quota exceeded',
+    detail: quota.name === 'books'
+      ? `Adding ${quota.requested} books would exceed your limit of ${quota.limit} books (${remaining} left)`
+      : `Importing ${quota.requested} rows would exceed your daily limit of ${quota.limit} bulk rows (${remaining} left today)`,
+    quota: { name: quota.name, limit: quota.limit, used: quota.used, requested: quota.requested }
+  });
+};
+
+// Helper function to check both quotas for a bulk import
+// Returns the daily rows reservation, or null once a 429 has been sent
+const reserveImport = async (req, res, userId, rows) => {
+  const bookQuota = await checkBookQuota(getRedisClient(), userId, rows);
+  if (!bookQuota.allowed) {
+    sendQuotaExceeded(req, res, bookQuota);
+    return null;
+  }
+
+  const reservation = await reserveBulkRows(getRedisClient(), userId, rows);
+  if (!reservation.allowed) {
+    sendQuotaExceeded(req, res, reservation);
+    return null;
+  }
+
+  return reservation;
+};
+
+// Helper function to queue a bulk job, handing its reserved rows back if it could not be queued
+// Its history is written before workers can see it, so no job runs without a BulkJob record
+const createReservedJob = async (reservation, userId, books, options) => {
+  try {
+    return await createJob(getRedisClient(), userId, books, { ...options, quota: reservation, beforeQueue: createJobHistory });
+  } catch (error) {
+    await releaseBulkRows(getRedisClient(), reservation);
+    throw error;
+  }
+};
+
+// Helper function to answer a failed book write: 409 for a duplicate ISBN, 400 with field errors for invalid data
+const sendBookWriteError = (req, res, error, title) => {
+  if (error.code === 11000) {
+    return sendProblem(req, res, 409, {
+      title: 'Book with this ISBN already exists',
+      errors: [{ field: 'isbn', message: 'You already have a book with this ISBN' }]
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = formatMongooseErrors(error);
+    return sendValidationProblem(req, res, {
+      detail: `The book has ${errors.length} invalid field${errors.length === 1 ? '' : 's'}`,
+      errors
+    });
+  }
+
+  sendServerError(req, res, title, error);
+};
 
 // Helper function to invalidate user-specific cache
 const invalidateUserCache = async (userId) => {
-  const cacheKey = getUserCacheKey(userId, 'books');
-  await redis.del(cacheKey);
+  await invalidateBooksCache(getRedisClient(), userId);
 };
 
 // CREATE - Add a new book
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, booksRateLimit, validate(bookSchema), async (req, res) => {
   try {
     const { title, author, isbn, publishedYear, genre } = req.body;
     const userId = req.user.id;
 
-    // Validate required fields
-    if (!title || !author || !isbn) {
-      return res.status(400).json({ error: 'Title, author, and ISBN are required' });
+    const bookQuota = await checkBookQuota(getRedisClient(), userId, 1);
+    if (!bookQuota.allowed) {
+      return sendQuotaExceeded(req, res, bookQuota);
     }
 
     // Create new book
@@ -41,74 +166,102 @@ router.post('/', authMiddleware, async (req, res) => {
 
     res.status(201).json({ message: 'Book created successfully', book });
   } catch (error) {
-    if (error.code === 11000) {
-      return res.status(400).json({ error: 'Book with this ISBN already exists' });
-    }
-    res.status(500).json({ error: 'Error creating book', details: error.message });
+    sendBookWriteError(req, res, error, 'Error creating book');
   }
 });
 
-// READ - Get all books (with Redis caching per user)
-router.get('/', authMiddleware, async (req, res) => {
+// READ - Search, filter and page through books (with Redis caching per user and query)
+// Query: q, genre, author, yearFrom, yearTo, sort, order, limit, cursor
+router.get('/', authMiddleware, booksRateLimit, async (req, res) => {
   try {
     const userId = req.user.id;
-    const cacheKey = getUserCacheKey(userId, 'books');
+    const query = parseBookQuery(req.query, userId);
+
+    if (query.error) {
+      return sendValidationProblem(req, res, { detail: query.error });
+    }
+
+    const cacheKey = await getBooksCacheKey(getRedisClient(), userId, req.query);
 
     // Try to get from cache
-    const cachedBooks = await redis.get(cacheKey);
+    const cachedPage = await getRedisClient().get(cacheKey);
     
-    if (cachedBooks) {
+    booksCacheRequests.inc({ result: cachedPage ? 'hit' : 'miss' });
+
+    if (cachedPage) {
       return res.json({ 
         source: 'cache', 
-        books: JSON.parse(cachedBooks) 
+        ...JSON.parse(cachedPage) 
       });
     }
 
-    // If not in cache, fetch from database
-    const books = await Book.find({ userId }).sort({ createdAt: -1 });
+    // If not in cache, fetch one extra book from the database to know whether another page exists
+    const [books, total] = await Promise.all([
+      Book.find(query.pageFilter).sort(query.sort).limit(query.limit + 1).lean(),
+      Book.countDocuments(query.filter)
+    ]);
+
+    const hasMore = books.length > query.limit;
+    const pageBooks = hasMore ? books.slice(0, query.limit) : books;
+    const page = {
+      books: pageBooks,
+      total,
+      limit: query.limit,
+      nextCursor: hasMore ? encodeCursor(pageBooks[pageBooks.length - 1], query.sortField) : null
+    };
 
     // Store in cache with 1 hour expiration
-    await redis.setex(cacheKey, 3600, JSON.stringify(books));
+    await getRedisClient().setEx(cacheKey, BOOKS_CACHE_TTL_SECONDS, JSON.stringify(page));
 
     res.json({ 
       source: 'database', 
-      books 
+      ...page 
     });
   } catch (error) {
-    res.status(500).json({ error: 'Error fetching books', details: error.message });
+    sendServerError(req, res, 'Error fetching books', error);
   }
 });
 
 // READ - Get a single book by ID
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, booksRateLimit, async (req, res) => {
   try {
     const userId = req.user.id;
     const book = await Book.findOne({ _id: req.params.id, userId });
 
     if (!book) {
-      return res.status(404).json({ error: 'Book not found' });
+      return sendProblem(req, res, 404, { title: 'Book not found' });
     }
 
     res.json({ book });
   } catch (error) {
-    res.status(500).json({ error: 'Error fetching book', details: error.message });
+    sendServerError(req, res, 'Error fetching book', error);
   }
 });
 
 // UPDATE - Update a book
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, booksRateLimit, validate(bookUpdateSchema), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { title, author, isbn, publishedYear, genre } = req.body;
+
+    // Fields sent as null are removed from the book; fields left out are kept
+    const $set = {};
+    const $unset = {};
+    for (const [field, value] of Object.entries(req.body)) {
+      if (value === null) {
+        $unset[field] = '';
+      } else if (value !== undefined) {
+        $set[field] = value;
+      }
+    }
 
     const book = await Book.findOneAndUpdate(
       { _id: req.params.id, userId },
-      { title, author, isbn, publishedYear, genre },
+      { ...(Object.keys($set).length > 0 && { $set }), ...(Object.keys($unset).length > 0 && { $unset }) },
       { new: true, runValidators: true }
     );
 
     if (!book) {
-      return res.status(404).json({ error: 'Book not found' });
+      return sendProblem(req, res, 404, { title: 'Book not found' });
     }
 
     // Invalidate user's cache
@@ -116,21 +269,18 @@ router.put('/:id', authMiddleware, async (req, res) => {
 
     res.json({ message: 'Book updated successfully', book });
   } catch (error) {
-    if (error.code === 11000) {
-      return res.status(400).json({ error: 'Book with this ISBN already exists' });
-    }
-    res.status(500).json({ error: 'Error updating book', details: error.message });
+    sendBookWriteError(req, res, error, 'Error updating book');
   }
 });
 
 // DELETE - Delete a book
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, booksRateLimit, async (req, res) => {
   try {
     const userId = req.user.id;
     const book = await Book.findOneAndDelete({ _id: req.params.id, userId });
 
     if (!book) {
-      return res.status(404).json({ error: 'Book not found' });
+      return sendProblem(req, res, 404, { title: 'Book not found' });
     }
 
     // Invalidate user's cache
@@ -138,67 +288,341 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 
     res.json({ message: 'Book deleted successfully', book });
   } catch (error) {
-    res.status(500).json({ error: 'Error deleting book', details: error.message });
+    sendServerError(req, res, 'Error deleting book', error);
   }
 });
 
 // BULK INSERT - Add multiple books at once
-router.post('/bulk', authMiddleware, async (req, res) => {
+// Invalid books are reported per row alongside the write results; the rest are still inserted
+router.post('/bulk', authMiddleware, booksRateLimit, validate(bulkBodySchema), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { books } = req.body;
+    const { onDuplicate } = req.body;
 
-    if (!books || !Array.isArray(books) || books.length === 0) {
-      return res.status(400).json({ error: 'Books array is required and must not be empty' });
+    if (req.body.books.length > config.quotas.bulkSyncMaxRows) {
+      return sendProblem(req, res, 413, {
+        title: 'Too many books for an inline bulk insert',
+        detail: `Send at most ${config.quotas.bulkSyncMaxRows} books, or queue larger imports with POST /api/books/bulk/jobs`
+      });
     }
 
-    // Validate each book has required fields
-    for (const book of books) {
-      if (!book.title || !book.author || !book.isbn) {
-        return res.status(400).json({ 
-          error: 'Each book must have title, author, and ISBN' 
-        });
-      }
+    const { books, failures: rejected } = validateBookRows(req.body.books);
+
+    if (books.length === 0) {
+      return sendRowsProblem(req, res, 'No valid books in the request', rejected);
     }
 
-    // Add userId to each book
-    const booksWithUserId = books.map(book => ({
-      ...book,
-      userId
-    }));
+    const reservation = await reserveImport(req, res, userId, books.length);
+    if (!reservation) {
+      return;
+    }
 
-    // Insert all books
-    const insertedBooks = await Book.insertMany(booksWithUserId, { ordered: false });
+    // Insert through the same writer as the bulk cron, so duplicates are handled identically
+    const result = { successCount: 0, failures: [...rejected], duplicates: [], inserted: [] };
+
+    try {
+      await insertBooks(books, userId, {
+        chunkSize: books.length,
+        concurrency: 1,
+        onDuplicate,
+        onProgress: async ({ successCount, failures, duplicates, inserted }) => {
+          result.successCount += successCount;
+          result.failures.push(...failures);
+          result.duplicates.push(...duplicates);
+          result.inserted.push(...inserted);
+        }
+      });
+    } finally {
+      // Only books actually written use up the day's quota, also when the insert throws
+      await settleBulkRows(getRedisClient(), reservation, result.successCount);
+    }
 
     // Invalidate user's cache
     await invalidateUserCache(userId);
 
-    res.status(201).json({ 
-      message: `${insertedBooks.length} books inserted successfully`, 
-      books: insertedBooks 
+    result.failures.sort((a, b) => a.row - b.row);
+
+    res.status(result.failures.length > 0 ? 207 : 201).json({ 
+      message: `${result.inserted.length} books inserted successfully`, 
+      successCount: result.successCount,
+      failureCount: result.failures.length,
+      duplicateCount: result.duplicates.length,
+      books: result.inserted,
+      failures: result.failures,
+      duplicates: result.duplicates
+    });
+  } catch (error) {
+    // Some books may have been written before the error
+    await invalidateUserCache(req.user.id);
+    sendServerError(req, res, 'Error bulk inserting books', error);
+  }
+});
+
+// BULK JOBS - Queue books for the bulk cron job
+// Invalid books are recorded as the job's rejected rows, like invalid rows of an upload
+router.post('/bulk/jobs', authMiddleware, booksRateLimit, validate(bulkBodySchema), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { onDuplicate } = req.body;
+
+    if (req.body.books.length > config.bulk.maxRows) {
+      return sendProblem(req, res, 413, {
+        title: 'Too many books for one bulk import',
+        detail: `Send at most ${config.bulk.maxRows} books per job`
+      });
+    }
+
+    const { books, failures } = validateBookRows(req.body.books);
+
+    if (books.length === 0) {
+      return sendRowsProblem(req, res, 'No valid books in the request', failures);
+    }
+
+    const reservation = await reserveImport(req, res, userId, books.length);
+    if (!reservation) {
+      return;
+    }
+
+    const job = await createReservedJob(reservation, userId, books, { failures, onDuplicate, correlationId: req.id });
+    req.log.info('Bulk import queued', { jobId: job.jobId, correlationId: job.correlationId, totalBooks: job.totalBooks });
+
+    res.status(202).json({
+      message: `Bulk import queued (${books.length} valid rows, ${failures.length} rejected)`,
+      jobId: job.jobId,
+      job: formatJob(job)
+    });
+  } catch (error) {
+    sendServerError(req, res, 'Error queueing bulk import', error);
+  }
+});
+
+// BULK UPLOAD - Queue a CSV or NDJSON file for the bulk cron job
+router.post('/bulk/upload', authMiddleware, booksRateLimit, validate(bulkQuerySchema, 'query'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const format = detectFormat(req.headers['content-type']);
+    const { onDuplicate } = req.query;
+
+    if (!format) {
+      return sendUnsupportedFormat(req, res);
+    }
+
+    const parsed = await readUpload(req, res, format);
+    if (!parsed) {
+      return;
+    }
+
+    const { books, failures } = parsed;
+
+    if (books.length === 0) {
+      return sendRowsProblem(req, res, 'Upload contains no valid books', failures);
+    }
+
+    const reservation = await reserveImport(req, res, userId, books.length);
+    if (!reservation) {
+      return;
+    }
+
+    const job = await createReservedJob(reservation, userId, books, { source: format, failures, onDuplicate, correlationId: req.id });
+    req.log.info('Bulk upload queued', { jobId: job.jobId, correlationId: job.correlationId, totalBooks: job.totalBooks, source: format });
+
+    res.status(202).json({ 
+      message: `Bulk import queued (${books.length} valid rows, ${failures.length} rejected)`, 
+      jobId: job.jobId, 
+      job: formatJob(job) 
     });
   } catch (error) {
-    if (error.code === 11000) {
-      // Some books may have been inserted before duplicate error
-      await invalidateUserCache(req.user.id);
-      return res.status(400).json({ 
-        error: 'Some books have duplicate ISBNs', 
-        details: error.message 
+    sendServerError(req, res, 'Error queueing bulk upload', error);
+  }
+});
+
+// BULK JOBS - List the user's bulk job history, newest first
+// Query: page, limit, state
+router.get('/bulk/jobs', authMiddleware, booksRateLimit, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { state } = req.query;
+
+    if (state !== undefined && !JOB_STATES.includes(state)) {
+      return sendValidationProblem(req, res, {
+        detail: 'The request query has 1 invalid field',
+        errors: [{ field: 'state', message: `Use one of: ${JOB_STATES.join(', ')}` }]
       });
     }
-    res.status(500).json({ error: 'Error bulk inserting books', details: error.message });
+
+    const { total, jobs } = await listJobHistory(getRedisClient(), userId, { page, limit, state });
+
+    res.json({ page, limit, total, jobs });
+  } catch (error) {
+    sendServerError(req, res, 'Error fetching bulk jobs', error);
+  }
+});
+
+// BULK JOBS - Get a single bulk job's progress, failures, report delivery and resubmissions
+router.get('/bulk/jobs/:jobId', authMiddleware, booksRateLimit, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const job = await getJobHistory(getRedisClient(), req.params.jobId);
+
+    if (!job || String(job.userId) !== userId) {
+      return sendProblem(req, res, 404, { title: 'Bulk job not found' });
+    }
+
+    const resubmissions = await listResubmissions(job.jobId);
+
+    res.json({ job: { ...formatJobHistory(job), resubmissions } });
+  } catch (error) {
+    sendServerError(req, res, 'Error fetching bulk job', error);
+  }
+});
+
+// BULK JOBS - Download a job's failed rows as CSV, ready to fix and resubmit
+router.get('/bulk/jobs/:jobId/failed-rows', authMiddleware, booksRateLimit, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const job = await getJobHistory(getRedisClient(), req.params.jobId);
+
+    if (!job || String(job.userId) !== userId) {
+      return sendProblem(req, res, 404, { title: 'Bulk job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/csv',
+      'Content-Disposition': `attachment; filename="failed-rows-${job.jobId}.csv"`
+    });
+    res.send(generateFailedRowsCSV(job));
+  } catch (error) {
+    sendServerError(req, res, 'Error exporting failed rows', error);
+  }
+});
+
+// BULK JOBS - Queue corrected failed rows from a job as a new linked job
+// Body: the failed-rows CSV (or NDJSON) with fixes; rows are matched to failures by originalRow
+router.post('/bulk/jobs/:jobId/resubmit', authMiddleware, booksRateLimit, validate(bulkQuerySchema, 'query'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const format = detectFormat(req.headers['content-type']);
+    const { onDuplicate } = req.query;
+
+    if (!format) {
+      return sendUnsupportedFormat(req, res);
+    }
+
+    const parentJob = await getJobHistory(getRedisClient(), req.params.jobId);
+
+    if (!parentJob || String(parentJob.userId) !== userId) {
+      return sendProblem(req, res, 404, { title: 'Bulk job not found' });
+    }
+
+    if (parentJob.state !== 'completed' && parentJob.state !== 'failed') {
+      return sendProblem(req, res, 409, { title: 'Bulk job is still running', detail: 'Resubmit failed rows once the job has finished' });
+    }
+
+    const failedRows = new Set((parentJob.failures || []).map(getOriginalRow));
+
+    if (failedRows.size === 0) {
+      return sendProblem(req, res, 409, { title: 'Bulk job has no failed rows to resubmit' });
+    }
+
+    const parsed = await readUpload(req, res, format);
+    if (!parsed) {
+      return;
+    }
+
+    // Only rows that fix one of the parent job's failures are queued, each at most once
+    const books = [];
+    const failures = [...parsed.failures];
+    const resubmittedRows = new Set();
+
+    for (const book of parsed.books) {
+      let error = null;
+
+      if (book.originalRow === undefined) {
+        error = 'Missing originalRow';
+      } else if (!failedRows.has(book.originalRow)) {
+        error = `originalRow ${book.originalRow} is not a failed row of job ${parentJob.jobId}`;
+      } else if (resubmittedRows.has(book.originalRow)) {
+        error = `originalRow ${book.originalRow} appears more than once`;
+      }
+
+      if (error) {
+        failures.push({ row: book.row, title: book.title, error, input: toFailedRowInput(book) });
+        continue;
+      }
+
+      resubmittedRows.add(book.originalRow);
+      books.push(book);
+    }
+
+    failures.sort((a, b) => a.row - b.row);
+
+    if (books.length === 0) {
+      return sendRowsProblem(req, res, 'Upload contains no failed rows to resubmit', failures);
+    }
+
+    const reservation = await reserveImport(req, res, userId, books.length);
+    if (!reservation) {
+      return;
+    }
+
+    const job = await createReservedJob(reservation, userId, books, {
+      source: format,
+      failures,
+      onDuplicate,
+      parentJobId: parentJob.jobId,
+      correlationId: req.id
+    });
+    req.log.info('Bulk resubmission queued', { jobId: job.jobId, parentJobId: parentJob.jobId, correlationId: job.correlationId, totalBooks: job.totalBooks });
+
+    res.status(202).json({
+      message: `Resubmission queued (${books.length} rows, ${failures.length} rejected)`,
+      jobId: job.jobId,
+      parentJobId: parentJob.jobId,
+      job: formatJob(job)
+    });
+  } catch (error) {
+    sendServerError(req, res, 'Error queueing resubmission', error);
+  }
+});
+
+// BULK JOBS - Download a finished job's PDF report again
+router.get('/bulk/jobs/:jobId/report', authMiddleware, booksRateLimit, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const job = await getJobHistory(getRedisClient(), req.params.jobId);
+
+    if (!job || String(job.userId) !== userId) {
+      return sendProblem(req, res, 404, { title: 'Bulk job not found' });
+    }
+
+    if (job.state !== 'completed') {
+      return sendProblem(req, res, 409, { title: 'Report not available', detail: `Job is ${job.state}; reports exist for completed jobs only` });
+    }
+
+    const preferences = await Preference.findOne({ userId }).select('locale timezone').lean() || {};
+    const pdfBuffer = await generatePDFReport(toStatusData(job), userId, { locale: preferences.locale, timeZone: preferences.timezone });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="books-report-${job.jobId}.pdf"`
+    });
+    res.send(pdfBuffer);
+  } catch (error) {
+    sendServerError(req, res, 'Error generating bulk job report', error);
   }
 });
 
 // CACHE INVALIDATION - Manual cache invalidation endpoint
-router.delete('/cache/invalidate', authMiddleware, async (req, res) => {
+router.delete('/cache/invalidate', authMiddleware, booksRateLimit, async (req, res) => {
   try {
     const userId = req.user.id;
     await invalidateUserCache(userId);
 
     res.json({ message: 'Cache invalidated successfully' });
   } catch (error) {
-    res.status(500).json({ error: 'Error invalidating cache', details: error.message });
+    sendServerError(req, res, 'Error invalidating cache', error);
   }
 });
 
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const { listPreviews, getPreview, getPreviewFilePath } = require('../lib/mailPreview');
+const { sendProblem, sendServerError } = require('../lib/problems');
+
+// Only mounted in preview mode outside production (see app.js)
+
+// Files every preview has; attachments are served with the type they were sent with
+const PREVIEW_FILE_TYPES = {
+  'message.eml': 'message/rfc822',
+  'body.html': 'text/html; charset=utf-8'
+};
+
+// PREVIEW - List emails written by the preview transport
+router.get('/', async (req, res) => {
+  try {
+    const previews = await listPreviews();
+
+    res.json({
+      count: previews.length,
+      emails: previews.map(preview => ({
+        ...preview,
+        htmlUrl: `${req.baseUrl}/${preview.id}`,
+        emlUrl: `${req.baseUrl}/${preview.id}/files/message.eml`,
+        attachments: preview.attachments.map(attachment => ({
+          ...attachment,
+          url: `${req.baseUrl}/${preview.id}/files/${encodeURIComponent(attachment.filename)}`
+        }))
+      }))
+    });
+  } catch (error) {
+    sendServerError(req, res, 'Error listing preview emails', error);
+  }
+});
+
+// PREVIEW - Show an email's HTML body as the recipient would see it
+router.get('/:previewId', async (req, res) => {
+  try {
+    const preview = await getPreview(req.params.previewId);
+
+    if (!preview) {
+      return sendProblem(req, res, 404, { title: 'Preview email not found' });
+    }
+
+    res.sendFile(getPreviewFilePath(preview, 'body.html'), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+  } catch (error) {
+    sendServerError(req, res, 'Error reading preview email', error);
+  }
+});
+
+// PREVIEW - Download the raw .eml or an attachment
+router.get('/:previewId/files/:filename', async (req, res) => {
+  try {
+    const preview = await getPreview(req.params.previewId);
+    const filePath = preview && getPreviewFilePath(preview, req.params.filename);
+
+    if (!filePath) {
+      return sendProblem(req, res, 404, { title: 'Preview file not found' });
+    }
+
+    const attachment = preview.attachments.find(entry => entry.filename === req.params.filename);
+    const contentType = PREVIEW_FILE_TYPES[req.params.filename] || attachment?.contentType || 'application/octet-stream';
+
+    res.sendFile(filePath, { headers: { 'Content-Type': contentType } });
+  } catch (error) {
+    sendServerError(req, res, 'Error reading preview file', error);
+  }
+});
+
+module.exports = router;
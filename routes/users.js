@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Preference = require('../models/preferences');
+const User = require('../models/users');
+const NotificationChannel = require('../models/notificationChannels');
+const authMiddleware = require('../middleware/auth');
+const { getDigestPeriod } = require('../lib/reportSchedule');
+const {
+  buildJobEvent,
+  deliverToChannel,
+  applyChannelSettings,
+  createChannel,
+  formatChannel
+} = require('../lib/notifications');
+const { formatMongooseErrors, sendValidationProblem } = require('../lib/validation');
+const { sendProblem, sendServerError } = require('../lib/problems');
+const { preferencesSchema, channelSchema, channelUpdateSchema } = require('../lib/schemas');
+const validate = require('../middleware/validate');
+
+const PREFERENCE_FIELDS = ['delivery', 'attachment', 'locale', 'timezone', 'digestHour', 'digestDay'];
+
+// Helper function to shape preferences for API responses
+const formatPreferences = (preferences) => ({
+  delivery: preferences.delivery,
+  attachment: preferences.attachment,
+  locale: preferences.locale,
+  timezone: preferences.timezone,
+  digestHour: preferences.digestHour,
+  digestDay: preferences.digestDay,
+  updatedAt: preferences.isNew ? null : preferences.updatedAt
+});
+
+// READ - Get the current user's report preferences (defaults if never saved)
+router.get('/me/preferences', authMiddleware, async (req, res) => {
+  try {
+    const preferences = await Preference.findOne({ userId: req.user.id }) || new Preference({ userId: req.user.id });
+
+    res.json({ preferences: formatPreferences(preferences) });
+  } catch (error) {
+    sendServerError(req, res, 'Error fetching preferences', error);
+  }
+});
+
+// UPDATE - Change the current user's report preferences
+router.put('/me/preferences', authMiddleware, validate(preferencesSchema), async (req, res) => {
+  try {
+    const preferences = await Preference.findOne({ userId: req.user.id }) || new Preference({ userId: req.user.id });
+
+    for (const field of PREFERENCE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        preferences[field] = req.body[field];
+      }
+    }
+
+    const validationError = preferences.validateSync();
+    if (validationError) {
+      return sendValidationProblem(req, res, { detail: 'Invalid preferences', errors: formatMongooseErrors(validationError) });
+    }
+
+    // A new digest schedule starts at its next send time rather than firing straight away
+    const scheduleChanged = ['delivery', 'timezone', 'digestHour', 'digestDay'].some(field => preferences.isModified(field));
+    if (preferences.delivery !== 'immediate' && (preferences.isNew || scheduleChanged)) {
+      preferences.lastDigestPeriod = getDigestPeriod(preferences);
+    }
+
+    preferences.updatedAt = new Date();
+    await preferences.save();
+
+    res.json({ message: 'Preferences updated successfully', preferences: formatPreferences(preferences) });
+  } catch (error) {
+    sendServerError(req, res, 'Error updating preferences', error);
+  }
+});
+
+// Helper function to load one of the current user's channels, or null for unknown/foreign IDs
+const findOwnChannel = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.channelId)) {
+    return null;
+  }
+
+  return NotificationChannel.findOne({ _id: req.params.channelId, userId: req.user.id });
+};
+
+// Helper function to stop users pointing email channels at addresses they haven't proven they own
+const checkEmailChannel = async (req, body) => {
+  if (body.address === undefined || req.user.role === 'admin') {
+    return null;
+  }
+
+  const user = await User.findById(req.user.id).select('email emailVerified');
+
+  return user.emailVerified && body.address === user.email
+    ? null
+    : [{ field: 'address', message: 'Email channels can only send to your own verified email address' }];
+};
+
+// Helper function to answer 400 for channel settings that failed the notifier's or the model's checks
+const sendInvalidChannel = (req, res, errors) => sendValidationProblem(req, res, { detail: 'Invalid channel settings', errors });
+
+// CHANNELS - List the current user's notification channels
+router.get('/me/channels', authMiddleware, async (req, res) => {
+  try {
+    const channels = await NotificationChannel.find({ userId: req.user.id }).sort({ createdAt: 1 });
+
+    res.json({ channels: channels.map(channel => formatChannel(channel)) });
+  } catch (error) {
+    sendServerError(req, res, 'Error fetching notification channels', error);
+  }
+});
+
+// CHANNELS - Add a notification channel (email, webhook or slack)
+router.post('/me/channels', authMiddleware, validate(channelSchema), async (req, res) => {
+  try {
+    const emailErrors = await checkEmailChannel(req, req.body);
+    if (emailErrors) {
+      return sendInvalidChannel(req, res, emailErrors);
+    }
+
+    const result = await createChannel(req.user.id, req.body, req.user.id);
+
+    if (result.errors) {
+      return sendInvalidChannel(req, res, result.errors);
+    }
+
+    if (result.error) {
+      return sendProblem(req, res, 409, { title: 'Too many notification channels', detail: result.error });
+    }
+
+    res.status(201).json({ message: 'Notification channel created', channel: formatChannel(result.channel, true) });
+  } catch (error) {
+    sendServerError(req, res, 'Error creating notification channel', error);
+  }
+});
+
+// CHANNELS - Change a notification channel
+router.put('/me/channels/:channelId', authMiddleware, validate(channelUpdateSchema), async (req, res) => {
+  try {
+    const channel = await findOwnChannel(req);
+
+    if (!channel) {
+      return sendProblem(req, res, 404, { title: 'Notification channel not found' });
+    }
+
+    const settingsErrors = await checkEmailChannel(req, req.body) || applyChannelSettings(channel, req.body);
+    if (settingsErrors) {
+      return sendInvalidChannel(req, res, settingsErrors);
+    }
+
+    await channel.save();
+
+    res.json({ message: 'Notification channel updated', channel: formatChannel(channel) });
+  } catch (error) {
+    sendServerError(req, res, 'Error updating notification channel', error);
+  }
+});
+
+// CHANNELS - Remove a notification channel
+router.delete('/me/channels/:channelId', authMiddleware, async (req, res) => {
+  try {
+    const channel = await findOwnChannel(req);
+
+    if (!channel) {
+      return sendProblem(req, res, 404, { title: 'Notification channel not found' });
+    }
+
+    await channel.deleteOne();
+
+    res.json({ message: 'Notification channel deleted' });
+  } catch (error) {
+    sendServerError(req, res, 'Error deleting notification channel', error);
+  }
+});
+
+// CHANNELS - Send a sample completion event through a channel
+router.post('/me/channels/:channelId/test', authMiddleware, async (req, res) => {
+  try {
+    const channel = await findOwnChannel(req);
+
+    if (!channel) {
+      return sendProblem(req, res, 404, { title: 'Notification channel not found' });
+    }
+
+    const event = buildJobEvent('bulk_job.completed', {
+      jobId: 'test',
+      userId: req.user.id,
+      totalBooks: 1,
+      successCount: 1,
+      failureCount: 0,
+      duplicateCount: 0,
+      timestamp: new Date().toISOString(),
+      test: true
+    });
+    const errorMessage = await deliverToChannel(channel, event);
+
+    if (errorMessage) {
+      return sendProblem(req, res, 502, { title: 'Test notification failed', detail: errorMessage });
+    }
+
+    res.json({ message: 'Test notification sent', eventId: event.id });
+  } catch (error) {
+    sendServerError(req, res, 'Error sending test notification', error);
+  }
+});
+
+module.exports = router;
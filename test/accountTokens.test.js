@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRedisStub } = require('./helpers/redis');
+const { TOKEN_TTL_SECONDS, createAccountToken, consumeAccountToken } = require('../lib/accountTokens');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+test('a token can be used once and returns its data', async () => {
+  const redisClient = createRedisStub();
+  const token = await createAccountToken(redisClient, 'email_verification', userId, { email: 'reader@example.com' });
+
+  assert.deepStrictEqual(await consumeAccountToken(redisClient, 'email_verification', token), { userId, email: 'reader@example.com' });
+  assert.strictEqual(await consumeAccountToken(redisClient, 'email_verification', token), null);
+});
+
+test('only the token hash is stored', async () => {
+  const redisClient = createRedisStub();
+  const token = await createAccountToken(redisClient, 'password_reset', userId);
+
+  for (const [key, { value }] of redisClient.store) {
+    assert.ok(!key.includes(token) && !String(value).includes(token), key);
+  }
+});
+
+test('a token is only valid for its own purpose', async () => {
+  const redisClient = createRedisStub();
+  const token = await createAccountToken(redisClient, 'password_reset', userId);
+
+  assert.strictEqual(await consumeAccountToken(redisClient, 'email_verification', token), null);
+  assert.deepStrictEqual(await consumeAccountToken(redisClient, 'password_reset', token), { userId });
+});
+
+test('issuing a new link invalidates the previous one', async () => {
+  const redisClient = createRedisStub();
+  const first = await createAccountToken(redisClient, 'password_reset', userId);
+  const second = await createAccountToken(redisClient, 'password_reset', userId);
+
+  assert.strictEqual(await consumeAccountToken(redisClient, 'password_reset', first), null);
+  assert.deepStrictEqual(await consumeAccountToken(redisClient, 'password_reset', second), { userId });
+});
+
+test('tokens expire after their TTL', async (t) => {
+  const redisClient = createRedisStub();
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const token = await createAccountToken(redisClient, 'password_reset', userId);
+
+  t.mock.timers.tick(TOKEN_TTL_SECONDS.password_reset * 1000);
+
+  assert.strictEqual(await consumeAccountToken(redisClient, 'password_reset', token), null);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRedisStub } = require('./helpers/redis');
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+// Routes read the Redis client at require time, so the stub goes in first
+const redisClient = createRedisStub();
+const db = require('../db');
+db.getRedisClient = () => redisClient;
+
+const adminRoutes = require('../routes/admin');
+const User = require('../models/users');
+const { isAccessTokenRevoked } = require('../lib/tokens');
+const { startServer } = require('./helpers/server');
+const { authenticateAs } = require('./helpers/auth');
+
+const adminId = '64b7f0c2a1b2c3d4e5f60700';
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+let server;
+let authorization;
+
+test.before(async () => {
+  authorization = authenticateAs({ _id: adminId, role: 'admin' });
+  server = await startServer(app => app.use('/api/admin', adminRoutes));
+});
+
+test.after(() => server.close());
+
+const request = (path) => fetch(`${server.url}${path}`, { headers: { authorization } });
+
+const put = (path, body) => fetch(`${server.url}${path}`, {
+  method: 'PUT',
+  headers: { authorization, 'content-type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('users without the admin role get a 403 problem on every admin route', async () => {
+  const userAuthorization = authenticateAs({ _id: userId, role: 'user' });
+
+  try {
+    for (const path of ['/api/admin/users', '/api/admin/config', '/api/admin/reports/dead-letter']) {
+      const response = await fetch(`${server.url}${path}`, { headers: { authorization: userAuthorization } });
+      const problem = await response.json();
+
+      assert.strictEqual(response.status, 403, path);
+      assert.strictEqual(problem.detail, 'Requires role: admin');
+    }
+  } finally {
+    authenticateAs({ _id: adminId, role: 'admin' });
+  }
+});
+
+test('roles outside the role list are rejected', async (t) => {
+  const findByIdAndUpdate = t.mock.method(User, 'findByIdAndUpdate');
+
+  const response = await put(`/api/admin/users/${userId}/role`, { role: 'owner' });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).errors[0].field, 'role');
+  assert.strictEqual(findByIdAndUpdate.mock.callCount(), 0);
+});
+
+test('admins cannot change their own role', async () => {
+  const response = await put(`/api/admin/users/${adminId}/role`, { role: 'user' });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).title, 'Admins cannot change their own role');
+});
+
+test('an admin can promote another user', async (t) => {
+  const findByIdAndUpdate = t.mock.method(User, 'findByIdAndUpdate', () => ({
+    select: async () => ({ _id: userId, role: 'admin' })
+  }));
+
+  const response = await put(`/api/admin/users/${userId}/role`, { role: 'admin' });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(findByIdAndUpdate.mock.calls[0].arguments.slice(0, 2), [userId, { role: 'admin' }]);
+});
+
+test("disabling an account revokes the user's tokens", async (t) => {
+  t.mock.method(User, 'findByIdAndUpdate', () => ({
+    select: async () => ({ _id: userId, disabled: true })
+  }));
+
+  // Issued before the request, so crossing a second boundary during it can't make the token newer than the cutoff
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const response = await put(`/api/admin/users/${userId}/disabled`, { disabled: true });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(await isAccessTokenRevoked(redisClient, { userId, iat: issuedAt }), true);
+});
+
+test('report history rejects a user ID that is not an ObjectId', async (t) => {
+  const sMembers = t.mock.method(redisClient, 'sMembers');
+
+  const response = await request('/api/admin/users/*/reports');
+  const problem = await response.json();
+
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(problem.errors, [{ field: 'userId', message: 'Must be a valid user ID' }]);
+  assert.strictEqual(sMembers.mock.callCount(), 0);
+});
+
+test('report history answers for a valid user ID', async () => {
+  const response = await request(`/api/admin/users/${userId}/reports`);
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { pending: [], errors: [], deadLettered: [] });
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const { createRedisStub } = require('./helpers/redis');
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+// Routes read the Redis client at require time, so the stub goes in first
+const redisClient = createRedisStub();
+const db = require('../db');
+db.getRedisClient = () => redisClient;
+
+const User = require('../models/users');
+const authRoutes = require('../routes/auth');
+const { createAccountToken } = require('../lib/accountTokens');
+const { isAccessTokenRevoked } = require('../lib/tokens');
+const { startServer } = require('./helpers/server');
+
+const password = 'correct horse battery';
+const user = {
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  email: 'reader@example.com',
+  password: bcrypt.hashSync(password, 4),
+  disabled: false
+};
+let server;
+
+test.before(async () => {
+  User.findOne = async ({ email }) => (email === user.email ? user : null);
+  server = await startServer(app => app.use('/api/auth', authRoutes));
+});
+
+test.after(() => server.close());
+
+const postJson = (path, body) => fetch(`${server.url}/api/auth/${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+// A User document for routes that load the account by ID and save it
+const mockAccount = (t, fields = {}) => {
+  const account = { ...user, emailVerified: false, ...fields, save: t.mock.fn(async () => {}) };
+  t.mock.method(User, 'findById', async () => account);
+  return account;
+};
+
+const login = (email, attempt) => fetch(`${server.url}/api/auth/login`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ email, password: attempt })
+});
+
+test('a login for an unknown email still runs a bcrypt comparison', async (t) => {
+  const compare = t.mock.method(bcrypt, 'compare');
+
+  const response = await login('nobody@example.com', password);
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(compare.mock.callCount(), 1);
+  assert.match(compare.mock.calls[0].arguments[1], /^\$2a\$10\$/);
+  assert.strictEqual(await compare.mock.calls[0].result, false);
+});
+
+test('a wrong password and an unknown email get the same answer', async () => {
+  const unknown = await login('nobody@example.com', password);
+  const wrong = await login(user.email, 'wrong password here');
+
+  assert.strictEqual(unknown.status, 401);
+  assert.strictEqual(wrong.status, 401);
+  assert.deepStrictEqual((await unknown.json()).title, (await wrong.json()).title);
+});
+
+test('the right password logs in', async () => {
+  const response = await login(user.email, password);
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.ok(body.token);
+  assert.ok(body.refreshToken);
+});
+
+test('after logout the access token and its refresh token stop working', async () => {
+  const session = await (await login(user.email, password)).json();
+  const post = (path, body, token) => fetch(`${server.url}/api/auth/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  User.findById = () => ({ select: async () => ({ ...user, role: 'user' }) });
+
+  assert.strictEqual((await post('logout', { refreshToken: session.refreshToken }, session.token)).status, 200);
+
+  const reused = await post('logout', {}, session.token);
+  assert.strictEqual(reused.status, 401);
+  assert.strictEqual((await reused.json()).detail, 'Token has been revoked');
+  assert.strictEqual((await post('refresh', { refreshToken: session.refreshToken })).status, 401);
+});
+
+test('a reset token sets the new password, verifies the email and signs out every session', async (t) => {
+  const account = mockAccount(t);
+  const token = await createAccountToken(redisClient, 'password_reset', user._id);
+
+  // Taken before the request: hashing the new password can push the cutoff into the next second
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const response = await postJson('reset-password', { token, password: 'a brand new password' });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(account.save.mock.callCount(), 1);
+  assert.strictEqual(await bcrypt.compare('a brand new password', account.password), true);
+  assert.strictEqual(account.emailVerified, true);
+  assert.strictEqual(await isAccessTokenRevoked(redisClient, { userId: user._id, iat: issuedAt }), true);
+});
+
+test('a reset token cannot be used twice', async (t) => {
+  mockAccount(t);
+  const token = await createAccountToken(redisClient, 'password_reset', user._id);
+
+  assert.strictEqual((await postJson('reset-password', { token, password: 'a brand new password' })).status, 200);
+
+  const reused = await postJson('reset-password', { token, password: 'another new password' });
+  assert.strictEqual(reused.status, 400);
+  assert.deepStrictEqual((await reused.json()).errors, [{ field: 'token', message: 'Invalid or expired' }]);
+});
+
+test('disabled accounts cannot reset their password', async (t) => {
+  const account = mockAccount(t, { disabled: true });
+  const token = await createAccountToken(redisClient, 'password_reset', user._id);
+
+  const response = await postJson('reset-password', { token, password: 'a brand new password' });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(account.save.mock.callCount(), 0);
+});
+
+test('forgot-password answers the same for unknown emails and sends nothing', async () => {
+  const response = await postJson('forgot-password', { email: 'nobody@example.com' });
+
+  assert.strictEqual(response.status, 200);
+  assert.match((await response.json()).message, /If an account exists/);
+  assert.ok(![...redisClient.store.keys()].some(key => key.startsWith('password_reset')));
+});
+
+test('the emailed verification link verifies the address', async (t) => {
+  const account = mockAccount(t);
+  const token = await createAccountToken(redisClient, 'email_verification', user._id, { email: user.email });
+
+  const response = await fetch(`${server.url}/api/auth/verify-email?token=${token}`);
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(account.emailVerified, true);
+  assert.ok(account.emailVerifiedAt instanceof Date);
+});
+
+test('a verification token for a previous email address is rejected', async (t) => {
+  const account = mockAccount(t, { email: 'new-address@example.com' });
+  const token = await createAccountToken(redisClient, 'email_verification', user._id, { email: user.email });
+
+  const response = await postJson('verify-email', { token });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(account.emailVerified, false);
+});
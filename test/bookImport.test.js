@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { UploadTooLargeError, detectFormat, parseUpload } = require('../lib/bookImport');
+
+const upload = (text) => Readable.from([Buffer.from(text)]);
+
+test('upload formats are recognised from the content type', () => {
+  assert.strictEqual(detectFormat('text/csv; charset=utf-8'), 'csv');
+  assert.strictEqual(detectFormat('Application/CSV'), 'csv');
+  assert.strictEqual(detectFormat('application/x-ndjson'), 'ndjson');
+  assert.strictEqual(detectFormat('application/jsonl'), 'ndjson');
+  assert.strictEqual(detectFormat('application/json'), null);
+  assert.strictEqual(detectFormat(undefined), null);
+});
+
+test('CSV headers are matched loosely and each row keeps its line number', async () => {
+  const csv = '﻿Title,Author,Published Year,ISBN,Genre,Notes\nDune,Frank Herbert,1965,,Science Fiction,ignored\nEmma,,1815,,,\n';
+
+  const { books, failures } = await parseUpload(upload(csv), 'csv');
+
+  // Blank cells come back as undefined fields, which JSON drops
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(books)), [{ row: 2, title: 'Dune', author: 'Frank Herbert', publishedYear: 1965, genre: 'Science Fiction' }]);
+  assert.strictEqual(failures.length, 1);
+  assert.strictEqual(failures[0].row, 3);
+  assert.deepStrictEqual(failures[0].fieldErrors, [{ field: 'author', message: 'Required' }]);
+});
+
+test('quoted CSV fields may span lines', async () => {
+  const csv = 'title,author\n"Dune,\nMessiah",Frank Herbert\nEmma,Jane Austen\n';
+
+  const { books } = await parseUpload(upload(csv), 'csv');
+
+  assert.deepStrictEqual(books.map(book => [book.row, book.title]), [[3, 'Dune,\nMessiah'], [4, 'Emma']]);
+});
+
+test('NDJSON lines are parsed one by one; blank lines are skipped and bad lines rejected', async () => {
+  const ndjson = [
+    '{"title":"Dune","author":"Frank Herbert"}',
+    '',
+    '{"title":"Emma"',
+    '["not","an","object"]',
+    '{"title":"Emma","author":"Jane Austen","year":1815}'
+  ].join('\n');
+
+  const { books, failures } = await parseUpload(upload(ndjson), 'ndjson');
+
+  assert.deepStrictEqual(books.map(book => book.row), [1, 5]);
+  assert.deepStrictEqual(failures.map(failure => failure.row), [3, 4]);
+  assert.match(failures[0].error, /^Invalid JSON/);
+  assert.strictEqual(failures[1].error, 'Each line must be a JSON object');
+});
+
+test('uploads over the row limit are refused', async () => {
+  const csv = 'title,author\nA,B\nC,D\nE,F\n';
+
+  await assert.rejects(parseUpload(upload(csv), 'csv', { maxRows: 2 }), UploadTooLargeError);
+});
+
+test('uploads over the byte limit are refused, even when cut off mid-row', async () => {
+  const ndjson = `${'{"title":"Dune","author":"Frank Herbert"}\n'.repeat(20)}`;
+
+  await assert.rejects(parseUpload(upload(ndjson), 'ndjson', { maxBytes: 100 }), /larger than 100 bytes/);
+  await assert.rejects(parseUpload(upload('title,author\n"Dune'.padEnd(200, 'x')), 'csv', { maxBytes: 50 }), UploadTooLargeError);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { parseBookQuery, encodeCursor } = require('../lib/bookQuery');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+// Enough of MongoDB's matching and ordering for the filters parseBookQuery builds
+const isMissing = (value) => value === null || value === undefined;
+const compare = (a, b) => {
+  if (isMissing(a) || isMissing(b)) {
+    return (isMissing(a) ? 0 : 1) - (isMissing(b) ? 0 : 1);
+  }
+  const [x, y] = [a, b].map(value => (value instanceof Date ? value.getTime() : value));
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+const idOf = (value) => (value instanceof mongoose.Types.ObjectId ? value.toHexString() : value);
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some(part => matches(doc, part));
+  if (field === '$and') return condition.every(part => matches(doc, part));
+
+  const value = field === '_id' ? idOf(doc._id) : doc[field];
+  if (condition === null) return isMissing(value);
+  if (condition instanceof Date || typeof condition !== 'object' || condition instanceof mongoose.Types.ObjectId) {
+    return compare(value, idOf(condition)) === 0;
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === '$ne') return operand === null ? !isMissing(value) : compare(value, operand) !== 0;
+    if (isMissing(value)) return false;
+    const order = compare(value, idOf(operand));
+    return operator === '$gt' ? order > 0 : order < 0;
+  });
+});
+
+const sortBy = (docs, sort) => [...docs].sort((a, b) => {
+  for (const [field, direction] of Object.entries(sort)) {
+    const order = field === '_id' ? compare(idOf(a._id), idOf(b._id)) : compare(a[field], b[field]);
+    if (order !== 0) return order * direction;
+  }
+  return 0;
+});
+
+// Read every page, following the cursor, the way GET /api/books does
+const readAllPages = (books, query) => {
+  const seen = [];
+  let cursor;
+
+  do {
+    const parsed = parseBookQuery({ ...query, limit: '2', cursor }, userId);
+    const page = sortBy(books.filter(book => matches(book, parsed.pageFilter)), parsed.sort).slice(0, parsed.limit);
+
+    seen.push(...page.map(book => book.title));
+    cursor = page.length === parsed.limit ? encodeCursor(page.at(-1), parsed.sortField) : undefined;
+  } while (cursor);
+
+  return seen;
+};
+
+const id = (n) => new mongoose.Types.ObjectId(n.toString(16).padStart(24, '0'));
+const books = [
+  { _id: id(1), userId, title: 'A', author: 'Austen', publishedYear: 1813, createdAt: new Date('2024-01-01') },
+  { _id: id(2), userId, title: 'B', author: 'Austen', publishedYear: 1813, createdAt: new Date('2024-01-01') },
+  { _id: id(3), userId, title: 'C', author: 'Austen', publishedYear: 1813, createdAt: new Date('2024-01-02') },
+  { _id: id(4), userId, title: 'D', author: 'Brontë', createdAt: new Date('2024-01-02') },
+  { _id: id(5), userId, title: 'E', author: 'Brontë', createdAt: new Date('2024-01-02') },
+  { _id: id(6), userId, title: 'F', author: 'Carroll', publishedYear: 1865, createdAt: new Date('2024-01-03') }
+];
+
+for (const sort of ['createdAt', 'author', 'publishedYear']) {
+  for (const order of ['asc', 'desc']) {
+    test(`pages sorted by ${sort} ${order} list every book once, ties broken by _id`, () => {
+      const expected = sortBy(books, { [sort]: order === 'asc' ? 1 : -1, _id: order === 'asc' ? 1 : -1 }).map(book => book.title);
+
+      assert.deepStrictEqual(readAllPages(books, { sort, order }), expected);
+    });
+  }
+}
+
+test('ties on the sort field are ordered by _id in the sort direction', () => {
+  assert.deepStrictEqual(readAllPages(books, { sort: 'publishedYear', order: 'asc' }), ['D', 'E', 'A', 'B', 'C', 'F']);
+  assert.deepStrictEqual(readAllPages(books, { sort: 'publishedYear', order: 'desc' }), ['F', 'C', 'B', 'A', 'E', 'D']);
+});
+
+test('malformed cursors are rejected', () => {
+  const badIds = Buffer.from(JSON.stringify({ v: 'Austen', id: 'not-an-id' })).toString('base64url');
+
+  for (const cursor of ['not base64 json', 'e30', badIds]) {
+    assert.deepStrictEqual(parseBookQuery({ sort: 'author', cursor }, userId), { error: 'Invalid cursor' }, cursor);
+  }
+});
+
+test('createdAt cursors come back as dates', () => {
+  const cursor = encodeCursor(books[0], 'createdAt');
+  const { pageFilter } = parseBookQuery({ cursor }, userId);
+
+  assert.ok(pageFilter.$and[0].$or[0].createdAt.$lt instanceof Date);
+});
+
+test('the cursor filter sits beside a text search rather than wrapping it', () => {
+  const { pageFilter } = parseBookQuery({ q: 'pride', sort: 'title', cursor: encodeCursor(books[0], 'title') }, userId);
+
+  assert.deepStrictEqual(pageFilter.$text, { $search: 'pride' });
+  assert.strictEqual(pageFilter.$and.length, 1);
+});
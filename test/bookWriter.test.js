@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Book = require('../models/books');
+const { toBookDocument, getUpdateFields, insertChunk, insertBooks } = require('../lib/bookWriter');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+const DUNE = '9780441013593';
+const OTHER = '9780306406157';
+
+// Book.find(...).lean() resolving to the given stored books
+const storedBooks = (books) => () => ({ lean: async () => books });
+
+test('update rows without a genre keep the stored genre', () => {
+  const doc = toBookDocument({ title: 'Dune', author: 'Frank Herbert', isbn: '9780441013593', genre: '' }, userId);
+  const fields = getUpdateFields(doc);
+
+  assert.deepStrictEqual(fields, { title: 'Dune', author: 'Frank Herbert' });
+  assert.ok(!('genre' in fields));
+});
+
+test('update rows set the optional fields they fill in', () => {
+  const doc = toBookDocument({ title: 'Dune', author: 'Frank Herbert', isbn: '9780441013593', publishedYear: 1965, genre: 'Science Fiction' }, userId);
+
+  assert.deepStrictEqual(getUpdateFields(doc), {
+    title: 'Dune',
+    author: 'Frank Herbert',
+    publishedYear: 1965,
+    genre: 'Science Fiction'
+  });
+});
+
+test('update rows never change the ISBN or owner', () => {
+  const fields = getUpdateFields(toBookDocument({ title: 'Dune', author: 'Frank Herbert', isbn: '9780441013593' }, userId));
+
+  assert.ok(!('isbn' in fields));
+  assert.ok(!('userId' in fields));
+  assert.ok(!('_id' in fields));
+});
+
+test('a chunk is written with one unordered insertMany', async (t) => {
+  t.mock.method(Book, 'find', storedBooks([]));
+  const insertMany = t.mock.method(Book, 'insertMany', async () => {});
+
+  const result = await insertChunk([
+    { row: 2, title: 'Dune', author: 'Frank Herbert', isbn: DUNE },
+    { row: 3, title: 'Emma', author: 'Jane Austen' }
+  ], 10, userId);
+
+  assert.strictEqual(insertMany.mock.callCount(), 1);
+  assert.strictEqual(insertMany.mock.calls[0].arguments[0].length, 2);
+  assert.deepStrictEqual(insertMany.mock.calls[0].arguments[1], { ordered: false });
+  assert.strictEqual(result.successCount, 2);
+  assert.deepStrictEqual(result.failures, []);
+  assert.deepStrictEqual(result.inserted.map(doc => doc.title), ['Dune', 'Emma']);
+});
+
+test('invalid books fail at their batch index without reaching insertMany', async (t) => {
+  t.mock.method(Book, 'find', storedBooks([]));
+  const insertMany = t.mock.method(Book, 'insertMany', async () => {});
+
+  const result = await insertChunk([
+    { row: 2, title: 'Dune', author: 'Frank Herbert' },
+    { row: 3, title: '', author: 'Nobody' }
+  ], 10, userId);
+
+  assert.strictEqual(insertMany.mock.calls[0].arguments[0].length, 1);
+  assert.strictEqual(result.successCount, 1);
+  assert.strictEqual(result.failures.length, 1);
+  assert.strictEqual(result.failures[0].index, 11);
+  assert.strictEqual(result.failures[0].row, 3);
+});
+
+test('write errors are mapped back to the book that caused them', async (t) => {
+  t.mock.method(Book, 'find', storedBooks([]));
+  t.mock.method(Book, 'insertMany', async () => {
+    throw Object.assign(new Error('write failed'), {
+      writeErrors: [{ index: 1, err: { code: 121, errmsg: 'Document failed validation' } }]
+    });
+  });
+
+  const result = await insertChunk([
+    { title: 'Dune', author: 'Frank Herbert' },
+    { title: 'Emma', author: 'Jane Austen' },
+    { title: 'Ulysses', author: 'James Joyce' }
+  ], 0, userId);
+
+  assert.strictEqual(result.successCount, 2);
+  assert.deepStrictEqual(result.failures.map(failure => [failure.index, failure.error]), [[1, 'Document failed validation']]);
+  assert.deepStrictEqual(result.inserted.map(doc => doc.title), ['Dune', 'Ulysses']);
+});
+
+test('errors other than write errors fail the whole chunk', async (t) => {
+  t.mock.method(Book, 'find', storedBooks([]));
+  t.mock.method(Book, 'insertMany', async () => {
+    throw new Error('connection lost');
+  });
+
+  await assert.rejects(insertChunk([{ title: 'Dune', author: 'Frank Herbert' }], 0, userId), /connection lost/);
+});
+
+test("'skip' mode skips stored and repeated ISBNs", async (t) => {
+  t.mock.method(Book, 'find', storedBooks([{ isbn: DUNE }]));
+  const insertMany = t.mock.method(Book, 'insertMany', async () => {});
+
+  const result = await insertChunk([
+    { title: 'Dune', author: 'Frank Herbert', isbn: DUNE },
+    { title: 'Other', author: 'Someone', isbn: OTHER },
+    { title: 'Other again', author: 'Someone', isbn: OTHER }
+  ], 0, userId, 'skip');
+
+  assert.deepStrictEqual(insertMany.mock.calls[0].arguments[0].map(doc => doc.title), ['Other']);
+  assert.strictEqual(result.successCount, 1);
+  assert.deepStrictEqual(result.failures, []);
+  assert.deepStrictEqual(result.duplicates.map(duplicate => [duplicate.index, duplicate.action]), [[0, 'skipped'], [2, 'skipped']]);
+});
+
+test('duplicate ISBNs fail their rows by default', async (t) => {
+  t.mock.method(Book, 'find', storedBooks([{ isbn: DUNE }]));
+  t.mock.method(Book, 'insertMany', async () => {});
+
+  const result = await insertChunk([{ title: 'Dune', author: 'Frank Herbert', isbn: DUNE }], 0, userId);
+
+  assert.strictEqual(result.successCount, 0);
+  assert.deepStrictEqual(result.duplicates.map(duplicate => duplicate.action), ['failed']);
+  assert.deepStrictEqual(result.failures.map(failure => failure.error), [`Duplicate ISBN: ${DUNE}`]);
+});
+
+test("'update' mode updates the stored book in one bulkWrite", async (t) => {
+  t.mock.method(Book, 'find', storedBooks([{ isbn: DUNE }]));
+  const insertMany = t.mock.method(Book, 'insertMany', async () => {});
+  const bulkWrite = t.mock.method(Book, 'bulkWrite', async () => {});
+
+  const result = await insertChunk([{ title: 'Dune', author: 'Frank Herbert', isbn: DUNE, genre: 'Science Fiction' }], 0, userId, 'update');
+
+  assert.strictEqual(insertMany.mock.callCount(), 0);
+  assert.deepStrictEqual(bulkWrite.mock.calls[0].arguments[0], [{
+    updateOne: {
+      filter: { userId, isbn: DUNE },
+      update: { $set: { title: 'Dune', author: 'Frank Herbert', genre: 'Science Fiction' } }
+    }
+  }]);
+  assert.strictEqual(result.successCount, 1);
+  assert.deepStrictEqual(result.duplicates.map(duplicate => duplicate.action), ['updated']);
+});
+
+test('an ISBN stored by another chunk mid-insert is handled as a duplicate', async (t) => {
+  t.mock.method(Book, 'find', storedBooks([]));
+  t.mock.method(Book, 'insertMany', async () => {
+    throw Object.assign(new Error('write failed'), {
+      writeErrors: [{ index: 0, err: { code: 11000, errmsg: 'E11000 duplicate key error' } }]
+    });
+  });
+
+  const result = await insertChunk([{ title: 'Dune', author: 'Frank Herbert', isbn: DUNE }], 0, userId, 'skip');
+
+  assert.strictEqual(result.successCount, 0);
+  assert.deepStrictEqual(result.failures, []);
+  assert.deepStrictEqual(result.duplicates.map(duplicate => duplicate.action), ['skipped']);
+});
+
+test('insertBooks reports progress once per wave of chunks, starting from startIndex', async (t) => {
+  t.mock.method(Book, 'find', storedBooks([]));
+  const insertMany = t.mock.method(Book, 'insertMany', async () => {});
+  const books = Array.from({ length: 7 }, (_, i) => ({ title: `Book ${i}`, author: 'Someone' }));
+  const progress = [];
+
+  await insertBooks(books, userId, {
+    startIndex: 1,
+    chunkSize: 2,
+    concurrency: 2,
+    onProgress: async ({ nextIndex, successCount }) => progress.push([nextIndex, successCount])
+  });
+
+  assert.strictEqual(insertMany.mock.callCount(), 3);
+  assert.deepStrictEqual(progress, [[5, 4], [7, 2]]);
+});
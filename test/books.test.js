@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRedisStub } = require('./helpers/redis');
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+// Routes read the Redis client at require time, so the stub goes in first
+const redisClient = createRedisStub();
+const db = require('../db');
+db.getRedisClient = () => redisClient;
+
+const Book = require('../models/books');
+const BulkJob = require('../models/bulkJobs');
+const bookRoutes = require('../routes/books');
+const { startServer } = require('./helpers/server');
+const { authenticateAs } = require('./helpers/auth');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+let server;
+let authorization;
+
+test.before(async () => {
+  Book.countDocuments = async () => 0;
+  BulkJob.find = () => ({ select: () => ({ lean: async () => [] }) });
+  BulkJob.updateOne = async () => {};
+  authorization = authenticateAs({ _id: userId, email: 'reader@example.com', username: 'reader' });
+  server = await startServer(app => app.use('/api/books', bookRoutes));
+});
+
+test.afterEach(() => redisClient.store.clear());
+test.after(() => server.close());
+
+const queueBulkJob = (books) => fetch(`${server.url}/api/books/bulk/jobs`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', authorization },
+  body: JSON.stringify({ books })
+});
+
+const getReservedRows = async () => Number(await redisClient.get(`quota:bulk_rows:${userId}:${new Date().toISOString().slice(0, 10)}`) || 0);
+
+test('a bulk job is recorded in history before it is queued', async (t) => {
+  const historyWrites = [];
+  t.mock.method(BulkJob, 'updateOne', async (filter) => {
+    historyWrites.push({ jobId: filter.jobId, queued: await redisClient.lLen('bulk_queue:pending') });
+  });
+
+  const response = await queueBulkJob([{ title: 'Dune', author: 'Frank Herbert' }]);
+  const { jobId } = await response.json();
+
+  assert.strictEqual(response.status, 202);
+  assert.deepStrictEqual(historyWrites, [{ jobId, queued: 0 }]);
+  assert.deepStrictEqual(await redisClient.lRange('bulk_queue:pending', 0, -1), [jobId]);
+});
+
+test('a failed history write leaves no job queued and hands the reserved rows back', async (t) => {
+  t.mock.method(BulkJob, 'updateOne', async () => {
+    throw new Error('Mongo is down');
+  });
+  const response = await queueBulkJob([{ title: 'Dune', author: 'Frank Herbert' }, { title: 'Emma', author: 'Jane Austen' }]);
+
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual(await redisClient.lLen('bulk_queue:pending'), 0);
+  assert.deepStrictEqual(await redisClient.keys('bulk_job:*'), []);
+  assert.strictEqual(await getReservedRows(), 0);
+});
+
+test('queued jobs keep invalid rows as rejected failures and report them', async () => {
+  const response = await queueBulkJob([{ title: 'Dune', author: 'Frank Herbert' }, { title: 'No author' }]);
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 202);
+  assert.strictEqual(body.message, 'Bulk import queued (1 valid rows, 1 rejected)');
+  assert.strictEqual(body.job.state, 'queued');
+  assert.strictEqual(body.job.totalBooks, 2);
+  assert.strictEqual(body.job.rejectedCount, 1);
+  assert.strictEqual(body.job.progress, 50);
+  assert.deepStrictEqual(body.job.failures.map(failure => failure.row), [2]);
+  assert.strictEqual(body.job.quotaKey, undefined);
+});
+
+test('a bulk job with no valid rows is refused with the row errors', async () => {
+  const response = await queueBulkJob([{ title: 'No author' }]);
+  const problem = await response.json();
+
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(problem.failures.map(failure => failure.row), [1]);
+  assert.strictEqual(await redisClient.lLen('bulk_queue:pending'), 0);
+});
+
+test('a running job shows its live progress to its owner only', async (t) => {
+  const history = { jobId: 'job-1', userId, state: 'processing', totalBooks: 4, processedCount: 0, failures: [], duplicates: [] };
+  await redisClient.set('bulk_job:job-1', JSON.stringify({ ...history, processedCount: 2, successCount: 2 }));
+  t.mock.method(BulkJob, 'findOne', () => ({ lean: async () => ({ ...history }) }));
+  t.mock.method(BulkJob, 'find', () => ({ select: () => ({ sort: () => ({ lean: async () => [] }) }) }));
+
+  const response = await fetch(`${server.url}/api/books/bulk/jobs/job-1`, { headers: { authorization } });
+  const { job } = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(job.progress, 50);
+  assert.strictEqual(job.successCount, 2);
+  assert.deepStrictEqual(job.resubmissions, []);
+
+  history.userId = '64b7f0c2a1b2c3d4e5f60719';
+  const other = await fetch(`${server.url}/api/books/bulk/jobs/job-1`, { headers: { authorization } });
+  assert.strictEqual(other.status, 404);
+});
+
+test('the job list refuses an unknown state filter', async () => {
+  const response = await fetch(`${server.url}/api/books/bulk/jobs?state=paused`, { headers: { authorization } });
+  const problem = await response.json();
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(problem.errors[0].field, 'state');
+});
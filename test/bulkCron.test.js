@@ -0,0 +1,251 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRedisStub } = require('./helpers/redis');
+
+// Two books per chunk and one chunk per wave, so every two books make a checkpoint
+process.env.BULK_CHUNK_SIZE = '2';
+process.env.BULK_CONCURRENCY = '1';
+process.env.BULK_MAX_STORED_ROWS = '3';
+
+const redisClient = createRedisStub();
+const db = require('../db');
+db.getRedisClient = () => redisClient;
+
+const Book = require('../models/books');
+const BulkJob = require('../models/bulkJobs');
+const NotificationChannel = require('../models/notificationChannels');
+const { processBulkBooks } = require('../bulkCron');
+const { createJob, getJob, updateJob, requeueFailedJob } = require('../lib/bulkJobs');
+const { reserveBulkRows } = require('../lib/quotas');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+const books = ['Dune', 'Emma', 'Ulysses', 'Beloved'].map(title => ({ title, author: 'Someone' }));
+
+// Titles of the books passed to each insertMany call
+let insertCalls;
+
+test.beforeEach(() => {
+  redisClient.store.clear();
+  insertCalls = [];
+  Book.find = () => ({ lean: async () => [] });
+  Book.insertMany = async (docs) => {
+    insertCalls.push(docs.map(doc => doc.title));
+  };
+  BulkJob.updateOne = async () => {};
+  NotificationChannel.find = async () => [];
+});
+
+const queueLengths = async () => ({
+  pending: await redisClient.lLen('bulk_queue:pending'),
+  processing: await redisClient.lLen('bulk_queue:processing')
+});
+
+test('a queued job is inserted in chunks, acknowledged and leaves a status for the report', async () => {
+  const { jobId } = await createJob(redisClient, userId, books);
+
+  assert.strictEqual(await processBulkBooks(), true);
+
+  const job = await getJob(redisClient, jobId);
+  assert.deepStrictEqual(insertCalls, [['Dune', 'Emma'], ['Ulysses', 'Beloved']]);
+  assert.strictEqual(job.state, 'completed');
+  assert.strictEqual(job.successCount, 4);
+  assert.strictEqual(job.checkpoint, 4);
+  assert.deepStrictEqual(await queueLengths(), { pending: 0, processing: 0 });
+  assert.strictEqual(await redisClient.exists(`bulk_job:${jobId}:books`), 0);
+  assert.strictEqual(JSON.parse(await redisClient.get(job.statusKey)).successCount, 4);
+});
+
+test('a job resumes from its checkpoint without inserting earlier books again', async () => {
+  const { jobId } = await createJob(redisClient, userId, books);
+  await updateJob(redisClient, jobId, { checkpoint: 2, processedCount: 2, successCount: 2, attempts: 1 });
+
+  await processBulkBooks();
+
+  const job = await getJob(redisClient, jobId);
+  assert.deepStrictEqual(insertCalls, [['Ulysses', 'Beloved']]);
+  assert.strictEqual(job.successCount, 4);
+  assert.strictEqual(job.processedCount, 4);
+});
+
+test('a failed attempt is requeued and the next tick resumes from its last checkpoint', async () => {
+  const { jobId } = await createJob(redisClient, userId, books);
+  Book.insertMany = async (docs) => {
+    if (docs[0].title === 'Ulysses') {
+      throw new Error('connection reset');
+    }
+    insertCalls.push(docs.map(doc => doc.title));
+  };
+
+  await processBulkBooks();
+
+  let job = await getJob(redisClient, jobId);
+  assert.strictEqual(job.state, 'queued');
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(job.checkpoint, 2);
+  assert.strictEqual(job.error, 'connection reset');
+  assert.deepStrictEqual(await queueLengths(), { pending: 1, processing: 0 });
+
+  Book.insertMany = async (docs) => {
+    insertCalls.push(docs.map(doc => doc.title));
+  };
+  await processBulkBooks();
+
+  job = await getJob(redisClient, jobId);
+  assert.deepStrictEqual(insertCalls, [['Dune', 'Emma'], ['Ulysses', 'Beloved']]);
+  assert.strictEqual(job.state, 'completed');
+  assert.strictEqual(job.successCount, 4);
+  assert.deepStrictEqual(await queueLengths(), { pending: 0, processing: 0 });
+});
+
+test('a job that runs out of attempts is failed and taken off the queue', async () => {
+  const { jobId } = await createJob(redisClient, userId, books);
+  Book.insertMany = async () => {
+    throw new Error('connection reset');
+  };
+
+  for (let tick = 0; tick < 3; tick++) {
+    await processBulkBooks();
+  }
+
+  const job = await getJob(redisClient, jobId);
+  assert.strictEqual(job.state, 'failed');
+  assert.strictEqual(job.attempts, 3);
+  assert.deepStrictEqual(await queueLengths(), { pending: 0, processing: 0 });
+  assert.ok(await redisClient.ttl(`bulk_job:${jobId}:books`) > 0);
+  assert.strictEqual(JSON.parse(await redisClient.get(job.errorKey)).error, 'connection reset');
+});
+
+test('a worker that lost its lease stops without touching the job again', async () => {
+  const { jobId } = await createJob(redisClient, userId, books);
+  Book.insertMany = async (docs) => {
+    insertCalls.push(docs.map(doc => doc.title));
+    // Another worker takes the job over while the second chunk is being written
+    if (docs[0].title === 'Ulysses') {
+      await redisClient.set(`bulk_lease:${jobId}`, 'another-worker');
+    }
+  };
+
+  assert.strictEqual(await processBulkBooks(), true);
+
+  const job = await getJob(redisClient, jobId);
+  assert.strictEqual(job.state, 'processing');
+  assert.strictEqual(job.checkpoint, 2);
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(job.statusKey, undefined);
+  assert.deepStrictEqual(await queueLengths(), { pending: 0, processing: 1 });
+  assert.strictEqual(await redisClient.exists(`bulk_job:${jobId}:books`), 1);
+  assert.strictEqual(await redisClient.get(`bulk_lease:${jobId}`), 'another-worker');
+});
+
+test('a job abandoned by a crashed worker is swept back and resumed on the next tick', async () => {
+  const { jobId } = await createJob(redisClient, userId, books);
+  await redisClient.lMove('bulk_queue:pending', 'bulk_queue:processing', 'RIGHT', 'LEFT');
+  await updateJob(redisClient, jobId, { state: 'processing', checkpoint: 2, processedCount: 2, successCount: 2, attempts: 1 });
+
+  await processBulkBooks();
+
+  const job = await getJob(redisClient, jobId);
+  assert.deepStrictEqual(insertCalls, [['Ulysses', 'Beloved']]);
+  assert.strictEqual(job.state, 'completed');
+  assert.strictEqual(job.successCount, 4);
+  assert.deepStrictEqual(await queueLengths(), { pending: 0, processing: 0 });
+});
+
+test('a job counts every failed row but stores only the first BULK_MAX_STORED_ROWS', async () => {
+  const { jobId } = await createJob(redisClient, userId, books.map(({ title }) => ({ title })));
+
+  await processBulkBooks();
+
+  const job = await getJob(redisClient, jobId);
+  assert.strictEqual(job.failureCount, 4);
+  assert.deepStrictEqual(job.failures.map(failure => failure.title), ['Dune', 'Emma', 'Ulysses']);
+  assert.strictEqual(JSON.parse(await redisClient.get(job.statusKey)).failures.length, 3);
+});
+
+// Queue the books under a daily rows reservation, as the bulk routes do
+const createReservedJob = async (jobBooks) => {
+  const reservation = await reserveBulkRows(redisClient, userId, jobBooks.length);
+  const job = await createJob(redisClient, userId, jobBooks, { quota: reservation });
+
+  return { jobId: job.jobId, quotaKey: reservation.key };
+};
+
+const getUsedRows = async (quotaKey) => Number(await redisClient.get(quotaKey));
+
+test('a finished job hands back the reserved rows that did not become books', async () => {
+  const { jobId, quotaKey } = await createReservedJob([books[0], books[1], { title: 'No author' }, { title: 'Also no author' }]);
+
+  await processBulkBooks();
+
+  assert.strictEqual((await getJob(redisClient, jobId)).successCount, 2);
+  assert.strictEqual((await getJob(redisClient, jobId)).quotaKey, null);
+  assert.strictEqual(await getUsedRows(quotaKey), 2);
+});
+
+test('retried ticks keep the reservation until the job finishes, then settle it once', async () => {
+  const { jobId, quotaKey } = await createReservedJob(books);
+  let failuresLeft = 1;
+  Book.insertMany = async (docs) => {
+    if (docs[0].title === 'Ulysses' && failuresLeft-- > 0) {
+      throw new Error('connection reset');
+    }
+  };
+
+  await processBulkBooks();
+  assert.strictEqual(await getUsedRows(quotaKey), 4);
+
+  await processBulkBooks();
+  assert.strictEqual((await getJob(redisClient, jobId)).state, 'completed');
+  assert.strictEqual(await getUsedRows(quotaKey), 4);
+});
+
+test('a failed job keeps only the rows it inserted before failing', async () => {
+  const { jobId, quotaKey } = await createReservedJob(books);
+  Book.insertMany = async (docs) => {
+    if (docs[0].title === 'Ulysses') {
+      throw new Error('connection reset');
+    }
+  };
+
+  for (let tick = 0; tick < 3; tick++) {
+    await processBulkBooks();
+  }
+
+  assert.strictEqual((await getJob(redisClient, jobId)).state, 'failed');
+  assert.strictEqual(await getUsedRows(quotaKey), 2);
+});
+
+test('a requeued failed job is not settled a second time', async () => {
+  const { jobId, quotaKey } = await createReservedJob(books);
+  Book.insertMany = async (docs) => {
+    if (docs[0].title === 'Ulysses') {
+      throw new Error('connection reset');
+    }
+  };
+
+  for (let tick = 0; tick < 3; tick++) {
+    await processBulkBooks();
+  }
+  assert.strictEqual(await getUsedRows(quotaKey), 2);
+
+  // Fails again after an operator requeue: settling once more would hand the inserted rows back too
+  await requeueFailedJob(redisClient, jobId);
+  for (let tick = 0; tick < 3; tick++) {
+    await processBulkBooks();
+  }
+
+  assert.strictEqual((await getJob(redisClient, jobId)).state, 'failed');
+  assert.strictEqual(await getUsedRows(quotaKey), 2);
+});
+
+test('a completed job picked up again is acknowledged without settling again', async () => {
+  const { jobId, quotaKey } = await createReservedJob([books[0], { title: 'No author' }]);
+  await processBulkBooks();
+
+  // As if the worker died between storing the status and acknowledging the job
+  await redisClient.lPush('bulk_queue:pending', jobId);
+  await processBulkBooks();
+
+  assert.strictEqual(await getUsedRows(quotaKey), 1);
+  assert.deepStrictEqual(await queueLengths(), { pending: 0, processing: 0 });
+});
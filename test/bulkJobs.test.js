@@ -0,0 +1,198 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRedisStub } = require('./helpers/redis');
+const {
+  MAX_STORED_ROWS,
+  appendStoredRows,
+  createJob,
+  getJob,
+  claimJob,
+  checkpointJob,
+  ackJob,
+  releaseJob,
+  retryJob,
+  failJob,
+  requeueFailedJob,
+  requeueStaleJobs,
+  updateJob,
+  formatJob
+} = require('../lib/bulkJobs');
+const { buildJobEvent } = require('../lib/notifications');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+const books = [{ title: 'Dune', author: 'Frank Herbert' }];
+const rows = (count, from = 0) => Array.from({ length: count }, (_, i) => ({ row: from + i + 1, title: 'Dune', error: 'Invalid ISBN' }));
+
+test('stored rows stop growing at MAX_STORED_ROWS', () => {
+  const stored = rows(MAX_STORED_ROWS - 2);
+
+  assert.strictEqual(appendStoredRows(stored, rows(5, stored.length)), 2);
+  assert.strictEqual(stored.length, MAX_STORED_ROWS);
+  assert.strictEqual(stored.at(-1).row, MAX_STORED_ROWS);
+  assert.strictEqual(appendStoredRows(stored, rows(5)), 0);
+  assert.strictEqual(stored.length, MAX_STORED_ROWS);
+});
+
+test('a job keeps every rejected row in its count but stores at most MAX_STORED_ROWS', async () => {
+  const redisClient = createRedisStub();
+  const { jobId } = await createJob(redisClient, userId, [{ title: 'Dune', author: 'Frank Herbert' }], { failures: rows(MAX_STORED_ROWS + 10) });
+
+  const job = await getJob(redisClient, jobId);
+
+  assert.strictEqual(job.failureCount, MAX_STORED_ROWS + 10);
+  assert.strictEqual(job.failures.length, MAX_STORED_ROWS);
+  assert.strictEqual(formatJob(job).failuresTruncated, true);
+  assert.strictEqual(formatJob(job).duplicatesTruncated, false);
+});
+
+test('job events flag rows the job did not store as truncated', () => {
+  const event = buildJobEvent('bulk_job.completed', { failureCount: 12, failures: rows(10), duplicateCount: 0, duplicates: [] });
+
+  assert.strictEqual(event.data.failuresTruncated, true);
+  assert.strictEqual(event.data.duplicatesTruncated, false);
+});
+
+test('beforeQueue runs before the job is visible to workers', async () => {
+  const redisClient = createRedisStub();
+  let queuedDuringHook;
+
+  const job = await createJob(redisClient, userId, [{ title: 'Dune', author: 'Frank Herbert' }], {
+    beforeQueue: async () => {
+      queuedDuringHook = await redisClient.lLen('bulk_queue:pending');
+    }
+  });
+
+  assert.strictEqual(queuedDuringHook, 0);
+  assert.deepStrictEqual(await redisClient.lRange('bulk_queue:pending', 0, -1), [job.jobId]);
+});
+
+test('a job whose beforeQueue fails is removed and never queued', async () => {
+  const redisClient = createRedisStub();
+  let jobId;
+
+  await assert.rejects(createJob(redisClient, userId, [{ title: 'Dune', author: 'Frank Herbert' }], {
+    beforeQueue: async (job) => {
+      jobId = job.jobId;
+      throw new Error('Mongo is down');
+    }
+  }), /Mongo is down/);
+
+  assert.strictEqual(await redisClient.lLen('bulk_queue:pending'), 0);
+  assert.strictEqual(await getJob(redisClient, jobId), null);
+  assert.strictEqual(await redisClient.exists(`bulk_job:${jobId}:books`), 0);
+});
+
+test('jobs are claimed oldest first and move to the processing list', async () => {
+  const redisClient = createRedisStub();
+  const first = await createJob(redisClient, userId, books);
+  const second = await createJob(redisClient, userId, books);
+
+  const claimed = await claimJob(redisClient);
+
+  assert.strictEqual(claimed.jobId, first.jobId);
+  assert.ok(claimed.lease.token);
+  assert.deepStrictEqual(await redisClient.lRange('bulk_queue:processing', 0, -1), [first.jobId]);
+  assert.deepStrictEqual(await redisClient.lRange('bulk_queue:pending', 0, -1), [second.jobId]);
+});
+
+test('claiming from an empty queue returns null', async () => {
+  assert.strictEqual(await claimJob(createRedisStub()), null);
+});
+
+test('an acknowledged job leaves the queue and drops its payload and lease', async () => {
+  const redisClient = createRedisStub();
+  const { jobId } = await createJob(redisClient, userId, books);
+  const { lease } = await claimJob(redisClient);
+
+  await ackJob(redisClient, jobId, lease);
+
+  assert.strictEqual(await redisClient.lLen('bulk_queue:processing'), 0);
+  assert.strictEqual(await redisClient.exists(`bulk_job:${jobId}:books`), 0);
+  assert.strictEqual(await redisClient.exists(lease.key), 0);
+  assert.ok(await getJob(redisClient, jobId));
+});
+
+test('a released job is claimed next, a retried one goes to the back of the queue', async () => {
+  const redisClient = createRedisStub();
+  const first = await createJob(redisClient, userId, books);
+  const second = await createJob(redisClient, userId, books);
+
+  const claimed = await claimJob(redisClient);
+  await releaseJob(redisClient, claimed.jobId, claimed.lease);
+
+  const reclaimed = await claimJob(redisClient);
+  assert.strictEqual(reclaimed.jobId, first.jobId);
+
+  await retryJob(redisClient, reclaimed.jobId, reclaimed.lease);
+
+  assert.deepStrictEqual(await redisClient.lRange('bulk_queue:pending', 0, -1), [first.jobId, second.jobId]);
+  assert.strictEqual((await claimJob(redisClient)).jobId, second.jobId);
+});
+
+test('a failed job keeps its payload for a while and can be requeued with fresh attempts', async () => {
+  const redisClient = createRedisStub();
+  const { jobId } = await createJob(redisClient, userId, books);
+  const { lease } = await claimJob(redisClient);
+  await updateJob(redisClient, jobId, { state: 'failed', attempts: 3, error: 'Mongo is down' });
+
+  await failJob(redisClient, jobId, lease);
+
+  assert.strictEqual(await redisClient.lLen('bulk_queue:processing'), 0);
+  assert.ok(await redisClient.ttl(`bulk_job:${jobId}:books`) > 0);
+
+  const { result, job } = await requeueFailedJob(redisClient, jobId);
+
+  assert.strictEqual(result, 'requeued');
+  assert.strictEqual(job.attempts, 0);
+  assert.strictEqual(job.state, 'queued');
+  assert.strictEqual(await redisClient.ttl(`bulk_job:${jobId}:books`), -1);
+  assert.deepStrictEqual(await redisClient.lRange('bulk_queue:pending', 0, -1), [jobId]);
+});
+
+test('only failed jobs with a payload can be requeued', async () => {
+  const redisClient = createRedisStub();
+  const { jobId } = await createJob(redisClient, userId, books);
+
+  assert.strictEqual((await requeueFailedJob(redisClient, 'missing')).result, 'not_found');
+  assert.strictEqual((await requeueFailedJob(redisClient, jobId)).result, 'not_failed');
+
+  await updateJob(redisClient, jobId, { state: 'failed' });
+  await redisClient.del(`bulk_job:${jobId}:books`);
+  assert.strictEqual((await requeueFailedJob(redisClient, jobId)).result, 'payload_missing');
+});
+
+test('a job whose lease another worker still holds is not claimed twice', async () => {
+  const redisClient = createRedisStub();
+  const { jobId } = await createJob(redisClient, userId, books);
+  await redisClient.set(`bulk_lease:${jobId}`, 'another-worker');
+
+  assert.strictEqual(await claimJob(redisClient), null);
+  assert.deepStrictEqual(await redisClient.lRange('bulk_queue:processing', 0, -1), []);
+});
+
+test('checkpoints fail with LEASE_LOST once the lease is taken over', async () => {
+  const redisClient = createRedisStub();
+  const { jobId } = await createJob(redisClient, userId, books);
+  const { lease } = await claimJob(redisClient);
+
+  await checkpointJob(redisClient, jobId, lease, { checkpoint: 1 });
+  await redisClient.set(lease.key, 'another-worker');
+
+  await assert.rejects(checkpointJob(redisClient, jobId, lease, { checkpoint: 2 }), { code: 'LEASE_LOST' });
+  assert.strictEqual(lease.lost, true);
+  assert.strictEqual((await getJob(redisClient, jobId)).checkpoint, 1);
+});
+
+test('the sweep requeues jobs whose lease expired and leaves leased ones alone', async () => {
+  const redisClient = createRedisStub();
+  const abandoned = await createJob(redisClient, userId, books);
+  const running = await createJob(redisClient, userId, books);
+  await claimJob(redisClient);
+  await claimJob(redisClient);
+
+  redisClient.store.get(`bulk_lease:${abandoned.jobId}`).expiresAt = Date.now() - 1;
+
+  assert.deepStrictEqual(await requeueStaleJobs(redisClient), [abandoned.jobId]);
+  assert.deepStrictEqual(await redisClient.lRange('bulk_queue:pending', 0, -1), [abandoned.jobId]);
+  assert.deepStrictEqual(await redisClient.lRange('bulk_queue:processing', 0, -1), [running.jobId]);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The CLI reads these at require time, so the stubs go in first
+const db = require('../db');
+const connections = { connected: 0, disconnected: 0 };
+db.connectDB = async () => { connections.connected++; };
+db.disconnectDB = async () => { connections.disconnected++; };
+
+const bulkCron = require('../bulkCron');
+let tickResult = true;
+bulkCron.processBulkBooks = async () => tickResult;
+
+const User = require('../models/users');
+const { main } = require('../cli');
+const { startWorker } = require('../worker');
+
+test.beforeEach((t) => {
+  connections.connected = 0;
+  connections.disconnected = 0;
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('help exits 0 and a bare call exits 1, both with the usage', async () => {
+  assert.strictEqual(await main(['help']), 0);
+  assert.strictEqual(await main([]), 1);
+  assert.match(console.log.mock.calls[0].arguments[0], /^Usage: node cli.js/);
+});
+
+test('unknown commands exit 1 without connecting', async () => {
+  assert.strictEqual(await main(['frobnicate']), 1);
+  assert.strictEqual(connections.connected, 0);
+});
+
+test('bad arguments are rejected before connecting', async () => {
+  const cases = [
+    [['run-once', 'everything'], /run-once needs one of: bulk, reports, outbox/],
+    [['jobs', 'retry'], /jobs retry needs a job ID/],
+    [['jobs', 'list', '--limit', '0'], /--limit must be a positive integer/],
+    [['report', 'render', 'job-1'], /report render needs a job ID and --out/],
+    [['users', 'promote'], /users promote needs an email/]
+  ];
+
+  for (const [argv, message] of cases) {
+    await assert.rejects(main(argv), message, argv.join(' '));
+  }
+
+  assert.strictEqual(connections.connected, 0);
+});
+
+test('run-once exits 0 after a good tick and disconnects', async () => {
+  tickResult = true;
+
+  assert.strictEqual(await main(['run-once', 'bulk']), 0);
+  assert.deepStrictEqual(connections, { connected: 1, disconnected: 1 });
+});
+
+test('run-once fails when the tick fails and still disconnects', async () => {
+  tickResult = false;
+
+  await assert.rejects(main(['run-once', 'bulk']), /run-once bulk failed/);
+  assert.deepStrictEqual(connections, { connected: 1, disconnected: 1 });
+});
+
+test('users promote makes the user with that email an admin', async (t) => {
+  const findOneAndUpdate = t.mock.method(User, 'findOneAndUpdate', async () => ({ username: 'reader', email: 'reader@example.com' }));
+
+  assert.strictEqual(await main(['users', 'promote', ' Reader@Example.com ']), 0);
+  assert.deepStrictEqual(findOneAndUpdate.mock.calls[0].arguments.slice(0, 2), [{ email: 'reader@example.com' }, { role: 'admin' }]);
+});
+
+test('users promote fails for an unknown email', async (t) => {
+  t.mock.method(User, 'findOneAndUpdate', async () => null);
+
+  await assert.rejects(main(['users', 'promote', 'nobody@example.com']), /No user with email nobody@example.com/);
+});
+
+test('the worker refuses unknown schedulers before connecting', async () => {
+  await assert.rejects(startWorker(['bulk', 'emails']), /Unknown scheduler\(s\): emails/);
+  assert.strictEqual(connections.connected, 0);
+});
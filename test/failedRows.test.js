@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { escapeCsvValue, generateFailedRowsCSV } = require('../lib/failedRows');
+const { parseUpload } = require('../lib/bookImport');
+
+const job = {
+  failures: [
+    {
+      row: 2,
+      title: '-Foo',
+      error: 'isbn: Invalid ISBN: 123',
+      input: { title: '-Foo', author: '=HYPERLINK("http://evil")', isbn: '123', genre: '@risk' }
+    },
+    { row: 5, title: '+1 Plan', error: 'author: Required', input: { title: '+1 Plan', publishedYear: 1999 } }
+  ]
+};
+
+test('formula-like text is guarded in the export, numbers are not', () => {
+  assert.strictEqual(escapeCsvValue('=SUM(A1)'), "'=SUM(A1)");
+  assert.strictEqual(escapeCsvValue('-Foo'), "'-Foo");
+  assert.strictEqual(escapeCsvValue(-5), '-5');
+  assert.strictEqual(escapeCsvValue('Dune'), 'Dune');
+
+  const csv = generateFailedRowsCSV(job).toString('utf8');
+  assert.match(csv, /^2,'-Foo,"'=HYPERLINK\(""http:\/\/evil""\)",123,,'@risk,/m);
+});
+
+test('a resubmitted failed-rows file keeps the original values', async () => {
+  const csv = generateFailedRowsCSV(job).toString('utf8')
+    .replace(',123,', ',9780441013593,')
+    .replace("'+1 Plan,", "'+1 Plan,Jane Doe");
+
+  const { books, failures } = await parseUpload(Readable.from([csv]), 'csv');
+
+  assert.deepStrictEqual(failures, []);
+  // Blank cells parse as undefined fields, which JSON drops
+  const resubmitted = JSON.parse(JSON.stringify(books.map(({ row, ...book }) => book)));
+
+  assert.deepStrictEqual(resubmitted, [
+    { originalRow: 2, title: '-Foo', author: '=HYPERLINK("http://evil")', isbn: '9780441013593', genre: '@risk' },
+    { originalRow: 5, title: '+1 Plan', author: 'Jane Doe', publishedYear: 1999 }
+  ]);
+});
+
+test('an apostrophe that does not guard a formula is kept', async () => {
+  const { books } = await parseUpload(Readable.from(["title,author\r\n'Salem's Lot,Stephen King\r\n"]), 'csv');
+
+  assert.strictEqual(books[0].title, "'Salem's Lot");
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const nodemailer = require('nodemailer');
+const { createRedisStub } = require('./helpers/redis');
+
+process.env.HEALTH_CHECK_TIMEOUT_MS = '50';
+process.env.HEALTH_MAX_TICK_AGE_SECONDS = '60';
+
+// Health checks read the Redis client and mail transporter at require time, so the stubs go in first
+const redisClient = createRedisStub();
+const db = require('../db');
+db.getRedisClient = () => redisClient;
+
+const transport = { verify: async () => true };
+nodemailer.createTransport = () => transport;
+
+const { checkMongo, checkRedis, checkSmtp, checkCronTick, runHealthChecks, createHealthHandler } = require('../lib/health');
+const { markCronSuccess } = require('../lib/metrics');
+const { startServer } = require('./helpers/server');
+
+test('health is ok only when every check passes, with each check\'s details', async () => {
+  const health = await runHealthChecks({
+    redis: async () => {},
+    cron: async () => ({ ageSeconds: 3 }),
+    mongo: async () => {
+      throw new Error('Not connected');
+    }
+  });
+
+  assert.strictEqual(health.status, 'error');
+  assert.strictEqual(health.checks.redis.status, 'ok');
+  assert.strictEqual(health.checks.cron.ageSeconds, 3);
+  assert.strictEqual(health.checks.mongo.status, 'error');
+  assert.strictEqual(health.checks.mongo.error, 'Not connected');
+});
+
+test('a check that hangs fails after the timeout', async () => {
+  const health = await runHealthChecks({ redis: () => new Promise(() => {}) });
+
+  assert.strictEqual(health.checks.redis.error, 'Timed out after 50ms');
+});
+
+test('the handler answers 200 or 503 and is never cached', async () => {
+  const server = await startServer(app => {
+    app.get('/live', createHealthHandler({}));
+    app.get('/ready', createHealthHandler({ mongo: checkMongo }));
+  });
+
+  try {
+    const live = await fetch(`${server.url}/live`);
+    assert.strictEqual(live.status, 200);
+    assert.strictEqual(live.headers.get('cache-control'), 'no-store');
+    assert.deepStrictEqual(await live.json(), { status: 'ok', checks: {} });
+
+    const ready = await fetch(`${server.url}/ready`);
+    assert.strictEqual(ready.status, 503);
+    assert.strictEqual((await ready.json()).checks.mongo.error, 'Not connected');
+  } finally {
+    await server.close();
+  }
+});
+
+test('the Redis check needs a ready client that answers PING', async (t) => {
+  const ping = t.mock.method(redisClient, 'ping', async () => 'PONG');
+
+  redisClient.isReady = false;
+  await assert.rejects(checkRedis(), /Not connected/);
+
+  redisClient.isReady = true;
+  await checkRedis();
+  assert.strictEqual(ping.mock.callCount(), 1);
+});
+
+test('the SMTP check result is reused for a minute', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const verify = t.mock.method(transport, 'verify', async () => true);
+
+  await checkSmtp();
+  await checkSmtp();
+  assert.strictEqual(verify.mock.callCount(), 1);
+
+  t.mock.timers.tick(61 * 1000);
+  await checkSmtp();
+  assert.strictEqual(verify.mock.callCount(), 2);
+});
+
+test('a cron task fails its check once it has gone too long without a tick', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const check = checkCronTick('bulk', Date.now());
+
+  t.mock.timers.tick(61 * 1000);
+  await assert.rejects(check(), /No completed tick in the 61s since start/);
+
+  markCronSuccess('bulk');
+  assert.deepStrictEqual(await check(), { lastSuccessAt: new Date(1_061_000).toISOString(), ageSeconds: 0 });
+
+  t.mock.timers.tick(90 * 1000);
+  await assert.rejects(check(), /Last completed tick was 90s ago/);
+});
@@ -0,0 +1,17 @@
+const jwt = require('jsonwebtoken');
+const User = require('../../models/users');
+const { config } = require('../../config');
+
+/**
+ * Let authMiddleware accept a user without MongoDB
+ * Stubs User.findById for that user and returns an Authorization header carrying a token for it
+ * @param {Object} user - { _id, email, username, role }
+ * @returns {string} Authorization header value
+ */
+const authenticateAs = (user) => {
+  User.findById = () => ({ select: async () => ({ disabled: false, role: 'user', ...user }) });
+
+  return `Bearer ${jwt.sign({ userId: String(user._id) }, config.jwt.secret, { expiresIn: 60 })}`;
+};
+
+module.exports = { authenticateAs };
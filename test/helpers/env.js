@@ -0,0 +1,4 @@
+// Settings config.js requires, so the suite runs without a .env
+// Tests stub MongoDB and Redis and never connect to these
+process.env.MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/books-test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-only-jwt-secret-not-for-production';
@@ -0,0 +1,418 @@
+const { lua, lauxlib, lualib, to_luastring, to_jsstring } = require('fengari');
+
+/**
+ * In-memory stand-in for the node-redis v4 client, enough for the commands this app uses
+ * EVAL runs the real Lua scripts through fengari, with redis.call bound to the same store
+ * Expiry follows Date.now(), so tests can move time with t.mock.timers
+ */
+
+// Status reply, kept apart from bulk strings because Lua sees it as { ok = 'OK' }
+const OK = Object.freeze({ ok: 'OK' });
+
+const globToRegExp = (pattern) => new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+
+const createRedisStub = () => {
+  const store = new Map();
+
+  const entry = (key) => {
+    const item = store.get(key);
+
+    if (item && item.expiresAt !== null && item.expiresAt <= Date.now()) {
+      store.delete(key);
+      return undefined;
+    }
+
+    return item;
+  };
+
+  const read = (key, type, empty) => {
+    const item = entry(key);
+
+    if (!item) {
+      return empty;
+    }
+    if (item.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+
+    return item.value;
+  };
+
+  // Fetch a container for writing, creating it when missing
+  const write = (key, type, create) => {
+    const item = entry(key);
+
+    if (item) {
+      read(key, type);
+      return item.value;
+    }
+
+    const value = create();
+    store.set(key, { type, value, expiresAt: null });
+    return value;
+  };
+
+  const dropIfEmpty = (key, size) => {
+    if (size === 0) {
+      store.delete(key);
+    }
+  };
+
+  const setExpiry = (key, ms) => {
+    const item = entry(key);
+
+    if (!item) {
+      return 0;
+    }
+
+    item.expiresAt = Date.now() + ms;
+    return 1;
+  };
+
+  const sortedMembers = (key) => [...read(key, 'zset', new Map())]
+    .sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || (a < b ? -1 : a > b ? 1 : 0));
+
+  const range = (items, start, stop) => {
+    const from = start < 0 ? Math.max(items.length + start, 0) : start;
+    const to = stop < 0 ? items.length + stop : stop;
+    return items.slice(from, to + 1);
+  };
+
+  const parseScore = (value) => {
+    if (value === '-inf') return -Infinity;
+    if (value === '+inf' || value === 'inf') return Infinity;
+    return Number(value);
+  };
+
+  // Raw commands with Redis argument and reply conventions, shared by the client methods and Lua scripts
+  const commands = {
+    get: (key) => read(key, 'string', null),
+    set: (key, value, ...options) => {
+      const flags = options.map(option => String(option).toUpperCase());
+      const existing = entry(key);
+
+      if ((flags.includes('NX') && existing) || (flags.includes('XX') && !existing)) {
+        return null;
+      }
+
+      let expiresAt = flags.includes('KEEPTTL') && existing ? existing.expiresAt : null;
+      const px = flags.indexOf('PX');
+      const ex = flags.indexOf('EX');
+      if (px !== -1) expiresAt = Date.now() + Number(options[px + 1]);
+      if (ex !== -1) expiresAt = Date.now() + Number(options[ex + 1]) * 1000;
+
+      store.set(key, { type: 'string', value: String(value), expiresAt });
+      return OK;
+    },
+    setex: (key, seconds, value) => commands.set(key, value, 'EX', seconds),
+    getdel: (key) => {
+      const value = commands.get(key);
+      store.delete(key);
+      return value;
+    },
+    incrby: (key, amount) => {
+      const current = commands.get(key);
+      const next = Number(current || 0) + Number(amount);
+      const expiresAt = current === null ? null : entry(key).expiresAt;
+
+      store.set(key, { type: 'string', value: String(next), expiresAt });
+      return next;
+    },
+    incr: (key) => commands.incrby(key, 1),
+    del: (...keys) => keys.filter(key => entry(key) && store.delete(key)).length,
+    exists: (...keys) => keys.filter(key => entry(key)).length,
+    keys: (pattern) => [...store.keys()].filter(key => entry(key) && globToRegExp(pattern).test(key)),
+    expire: (key, seconds) => setExpiry(key, Number(seconds) * 1000),
+    pexpire: (key, ms) => setExpiry(key, Number(ms)),
+    persist: (key) => {
+      const item = entry(key);
+
+      if (!item || item.expiresAt === null) {
+        return 0;
+      }
+
+      item.expiresAt = null;
+      return 1;
+    },
+    pttl: (key) => {
+      const item = entry(key);
+
+      if (!item) return -2;
+      if (item.expiresAt === null) return -1;
+      return item.expiresAt - Date.now();
+    },
+    ttl: (key) => {
+      const pttl = commands.pttl(key);
+      return pttl < 0 ? pttl : Math.ceil(pttl / 1000);
+    },
+    hget: (key, field) => read(key, 'hash', new Map()).get(field) ?? null,
+    hincrby: (key, field, amount) => {
+      const hash = write(key, 'hash', () => new Map());
+      const next = Number(hash.get(field) || 0) + Number(amount);
+
+      hash.set(field, String(next));
+      return next;
+    },
+    hdel: (key, ...fields) => {
+      const hash = read(key, 'hash', new Map());
+      const removed = fields.filter(field => hash.delete(field)).length;
+
+      dropIfEmpty(key, hash.size);
+      return removed;
+    },
+    sadd: (key, ...members) => {
+      const set = write(key, 'set', () => new Set());
+      const added = members.filter(member => !set.has(member)).length;
+
+      members.forEach(member => set.add(String(member)));
+      return added;
+    },
+    srem: (key, ...members) => {
+      const set = read(key, 'set', new Set());
+      const removed = members.filter(member => set.delete(member)).length;
+
+      dropIfEmpty(key, set.size);
+      return removed;
+    },
+    smembers: (key) => [...read(key, 'set', new Set())],
+    lpush: (key, ...elements) => {
+      const list = write(key, 'list', () => []);
+
+      elements.forEach(element => list.unshift(String(element)));
+      return list.length;
+    },
+    rpush: (key, ...elements) => {
+      const list = write(key, 'list', () => []);
+
+      list.push(...elements.map(String));
+      return list.length;
+    },
+    lrange: (key, start, stop) => range(read(key, 'list', []), Number(start), Number(stop)),
+    llen: (key) => read(key, 'list', []).length,
+    lrem: (key, count, element) => {
+      const list = read(key, 'list', []);
+      const limit = Number(count) === 0 ? Infinity : Math.abs(Number(count));
+      const indexes = list.map((item, index) => (item === element ? index : -1)).filter(index => index !== -1);
+      const removing = (Number(count) < 0 ? indexes.reverse() : indexes).slice(0, limit);
+
+      removing.sort((a, b) => b - a).forEach(index => list.splice(index, 1));
+      dropIfEmpty(key, list.length);
+      return removing.length;
+    },
+    lmove: (source, destination, from, to) => {
+      const list = read(source, 'list', []);
+
+      if (list.length === 0) {
+        return null;
+      }
+
+      const element = String(from).toUpperCase() === 'LEFT' ? list.shift() : list.pop();
+      dropIfEmpty(source, list.length);
+
+      const target = write(destination, 'list', () => []);
+      if (String(to).toUpperCase() === 'LEFT') {
+        target.unshift(element);
+      } else {
+        target.push(element);
+      }
+
+      return element;
+    },
+    zadd: (key, ...pairs) => {
+      const zset = write(key, 'zset', () => new Map());
+      let added = 0;
+
+      for (let i = 0; i < pairs.length; i += 2) {
+        const member = String(pairs[i + 1]);
+        if (!zset.has(member)) added++;
+        zset.set(member, Number(pairs[i]));
+      }
+
+      return added;
+    },
+    zrem: (key, ...members) => {
+      const zset = read(key, 'zset', new Map());
+      const removed = members.filter(member => zset.delete(member)).length;
+
+      dropIfEmpty(key, zset.size);
+      return removed;
+    },
+    zscore: (key, member) => {
+      const score = read(key, 'zset', new Map()).get(member);
+      return score === undefined ? null : String(score);
+    },
+    zcard: (key) => read(key, 'zset', new Map()).size,
+    zrange: (key, start, stop, ...options) => {
+      const flags = options.map(option => String(option).toUpperCase());
+      const members = sortedMembers(key);
+      const ordered = flags.includes('REV') ? members.reverse() : members;
+      const selected = range(ordered, Number(start), Number(stop));
+
+      return flags.includes('WITHSCORES')
+        ? selected.flatMap(([member, score]) => [member, String(score)])
+        : selected.map(([member]) => member);
+    },
+    zremrangebyscore: (key, min, max) => {
+      const zset = read(key, 'zset', new Map());
+      const removing = [...zset].filter(([, score]) => score >= parseScore(min) && score <= parseScore(max));
+
+      removing.forEach(([member]) => zset.delete(member));
+      dropIfEmpty(key, zset.size);
+      return removing.length;
+    }
+  };
+
+  const call = (name, ...args) => {
+    const command = commands[String(name).toLowerCase()];
+
+    if (!command) {
+      throw new Error(`ERR unknown command '${name}'`);
+    }
+
+    return command(...args.map(arg => (typeof arg === 'number' ? String(arg) : arg)));
+  };
+
+  // Lua <-> Redis conversions follow the EVAL documentation
+  const pushReply = (L, reply) => {
+    if (reply === null || reply === undefined) {
+      lua.lua_pushboolean(L, false);
+    } else if (reply === OK) {
+      lua.lua_createtable(L, 0, 1);
+      lua.lua_pushstring(L, to_luastring('OK'));
+      lua.lua_setfield(L, -2, to_luastring('ok'));
+    } else if (Array.isArray(reply)) {
+      lua.lua_createtable(L, reply.length, 0);
+      reply.forEach((item, index) => {
+        pushReply(L, item);
+        lua.lua_rawseti(L, -2, index + 1);
+      });
+    } else if (typeof reply === 'number') {
+      lua.lua_pushinteger(L, reply);
+    } else {
+      lua.lua_pushstring(L, to_luastring(String(reply)));
+    }
+  };
+
+  const readReply = (L, index) => {
+    switch (lua.lua_type(L, index)) {
+      case lua.LUA_TNUMBER:
+        return Math.trunc(lua.lua_tonumber(L, index));
+      case lua.LUA_TSTRING:
+        return lua.lua_tojsstring(L, index);
+      case lua.LUA_TBOOLEAN:
+        return lua.lua_toboolean(L, index) ? 1 : null;
+      case lua.LUA_TTABLE: {
+        const table = lua.lua_absindex(L, index);
+
+        if (lua.lua_getfield(L, table, to_luastring('ok')) === lua.LUA_TSTRING) {
+          lua.lua_pop(L, 1);
+          return 'OK';
+        }
+        lua.lua_pop(L, 1);
+
+        const items = [];
+        while (lua.lua_rawgeti(L, table, items.length + 1) !== lua.LUA_TNIL) {
+          items.push(readReply(L, -1));
+          lua.lua_pop(L, 1);
+        }
+        lua.lua_pop(L, 1);
+        return items;
+      }
+      default:
+        return null;
+    }
+  };
+
+  const setStrings = (L, name, values) => {
+    lua.lua_createtable(L, values.length, 0);
+    values.forEach((value, index) => {
+      lua.lua_pushstring(L, to_luastring(String(value)));
+      lua.lua_rawseti(L, -2, index + 1);
+    });
+    lua.lua_setglobal(L, to_luastring(name));
+  };
+
+  const evalScript = (script, keys, args) => {
+    const L = lauxlib.luaL_newstate();
+    lualib.luaL_openlibs(L);
+    setStrings(L, 'KEYS', keys);
+    setStrings(L, 'ARGV', args);
+
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushcfunction(L, (state) => {
+      const args = [];
+      for (let i = 1; i <= lua.lua_gettop(state); i++) {
+        args.push(lua.lua_isinteger(state, i) ? String(lua.lua_tointeger(state, i)) : lua.lua_tojsstring(state, i));
+      }
+
+      let reply;
+      try {
+        reply = call(...args);
+      } catch (error) {
+        return lauxlib.luaL_error(state, to_luastring(error.message));
+      }
+
+      pushReply(state, reply);
+      return 1;
+    });
+    lua.lua_setfield(L, -2, to_luastring('call'));
+    lua.lua_setglobal(L, to_luastring('redis'));
+
+    if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+      throw new Error(`ERR Error running script: ${to_jsstring(lua.lua_tostring(L, -1))}`);
+    }
+
+    return readReply(L, -1);
+  };
+
+  const client = {
+    store,
+    call,
+    ping: async () => 'PONG',
+    get: async (key) => call('get', key),
+    eval: async (script, { keys = [], arguments: args = [] } = {}) => evalScript(script, keys, args),
+    set: async (key, value, options = {}) => {
+      const args = [];
+      if (options.NX) args.push('NX');
+      if (options.XX) args.push('XX');
+      if (options.PX) args.push('PX', options.PX);
+      if (options.EX) args.push('EX', options.EX);
+      if (options.KEEPTTL) args.push('KEEPTTL');
+      return call('set', key, value, ...args) && 'OK';
+    },
+    setEx: async (key, seconds, value) => call('setex', key, seconds, value) && 'OK',
+    getDel: async (key) => call('getdel', key),
+    incr: async (key) => call('incr', key),
+    del: async (keys) => call('del', ...[].concat(keys)),
+    exists: async (keys) => call('exists', ...[].concat(keys)),
+    keys: async (pattern) => call('keys', pattern),
+    scanIterator: async function* ({ MATCH = '*' } = {}) {
+      yield* call('keys', MATCH);
+    },
+    expire: async (key, seconds) => call('expire', key, seconds) === 1,
+    persist: async (key) => call('persist', key) === 1,
+    ttl: async (key) => call('ttl', key),
+    hIncrBy: async (key, field, amount) => call('hincrby', key, field, amount),
+    hDel: async (key, fields) => call('hdel', key, ...[].concat(fields)),
+    sAdd: async (key, members) => call('sadd', key, ...[].concat(members)),
+    sRem: async (key, members) => call('srem', key, ...[].concat(members)),
+    sMembers: async (key) => call('smembers', key),
+    lPush: async (key, elements) => call('lpush', key, ...[].concat(elements)),
+    rPush: async (key, elements) => call('rpush', key, ...[].concat(elements)),
+    lRange: async (key, start, stop) => call('lrange', key, start, stop),
+    lLen: async (key) => call('llen', key),
+    lRem: async (key, count, element) => call('lrem', key, count, element),
+    lMove: async (source, destination, from, to) => call('lmove', source, destination, from, to),
+    zAdd: async (key, members) => call('zadd', key, ...[].concat(members).flatMap(({ score, value }) => [score, value])),
+    zRem: async (key, members) => call('zrem', key, ...[].concat(members)),
+    zScore: async (key, member) => {
+      const score = call('zscore', key, member);
+      return score === null ? null : Number(score);
+    },
+    zRange: async (key, start, stop, options = {}) => call('zrange', key, start, stop, ...(options.REV ? ['REV'] : []))
+  };
+
+  return client;
+};
+
+module.exports = { createRedisStub };
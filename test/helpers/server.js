@@ -0,0 +1,25 @@
+const { once } = require('events');
+const express = require('express');
+const requestContext = require('../../middleware/requestContext');
+
+/**
+ * Serve routers on an ephemeral port for route tests, with req.id and req.log set as in app.js
+ * @param {Function} mount - (app) => void, mounts the routers under test
+ * @returns {Promise<Object>} { url, close }
+ */
+const startServer = async (mount) => {
+  const app = express();
+  app.use(requestContext);
+  app.use(express.json());
+  mount(app);
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = { startServer };
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const en = require('../locales/en');
+const es = require('../locales/es');
+const { isSupportedLocale, isValidTimeZone, createTranslator } = require('../lib/i18n');
+const { buildReportModel } = require('../lib/reportModel');
+
+test('locales are supported by language, with or without a region', () => {
+  for (const locale of ['en', 'es', 'es-MX', 'EN-gb']) {
+    assert.strictEqual(isSupportedLocale(locale), true, locale);
+  }
+
+  for (const locale of ['fr', 'de-DE', 'not a locale', '']) {
+    assert.strictEqual(isSupportedLocale(locale), false, locale);
+  }
+});
+
+test('timezones are checked against the IANA zones', () => {
+  assert.strictEqual(isValidTimeZone('Europe/Madrid'), true);
+  assert.strictEqual(isValidTimeZone('Europe/Atlantis'), false);
+});
+
+test('the Spanish catalog translates every English message', () => {
+  assert.deepStrictEqual(Object.keys(es).sort(), Object.keys(en).sort());
+});
+
+test('messages are translated with plural forms and localized numbers', () => {
+  const { t } = createTranslator({ locale: 'es' });
+
+  assert.strictEqual(t('report.jobs', { count: 2 }), 'Trabajos (2)');
+  assert.strictEqual(t('report.digestIntro', { count: 1 }), es['report.digestIntro'].one.replace('{count}', '1'));
+  assert.strictEqual(t('report.digestIntro', { count: 3 }), es['report.digestIntro'].other.replace('{count}', '3'));
+  assert.match(t('event.completed', { jobId: 'job-1', successCount: 12345, totalBooks: 12345, failureCount: 0, duplicateCount: 0 }), /12\.345\/12\.345/);
+});
+
+test('unsupported locales and unknown keys fall back', () => {
+  const i18n = createTranslator({ locale: 'fr' });
+
+  assert.strictEqual(i18n.locale, 'en');
+  assert.strictEqual(i18n.t('report.jobs', { count: 2 }), 'Jobs (2)');
+  assert.strictEqual(i18n.t('report.noSuchKey'), 'report.noSuchKey');
+});
+
+test('dates are formatted in the reader\'s timezone and bad dates are shown as they are', () => {
+  const madrid = createTranslator({ locale: 'es', timeZone: 'Europe/Madrid' });
+  const utc = createTranslator({ locale: 'en' });
+
+  assert.match(madrid.dateTime('2026-01-15T23:30:00.000Z'), /16 ene 2026/);
+  assert.match(utc.dateTime('2026-01-15T23:30:00.000Z'), /Jan 15, 2026/);
+  assert.strictEqual(utc.dateTime('not a date'), 'not a date');
+});
+
+test('a report model is written in the reader\'s language', () => {
+  const model = buildReportModel(
+    { userId: 'user-1', timestamp: '2026-01-15T10:00:00.000Z', totalBooks: 1, successCount: 1, failureCount: 0 },
+    { locale: 'es-MX', timeZone: 'America/Mexico_City' }
+  );
+
+  assert.strictEqual(model.i18n.locale, 'es-MX');
+  assert.strictEqual(model.sections[2].text, es['report.allSucceeded']);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Book = require('../models/books');
+const { isValidIsbn10, isValidIsbn13, toIsbn13 } = require('../lib/isbn');
+const { bookSchema } = require('../lib/schemas');
+const { validate } = require('../lib/validation');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+test('check digits are verified for both ISBN lengths', () => {
+  assert.strictEqual(isValidIsbn10('0306406152'), true);
+  assert.strictEqual(isValidIsbn10('0306406153'), false);
+  assert.strictEqual(isValidIsbn10('080442957X'), true);
+  assert.strictEqual(isValidIsbn13('9780306406157'), true);
+  assert.strictEqual(isValidIsbn13('9780306406158'), false);
+});
+
+test('ISBNs are normalized to ISBN-13 without separators', () => {
+  assert.strictEqual(toIsbn13('978-0-306-40615-7'), '9780306406157');
+  assert.strictEqual(toIsbn13('0 306 40615 2'), '9780306406157');
+  assert.strictEqual(toIsbn13('0-8044-2957-x'), '9780804429573');
+});
+
+test('empty and invalid ISBNs normalize to null', () => {
+  for (const value of [undefined, null, '', '12345', '978-0-306-40615-8', 'not an isbn']) {
+    assert.strictEqual(toIsbn13(value), null, String(value));
+  }
+});
+
+test('the request schema stores the canonical ISBN and reports invalid ones on the isbn field', () => {
+  assert.strictEqual(validate(bookSchema, { title: 'Dune', author: 'Frank Herbert', isbn: '0-306-40615-2' }).value.isbn, '9780306406157');
+
+  const { errors } = validate(bookSchema, { title: 'Dune', author: 'Frank Herbert', isbn: '12345' });
+  assert.deepStrictEqual(errors, [{ field: 'isbn', message: 'Invalid ISBN: 12345' }]);
+});
+
+test('the Book model normalizes ISBNs and rejects invalid ones', () => {
+  const book = new Book({ title: 'Dune', author: 'Frank Herbert', isbn: '0-306-40615-2', userId });
+  assert.strictEqual(book.isbn, '9780306406157');
+  assert.strictEqual(book.validateSync(), undefined);
+
+  const invalid = new Book({ title: 'Dune', author: 'Frank Herbert', isbn: '12345', userId });
+  assert.match(invalid.validateSync().errors.isbn.message, /Invalid ISBN: 12345/);
+});
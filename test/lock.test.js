@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRedisStub } = require('./helpers/redis');
+
+const redisClient = createRedisStub();
+const db = require('../db');
+db.getRedisClient = () => redisClient;
+
+const { acquireLock, renewLock, releaseLock, withLock } = require('../lib/lock');
+const { processStatusReports } = require('../reportCron');
+
+test.beforeEach(() => redisClient.store.clear());
+
+test('a lock has one holder until it expires', async () => {
+  const lock = await acquireLock(redisClient, 'lock:test', 1000);
+
+  assert.ok(lock);
+  assert.strictEqual(await acquireLock(redisClient, 'lock:test', 1000), null);
+
+  redisClient.store.get('lock:test').expiresAt = Date.now() - 1;
+  assert.ok(await acquireLock(redisClient, 'lock:test', 1000));
+});
+
+test('renewing extends the lock; renewing a lock someone else took marks it lost', async () => {
+  const lock = await acquireLock(redisClient, 'lock:test', 1000);
+
+  assert.strictEqual(await renewLock(redisClient, lock), true);
+  assert.strictEqual(lock.lost, false);
+
+  await redisClient.set('lock:test', 'another-worker');
+
+  assert.strictEqual(await renewLock(redisClient, lock), false);
+  assert.strictEqual(lock.lost, true);
+});
+
+test('releasing only deletes a lock this holder still owns', async () => {
+  const lock = await acquireLock(redisClient, 'lock:test', 1000);
+  await redisClient.set('lock:test', 'another-worker');
+
+  await releaseLock(redisClient, lock);
+
+  assert.strictEqual(await redisClient.get('lock:test'), 'another-worker');
+});
+
+test('withLock runs the task and releases the lock, or skips it while another holder has it', async () => {
+  const first = await withLock(redisClient, 'lock:test', 1000, async () => 'done');
+
+  assert.deepStrictEqual(first, { acquired: true, result: 'done' });
+  assert.strictEqual(await redisClient.exists('lock:test'), 0);
+
+  await acquireLock(redisClient, 'lock:test', 1000);
+  let ran = false;
+  const second = await withLock(redisClient, 'lock:test', 1000, async () => {
+    ran = true;
+  });
+
+  assert.strictEqual(second.acquired, false);
+  assert.strictEqual(ran, false);
+});
+
+test('a report tick skips while another worker holds the report lock', async (t) => {
+  await acquireLock(redisClient, 'cron_lock:report', 60000);
+  const keys = t.mock.method(redisClient, 'keys');
+
+  assert.strictEqual(await processStatusReports(), true);
+  assert.strictEqual(keys.mock.callCount(), 0);
+});
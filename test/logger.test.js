@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { logger, createLogger } = require('../lib/logger');
+const { createJob } = require('../lib/bulkJobs');
+const { createRedisStub } = require('./helpers/redis');
+const { startServer } = require('./helpers/server');
+
+// Run fn and return the lines it wrote to the stream; the stream is restored right away
+// so the test runner's own output is untouched
+const captureLines = (stream, fn) => {
+  const original = stream.write;
+  const lines = [];
+  stream.write = (chunk) => {
+    lines.push(JSON.parse(chunk));
+    return true;
+  };
+
+  try {
+    fn();
+  } finally {
+    stream.write = original;
+  }
+
+  return lines;
+};
+
+test('entries are one JSON object per line with bindings and fields', () => {
+  const log = createLogger({ service: 'api' }).child({ requestId: 'req-1' });
+
+  const [entry] = captureLines(process.stdout, () => log.info('Request completed', { status: 200 }));
+
+  assert.deepStrictEqual(Object.keys(entry), ['time', 'level', 'msg', 'service', 'requestId', 'status']);
+  assert.strictEqual(entry.level, 'info');
+  assert.strictEqual(entry.msg, 'Request completed');
+  assert.strictEqual(entry.requestId, 'req-1');
+});
+
+test('warnings and errors go to stderr with the error message and stack', () => {
+  const stdout = captureLines(process.stdout, () => {
+    const stderr = captureLines(process.stderr, () => createLogger().error('Tick failed', { err: new Error('Redis down') }));
+
+    assert.strictEqual(stderr[0].err.message, 'Redis down');
+    assert.match(stderr[0].err.stack, /^Error: Redis down/);
+  });
+
+  assert.deepStrictEqual(stdout, []);
+});
+
+test('entries below the minimum level are dropped', () => {
+  assert.deepStrictEqual(captureLines(process.stdout, () => createLogger().debug('Verbose')), []);
+});
+
+test('requests get an ID that is echoed back and bound to their log entries', async (t) => {
+  const entries = [];
+  t.mock.method(logger, 'child', (bindings) => ({
+    info: (msg, fields) => entries.push({ msg, ...bindings, ...fields }),
+    error: (msg, fields) => entries.push({ msg, ...bindings, ...fields })
+  }));
+  const server = await startServer(app => app.get('/ping', (req, res) => res.json({ id: req.id })));
+
+  let generatedId;
+
+  try {
+    const generated = await fetch(`${server.url}/ping?token=secret`);
+    const passedIn = await fetch(`${server.url}/ping`, { headers: { 'X-Request-Id': 'upstream-42' } });
+    const injected = await fetch(`${server.url}/ping`, { headers: { 'X-Request-Id': 'bad id {"level":"error"}' } });
+
+    generatedId = generated.headers.get('x-request-id');
+    assert.match(generatedId, /^[0-9a-f-]{36}$/);
+    assert.strictEqual((await generated.json()).id, generatedId);
+    assert.strictEqual(passedIn.headers.get('x-request-id'), 'upstream-42');
+    assert.match(injected.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  } finally {
+    await server.close();
+  }
+
+  // Entries are matched by request ID; 'finish' order isn't guaranteed to follow the client's
+  const first = entries.find(entry => entry.requestId === generatedId);
+  assert.strictEqual(first.msg, 'Request completed');
+  assert.strictEqual(first.path, '/ping');
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(typeof first.durationMs, 'number');
+  assert.ok(entries.some(entry => entry.requestId === 'upstream-42'));
+});
+
+test('bulk jobs keep the correlation ID they were queued with', async () => {
+  const redisClient = createRedisStub();
+  const books = [{ title: 'Dune', author: 'Frank Herbert' }];
+
+  assert.strictEqual((await createJob(redisClient, 'user-1', books, { correlationId: 'req-1' })).correlationId, 'req-1');
+  assert.match((await createJob(redisClient, 'user-1', books)).correlationId, /^[0-9a-f-]{36}$/);
+});
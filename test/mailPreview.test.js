@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.MAIL_PREVIEW_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-preview-'));
+
+const { savePreview } = require('../lib/mailPreview');
+const mailPreviewRoutes = require('../routes/mailPreview');
+const { startServer } = require('./helpers/server');
+
+let server;
+let previewId;
+
+test.before(async () => {
+  previewId = await savePreview(
+    {
+      from: 'reports@example.com',
+      to: 'reader@example.com',
+      subject: 'Report',
+      html: '<p>Report</p>',
+      attachments: [
+        { filename: 'report.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF') },
+        { filename: 'notes.bin', content: Buffer.from('notes') }
+      ]
+    },
+    { messageId: '<1@example.com>', message: Buffer.from('Subject: Report\r\n\r\nReport') }
+  );
+
+  server = await startServer(app => app.use('/dev/mail', mailPreviewRoutes));
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(process.env.MAIL_PREVIEW_DIR, { recursive: true, force: true });
+});
+
+const getFile = (filename) => fetch(`${server.url}/dev/mail/${previewId}/files/${filename}`);
+
+test('body.html is served as HTML', async () => {
+  const response = await getFile('body.html');
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'text/html; charset=utf-8');
+  assert.strictEqual(await response.text(), '<p>Report</p>');
+});
+
+test('message.eml is served as an email message', async () => {
+  const response = await getFile('message.eml');
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'message/rfc822');
+});
+
+test('attachments are served with their own content type', async () => {
+  const response = await getFile('report.pdf');
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'application/pdf');
+});
+
+test('attachments without a content type are served as octet-stream', async () => {
+  const response = await getFile('notes.bin');
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'application/octet-stream');
+});
+
+test('meta.json and unknown files are not served', async () => {
+  assert.strictEqual((await getFile('meta.json')).status, 404);
+  assert.strictEqual((await getFile('other.txt')).status, 404);
+});
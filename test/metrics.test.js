@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const express = require('express');
+const { createRedisStub } = require('./helpers/redis');
+
+// Metrics read the Redis client at require time, so the stub goes in first
+const redisClient = createRedisStub();
+const db = require('../db');
+db.getRedisClient = () => redisClient;
+
+const { register, markCronSuccess, getLastCronSuccess, startMetricsServer } = require('../lib/metrics');
+const { logger } = require('../lib/logger');
+const httpMetrics = require('../middleware/httpMetrics');
+const { startServer } = require('./helpers/server');
+
+const metricValue = async (name, labels = {}) => {
+  const { values } = await register.getSingleMetric(name).get();
+  const match = values.find(value => Object.entries(labels).every(([key, label]) => value.labels[key] === label));
+  return match ? match.value : undefined;
+};
+
+test('HTTP requests are counted by route pattern, not raw URL', async () => {
+  const server = await startServer(app => {
+    app.use(httpMetrics);
+    const router = express.Router();
+    router.get('/:id', (req, res) => res.json({ id: req.params.id }));
+    app.use('/api/books', router);
+  });
+
+  try {
+    await fetch(`${server.url}/api/books/1`);
+    await fetch(`${server.url}/api/books/2`);
+    await fetch(`${server.url}/nowhere`);
+  } finally {
+    await server.close();
+  }
+
+  assert.strictEqual(await metricValue('http_requests_total', { route: '/api/books/:id', status: 200 }), 2);
+  assert.strictEqual(await metricValue('http_requests_total', { route: 'unmatched', status: 404 }), 1);
+});
+
+test('queue and report backlogs are read from Redis when scraped', async () => {
+  await redisClient.rPush('bulk_queue:pending', ['job-1', 'job-2']);
+  await redisClient.rPush('bulk_queue:processing', ['job-3']);
+  await redisClient.set('bulk_status:user-1:job-3', '{}');
+
+  await register.metrics();
+
+  assert.strictEqual(await metricValue('bulk_queue_jobs', { queue: 'pending' }), 2);
+  assert.strictEqual(await metricValue('bulk_queue_jobs', { queue: 'processing' }), 1);
+  assert.strictEqual(await metricValue('bulk_status_pending'), 1);
+});
+
+test('a failed Redis read keeps the previous backlog values', async (t) => {
+  t.mock.method(redisClient, 'lLen', async () => {
+    throw new Error('Redis down');
+  });
+
+  await register.metrics();
+
+  assert.strictEqual(await metricValue('bulk_queue_jobs', { queue: 'pending' }), 2);
+});
+
+test('completed cron ticks are recorded for health checks and the gauge', async () => {
+  assert.strictEqual(getLastCronSuccess('outbox'), null);
+
+  markCronSuccess('outbox');
+
+  assert.ok(Date.now() - getLastCronSuccess('outbox') < 1000);
+  assert.strictEqual(await metricValue('cron_last_success_timestamp_seconds', { task: 'outbox' }), getLastCronSuccess('outbox') / 1000);
+});
+
+test('the worker metrics server serves /metrics and the extra routes only', async (t) => {
+  t.mock.method(logger, 'info', () => {});
+  const server = startMetricsServer(0, { '/health/live': (req, res) => res.end('ok') });
+  await once(server, 'listening');
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const metrics = await fetch(`${url}/metrics`);
+    assert.strictEqual(metrics.status, 200);
+    assert.match(await metrics.text(), /^# HELP bulk_queue_jobs /m);
+    assert.strictEqual(await (await fetch(`${url}/health/live`)).text(), 'ok');
+    assert.strictEqual((await fetch(`${url}/other`)).status, 404);
+    assert.strictEqual((await fetch(`${url}/metrics`, { method: 'POST' })).status, 404);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const NotificationChannel = require('../models/notificationChannels');
+const { getNotifier, isPrivateAddress, signPayload } = require('../lib/notifiers');
+const { buildJobEvent, notifyJobEvent, applyChannelSettings, formatChannel } = require('../lib/notifications');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+const blocked = {
+  'IPv6 unspecified ::': '::',
+  'IPv4-compatible ::127.0.0.1': '::7f00:1',
+  'NAT64 64:ff9b::10.0.0.1': '64:ff9b::a00:1',
+  'NAT64 of a public address': '64:ff9b::808:808',
+  'IPv4 multicast 224.0.0.1': '224.0.0.1',
+  'IPv4 multicast 239.255.255.250': '239.255.255.250',
+  'IPv4 reserved 240.0.0.1': '240.0.0.1',
+  'IPv4 broadcast 255.255.255.255': '255.255.255.255',
+  'IPv6 multicast ff02::1': 'ff02::1',
+  'IPv6 multicast ff0e::1': 'ff0e::1',
+  'IPv4 loopback 127.0.0.1': '127.0.0.1',
+  'IPv6 loopback ::1': '::1',
+  'IPv4-mapped loopback ::ffff:127.0.0.1': '::ffff:127.0.0.1',
+  'IPv4-mapped loopback in hex ::ffff:7f00:1': '::ffff:7f00:1',
+  'private 10.1.2.3': '10.1.2.3',
+  'link-local fe80::1': 'fe80::1'
+};
+
+for (const [name, address] of Object.entries(blocked)) {
+  test(`isPrivateAddress blocks ${name}`, () => {
+    assert.strictEqual(isPrivateAddress(address), true);
+  });
+}
+
+test('isPrivateAddress allows public addresses', () => {
+  for (const address of ['8.8.8.8', '93.184.216.34', '223.255.255.255', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
+
+test('webhooks to the IPv6 unspecified address are refused before connecting', async () => {
+  const channel = { url: 'http://[::]:6379/', secret: 'secret' };
+  const event = { id: 'delivery-1', type: 'bulk_job.completed', data: {} };
+
+  await assert.rejects(getNotifier('webhook').send(channel, event), /private address/);
+});
+
+test('webhook signatures are an HMAC-SHA256 of the timestamp and body', () => {
+  const body = JSON.stringify({ id: 'delivery-1' });
+  const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+  assert.strictEqual(signPayload('secret', '1700000000', body), expected);
+});
+
+test('each channel type checks its own setting', () => {
+  assert.strictEqual(getNotifier('email').validate({ address: 'not an address' }), 'A valid address is required');
+  assert.strictEqual(getNotifier('email').validate({ address: 'reader@example.com' }), null);
+  assert.notStrictEqual(getNotifier('webhook').validate({ url: 'ftp://example.com/hook' }), null);
+  assert.strictEqual(getNotifier('webhook').validate({ url: 'http://example.com/hook' }), null);
+  assert.notStrictEqual(getNotifier('slack').validate({ url: 'http://hooks.slack.com/x' }), null);
+  assert.strictEqual(getNotifier('sms'), null);
+});
+
+test('job events leave out resubmission input and flag truncated rows', () => {
+  const event = buildJobEvent('bulk_job.completed', {
+    userId,
+    jobId: 'job-1',
+    failureCount: 3,
+    failures: [{ index: 0, error: 'Title: Required', input: { title: '' } }]
+  });
+
+  assert.strictEqual(event.type, 'bulk_job.completed');
+  assert.deepStrictEqual(event.data.failures, [{ index: 0, error: 'Title: Required' }]);
+  assert.strictEqual(event.data.failuresTruncated, true);
+  assert.strictEqual(event.data.duplicatesTruncated, false);
+});
+
+test('new webhook channels get a secret that is only shown in full once', () => {
+  const channel = new NotificationChannel({ userId, createdBy: userId });
+
+  assert.strictEqual(applyChannelSettings(channel, { type: 'webhook', url: 'https://example.com/hook', events: ['bulk_job.completed'] }), null);
+  assert.match(channel.secret, /^[0-9a-f]{64}$/);
+  assert.strictEqual(formatChannel(channel, true).secret, channel.secret);
+  assert.strictEqual(formatChannel(channel).secret, `${channel.secret.slice(0, 4)}...`);
+});
+
+test('a failing channel is recorded and does not stop delivery to the others', async (t) => {
+  const channels = [
+    { _id: 'channel-1', type: 'webhook', url: 'https://broken.example.com/', secret: 'secret' },
+    { _id: 'channel-2', type: 'slack', url: 'https://hooks.slack.com/services/x' }
+  ];
+  t.mock.method(NotificationChannel, 'find', async () => channels);
+  const updateOne = t.mock.method(NotificationChannel, 'updateOne', async () => {});
+  t.mock.method(getNotifier('webhook'), 'send', async () => {
+    throw new Error('Webhook answered 500');
+  });
+  const slackSend = t.mock.method(getNotifier('slack'), 'send', async () => {});
+
+  await notifyJobEvent('bulk_job.completed', { userId, jobId: 'job-1' });
+
+  assert.strictEqual(slackSend.mock.callCount(), 1);
+  assert.deepStrictEqual(updateOne.mock.calls.map(call => [call.arguments[0]._id, call.arguments[1].$set.lastError]), [
+    ['channel-1', 'Webhook answered 500'],
+    ['channel-2', null]
+  ]);
+});
+
+test('notifying never throws', async (t) => {
+  t.mock.method(NotificationChannel, 'find', async () => {
+    throw new Error('connection lost');
+  });
+
+  await assert.doesNotReject(notifyJobEvent('bulk_job.failed', { userId, jobId: 'job-1' }));
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const nodemailer = require('nodemailer');
+
+// The mailer creates its transporter at require time, so the stub goes in first
+const transport = { sendMail: async () => ({}) };
+nodemailer.createTransport = () => transport;
+
+const OutboxEmail = require('../models/outboxEmails');
+const BulkJob = require('../models/bulkJobs');
+const { MAX_REPORT_ATTEMPTS } = require('../lib/reportRetry');
+const { enqueueEmail, dispatchOutbox, retryOutboxEmail } = require('../lib/outbox');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+const message = { to: 'reader@example.com', subject: 'Report', html: '<p>Report</p>' };
+
+const queuedEmail = (fields = {}) => ({
+  _id: 'email-1',
+  idempotencyKey: 'report:job-1',
+  messageId: '<outbox-1@books-api>',
+  jobIds: ['job-1'],
+  correlationIds: ['corr-1'],
+  delivery: 'immediate',
+  attempts: 0,
+  attachments: [],
+  ...message,
+  ...fields
+});
+
+// OutboxEmail.findOneAndUpdate handing out the given emails, then nothing
+const claims = (t, emails) => {
+  const queue = [...emails];
+  t.mock.method(OutboxEmail, 'findOneAndUpdate', async () => queue.shift() || null);
+};
+
+test('queueing gives each idempotency key a stable Message-ID', async (t) => {
+  const create = t.mock.method(OutboxEmail, 'create', async (fields) => fields);
+
+  await enqueueEmail({ idempotencyKey: 'report:job-1', userId, message });
+  await enqueueEmail({ idempotencyKey: 'report:job-1', userId, message });
+  await enqueueEmail({ idempotencyKey: 'report:job-2', userId, message });
+
+  const [first, again, other] = create.mock.calls.map(call => call.arguments[0].messageId);
+  assert.match(first, /^<outbox-[0-9a-f]{32}@books-api>$/);
+  assert.strictEqual(again, first);
+  assert.notStrictEqual(other, first);
+});
+
+test('queueing a key twice returns the first email without creating another', async (t) => {
+  const existing = queuedEmail();
+  t.mock.method(OutboxEmail, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+  t.mock.method(OutboxEmail, 'findOne', async () => existing);
+
+  assert.deepStrictEqual(await enqueueEmail({ idempotencyKey: 'report:job-1', userId, message }), { email: existing, created: false });
+});
+
+test('a sent email keeps its Message-ID, carries the correlation IDs and is noted on its jobs', async (t) => {
+  claims(t, [queuedEmail()]);
+  const sendMail = t.mock.method(transport, 'sendMail', async () => ({ messageId: '<outbox-1@books-api>' }));
+  const updateOne = t.mock.method(OutboxEmail, 'updateOne', async () => {});
+  const updateMany = t.mock.method(BulkJob, 'updateMany', async () => {});
+
+  assert.deepStrictEqual(await dispatchOutbox(), { sent: 1, failed: 0 });
+
+  const sent = sendMail.mock.calls[0].arguments[0];
+  assert.strictEqual(sent.messageId, '<outbox-1@books-api>');
+  assert.deepStrictEqual(sent.headers, { 'X-Correlation-Id': 'corr-1' });
+  assert.strictEqual(updateOne.mock.calls[0].arguments[1].$set.status, 'sent');
+  assert.deepStrictEqual(updateMany.mock.calls[0].arguments[0], { jobId: { $in: ['job-1'] } });
+  assert.strictEqual(updateMany.mock.calls[0].arguments[1].$set['report.status'], 'sent');
+});
+
+test('a temporary SMTP failure puts the email back with a later attempt time', async (t) => {
+  claims(t, [queuedEmail()]);
+  t.mock.method(transport, 'sendMail', async () => {
+    throw Object.assign(new Error('Greylisted'), { responseCode: 451 });
+  });
+  const updateOne = t.mock.method(OutboxEmail, 'updateOne', async () => {});
+  t.mock.method(BulkJob, 'updateMany', async () => {});
+
+  assert.deepStrictEqual(await dispatchOutbox(), { sent: 0, failed: 1 });
+
+  const { $set } = updateOne.mock.calls[0].arguments[1];
+  assert.strictEqual($set.status, 'pending');
+  assert.strictEqual($set.attempts, 1);
+  assert.ok($set.nextAttemptAt > new Date());
+});
+
+test('permanent SMTP rejections and the last attempt fail the email', async (t) => {
+  claims(t, [queuedEmail(), queuedEmail({ _id: 'email-2', to: 'other@example.com', attempts: MAX_REPORT_ATTEMPTS - 1 })]);
+  t.mock.method(transport, 'sendMail', async (mail) => {
+    throw Object.assign(new Error('Rejected'), { responseCode: mail.to === message.to ? 550 : 451 });
+  });
+  const updateOne = t.mock.method(OutboxEmail, 'updateOne', async () => {});
+  t.mock.method(BulkJob, 'updateMany', async () => {});
+
+  await dispatchOutbox();
+
+  assert.deepStrictEqual(updateOne.mock.calls.map(call => [call.arguments[0]._id, call.arguments[1].$set.status]), [
+    ['email-1', 'failed'],
+    ['email-2', 'failed']
+  ]);
+  assert.strictEqual(updateOne.mock.calls[0].arguments[1].$set.nextAttemptAt, null);
+});
+
+test('only failed emails can be retried', async (t) => {
+  const updateOne = t.mock.method(OutboxEmail, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+  assert.strictEqual(await retryOutboxEmail('email-1'), false);
+  assert.deepStrictEqual(updateOne.mock.calls[0].arguments[0], { _id: 'email-1', status: 'failed' });
+});
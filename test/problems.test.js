@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+// Routes read the Redis client at require time, so the stub goes in first
+const db = require('../db');
+db.getRedisClient = () => ({ exists: async () => 0, get: async () => null });
+
+const Book = require('../models/books');
+const BulkJob = require('../models/bulkJobs');
+const bookRoutes = require('../routes/books');
+const { startServer } = require('./helpers/server');
+const { authenticateAs } = require('./helpers/auth');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+let server;
+let authorization;
+
+test.before(async () => {
+  Book.countDocuments = async () => 0;
+  BulkJob.find = () => ({ select: () => ({ lean: async () => [] }) });
+  authorization = authenticateAs({ _id: userId, email: 'reader@example.com', username: 'reader' });
+  server = await startServer(app => app.use('/api/books', bookRoutes));
+});
+
+test.after(() => server.close());
+
+const request = (method, path, body, headers = { authorization }) => fetch(`${server.url}${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: body && JSON.stringify(body)
+});
+
+const readProblem = async (response) => {
+  assert.strictEqual(response.headers.get('content-type'), 'application/problem+json; charset=utf-8');
+  return response.json();
+};
+
+test('a duplicate ISBN on create is a 409 problem naming the isbn field', async (t) => {
+  t.mock.method(Book.prototype, 'save', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+
+  const response = await request('POST', '/api/books', { title: 'Dune', author: 'Frank Herbert', isbn: '9780441013593' });
+  const problem = await readProblem(response);
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(problem.type, '/problems/conflict');
+  assert.strictEqual(problem.status, 409);
+  assert.strictEqual(problem.instance, '/api/books');
+  assert.deepStrictEqual(problem.errors, [{ field: 'isbn', message: 'You already have a book with this ISBN' }]);
+});
+
+test('a duplicate ISBN on update is a 409 problem', async (t) => {
+  t.mock.method(Book, 'findOneAndUpdate', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+
+  const response = await request('PUT', `/api/books/${userId}`, { isbn: '9780441013593' });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual((await readProblem(response)).title, 'Book with this ISBN already exists');
+});
+
+test('model validation errors come back as field errors', async (t) => {
+  const validationError = new Book({ userId, title: 'Dune', author: 'Frank Herbert', isbn: '123' }).validateSync();
+  t.mock.method(Book.prototype, 'save', async () => {
+    throw validationError;
+  });
+
+  const response = await request('POST', '/api/books', { title: 'Dune', author: 'Frank Herbert' });
+  const problem = await readProblem(response);
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(problem.type, '/problems/validation-error');
+  assert.deepStrictEqual(problem.errors, [{ field: 'isbn', message: 'Invalid ISBN: 123' }]);
+});
+
+test('not found is a problem', async (t) => {
+  t.mock.method(Book, 'findOne', async () => null);
+
+  const response = await request('GET', `/api/books/${userId}`);
+  const problem = await readProblem(response);
+
+  assert.strictEqual(response.status, 404);
+  assert.strictEqual(problem.type, '/problems/not-found');
+  assert.strictEqual(problem.title, 'Book not found');
+  assert.deepStrictEqual(problem.errors, []);
+});
+
+test('unexpected errors are a 500 problem', async (t) => {
+  t.mock.method(Book, 'findOne', async () => {
+    throw new Error('connection reset');
+  });
+
+  const response = await request('GET', `/api/books/${userId}`);
+  const problem = await readProblem(response);
+
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual(problem.title, 'Error fetching book');
+  assert.strictEqual(problem.detail, 'connection reset');
+});
+
+test('missing credentials are a 401 problem', async () => {
+  const response = await request('GET', '/api/books', undefined, {});
+  const problem = await readProblem(response);
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(problem.title, 'Access denied');
+  assert.strictEqual(problem.detail, 'No authorization token provided');
+});
+
+test('unsupported upload formats are a 415 problem', async () => {
+  const response = await request('POST', '/api/books/bulk/upload', undefined, { authorization, 'Content-Type': 'text/plain' });
+
+  assert.strictEqual(response.status, 415);
+  assert.strictEqual((await readProblem(response)).type, '/problems/unsupported-media-type');
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRedisStub } = require('./helpers/redis');
+
+const redisClient = createRedisStub();
+const db = require('../db');
+db.getRedisClient = () => redisClient;
+
+const { config } = require('../config');
+const { hitRateLimit, reserveQuota, releaseQuota } = require('../lib/rateLimit');
+const { reserveBulkRows, releaseBulkRows, settleBulkRows } = require('../lib/quotas');
+const { rateLimit } = require('../middleware/rateLimit');
+const { startServer } = require('./helpers/server');
+
+test.beforeEach(() => redisClient.store.clear());
+
+test('the sliding window allows max requests, then refuses until the oldest one leaves the window', async (t) => {
+  let now = 1_700_000_000_000;
+  t.mock.method(Date, 'now', () => now);
+
+  // Reset counts down to when the first request leaves the window
+  for (const [remaining, resetSeconds] of [[2, 10], [1, 9], [0, 8]]) {
+    assert.deepStrictEqual(await hitRateLimit(redisClient, 'rate_limit:test', 3, 10000), { allowed: true, remaining, resetSeconds });
+    now += 1000;
+  }
+
+  assert.deepStrictEqual(await hitRateLimit(redisClient, 'rate_limit:test', 3, 10000), { allowed: false, remaining: 0, resetSeconds: 7 });
+
+  now += 7000;
+  assert.strictEqual((await hitRateLimit(redisClient, 'rate_limit:test', 3, 10000)).allowed, true);
+  assert.strictEqual((await hitRateLimit(redisClient, 'rate_limit:test', 3, 10000)).allowed, false);
+});
+
+test('refused requests do not count against the window', async (t) => {
+  let now = 1_700_000_000_000;
+  t.mock.method(Date, 'now', () => now);
+
+  await hitRateLimit(redisClient, 'rate_limit:test', 1, 10000);
+  for (let i = 0; i < 5; i++) {
+    now += 1000;
+    await hitRateLimit(redisClient, 'rate_limit:test', 1, 10000);
+  }
+
+  now = 1_700_000_000_000 + 10000;
+  assert.strictEqual((await hitRateLimit(redisClient, 'rate_limit:test', 1, 10000)).allowed, true);
+});
+
+test('a reservation that does not fit reserves nothing', async () => {
+  assert.deepStrictEqual(await reserveQuota(redisClient, 'quota:test', 7, 10, 60), { allowed: true, used: 7 });
+  assert.deepStrictEqual(await reserveQuota(redisClient, 'quota:test', 4, 10, 60), { allowed: false, used: 7 });
+  assert.deepStrictEqual(await reserveQuota(redisClient, 'quota:test', 3, 10, 60), { allowed: true, used: 10 });
+  assert.strictEqual(await redisClient.ttl('quota:test'), 60);
+});
+
+test('releasing keeps the counter expiry, never goes below zero and leaves an expired counter gone', async () => {
+  await reserveQuota(redisClient, 'quota:test', 5, 10, 60);
+
+  await releaseQuota(redisClient, 'quota:test', 2);
+  assert.strictEqual(await redisClient.get('quota:test'), '3');
+  assert.strictEqual(await redisClient.ttl('quota:test'), 60);
+
+  await releaseQuota(redisClient, 'quota:test', 9);
+  assert.strictEqual(await redisClient.get('quota:test'), '0');
+
+  await releaseQuota(redisClient, 'quota:missing', 2);
+  assert.strictEqual(await redisClient.exists('quota:missing'), 0);
+});
+
+test('bulk rows are reserved up front and settled down to the rows that became books', async () => {
+  const userId = '64b7f0c2a1b2c3d4e5f60718';
+  const reservation = await reserveBulkRows(redisClient, userId, 10);
+
+  assert.strictEqual(reservation.allowed, true);
+  assert.strictEqual(reservation.used, 10);
+
+  await settleBulkRows(redisClient, reservation, 6);
+  assert.strictEqual(await redisClient.get(reservation.key), '6');
+
+  await settleBulkRows(redisClient, { key: null, requested: 10 }, 0);
+  assert.strictEqual(await redisClient.get(reservation.key), '6');
+});
+
+test('a refused bulk reservation has nothing to release', async () => {
+  const userId = '64b7f0c2a1b2c3d4e5f60718';
+  await reserveBulkRows(redisClient, userId, config.quotas.bulkRowsPerDay);
+  const refused = await reserveBulkRows(redisClient, userId, 1);
+
+  await releaseBulkRows(redisClient, refused);
+
+  assert.strictEqual(refused.allowed, false);
+  assert.strictEqual(await redisClient.get(refused.key), String(config.quotas.bulkRowsPerDay));
+});
+
+test('the middleware answers 429 with Retry-After and lets requests through when Redis fails', async (t) => {
+  const server = await startServer(app => app.get('/limited', rateLimit('test', { max: 1, windowSeconds: 60 }), (req, res) => res.json({ ok: true })));
+  t.after(() => server.close());
+
+  const first = await fetch(`${server.url}/limited`);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get('ratelimit-remaining'), '0');
+  assert.strictEqual(first.headers.get('ratelimit-policy'), '1;w=60');
+
+  const second = await fetch(`${server.url}/limited`);
+  assert.strictEqual(second.status, 429);
+  assert.strictEqual(second.headers.get('retry-after'), '60');
+  assert.strictEqual((await second.json()).type, '/problems/too-many-requests');
+
+  t.mock.method(redisClient, 'eval', async () => {
+    throw new Error('Redis is down');
+  });
+  assert.strictEqual((await fetch(`${server.url}/limited`)).status, 200);
+});
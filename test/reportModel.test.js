@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getErrorType, buildReportModel } = require('../lib/reportModel');
+const { renderReportPDF } = require('../lib/reportPdf');
+const { renderReportHTML } = require('../lib/reportHtml');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+const statusData = {
+  userId,
+  jobId: 'job-1',
+  timestamp: '2026-03-01T09:30:00.000Z',
+  totalBooks: 4,
+  successCount: 2,
+  failureCount: 2,
+  duplicateCount: 1,
+  failures: [
+    { row: 2, title: 'Dune', error: 'Duplicate ISBN: 9780441013593' },
+    { index: 3, title: '<b>Emma</b>', error: 'Title: Required' }
+  ],
+  duplicates: [{ row: 2, title: 'Dune', isbn: '9780441013593', action: 'failed' }]
+};
+
+const sectionTitles = (model) => model.sections.map(section => `${section.type}:${section.chart || section.title || section.tone || ''}`);
+
+test('error types drop row-specific details', () => {
+  assert.strictEqual(getErrorType('Duplicate ISBN: 9780306406157'), 'Duplicate ISBN');
+  assert.strictEqual(getErrorType(undefined), 'Unknown error');
+  assert.strictEqual(getErrorType('x'.repeat(50)), `${'x'.repeat(37)}...`);
+});
+
+test('a job report has a summary, both charts and the failed and duplicate tables', () => {
+  const model = buildReportModel(statusData, { userId });
+
+  assert.deepStrictEqual(sectionTitles(model), [
+    'text:',
+    'keyValue:Summary',
+    'text:failure',
+    'chart:pie',
+    'chart:bar',
+    'table:Failed Items Details',
+    'table:Duplicate ISBNs'
+  ]);
+
+  const summary = model.sections.find(section => section.type === 'keyValue');
+  assert.deepStrictEqual(summary.rows.find(row => row.label === 'Success Rate').value, '50.0%');
+
+  const failedItems = model.sections.find(section => section.title === 'Failed Items Details');
+  assert.deepStrictEqual(failedItems.rows.map(row => row.location), ['Row 2', 'Index 3']);
+});
+
+test('a clean report skips the failure chart and tables', () => {
+  const model = buildReportModel({ ...statusData, successCount: 4, failureCount: 0, duplicateCount: 0, failures: [], duplicates: [] }, { userId });
+
+  assert.deepStrictEqual(sectionTitles(model), ['text:', 'keyValue:Summary', 'text:success', 'chart:pie']);
+});
+
+test('error types beyond the top six are grouped as Other', () => {
+  const failures = Array.from({ length: 8 }, (_, i) => ({ index: i, title: 'Book', error: `Error ${i}: detail` }));
+  const model = buildReportModel({ ...statusData, failureCount: 8, failures }, { userId });
+
+  const bar = model.sections.find(section => section.chart === 'bar');
+  assert.strictEqual(bar.data.length, 7);
+  assert.deepStrictEqual(bar.data[6], { label: 'Other', value: 2, color: bar.data[0].color });
+});
+
+test('a digest report lists its jobs and covers their period', () => {
+  const digest = {
+    ...statusData,
+    jobs: [
+      { jobId: 'job-1', timestamp: '2026-03-01T09:30:00.000Z', totalBooks: 2, successCount: 1, failureCount: 1 },
+      { jobId: 'job-2', timestamp: '2026-03-02T09:30:00.000Z', totalBooks: 2, successCount: 1, failureCount: 1 }
+    ]
+  };
+  const model = buildReportModel(digest, { userId });
+
+  const jobs = model.sections.find(section => section.title === 'Jobs (2)');
+  assert.deepStrictEqual(jobs.rows.map(row => row.jobId), ['job-1', 'job-2']);
+  assert.ok(model.sections.find(section => section.title === 'Failed Items Details').columns.some(column => column.key === 'jobId'));
+});
+
+test('the PDF renders every section type', async () => {
+  const pdf = await renderReportPDF(buildReportModel(statusData, { userId }));
+
+  assert.ok(Buffer.isBuffer(pdf));
+  assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('the HTML email escapes book data from the report', () => {
+  const html = renderReportHTML(buildReportModel(statusData, { userId }));
+
+  assert.ok(html.includes('&lt;b&gt;Emma&lt;/b&gt;'));
+  assert.ok(!html.includes('<b>Emma</b>'));
+});
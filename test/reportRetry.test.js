@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRedisStub } = require('./helpers/redis');
+const {
+  MAX_REPORT_ATTEMPTS,
+  getRetryDelay,
+  getRetryState,
+  recordFailure,
+  indexStatusKey,
+  listDeadLetters,
+  requeueDeadLetter,
+  getUserReportHistory
+} = require('../lib/reportRetry');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+const otherUserId = '64b7f0c2a1b2c3d4e5f60719';
+
+const saveStatus = async (redisClient, owner, jobId) => {
+  const statusKey = `bulk_status:${owner}:${jobId}`;
+  await redisClient.setEx(statusKey, 3600, JSON.stringify({ userId: owner, jobId, totalBooks: 2, failures: [{ row: 1 }], duplicates: [] }));
+  await indexStatusKey(redisClient, owner, statusKey);
+  return statusKey;
+};
+
+test('report history reads the user index instead of scanning keys', async (t) => {
+  const redisClient = createRedisStub();
+  const keys = t.mock.method(redisClient, 'keys');
+  const statusKey = await saveStatus(redisClient, userId, 'job-1');
+  await saveStatus(redisClient, otherUserId, 'job-2');
+  await recordFailure(redisClient, statusKey, userId, new Error('SMTP down'));
+
+  const history = await getUserReportHistory(redisClient, userId);
+
+  assert.strictEqual(keys.mock.callCount(), 0);
+  assert.deepStrictEqual(history.pending.map(status => status.statusKey), [statusKey]);
+  assert.strictEqual(history.pending[0].failures, undefined);
+  assert.strictEqual(history.pending[0].due, false);
+  assert.deepStrictEqual(history.errors.map(error => error.error), ['SMTP down']);
+  assert.deepStrictEqual(history.deadLettered, []);
+});
+
+test('report history prunes index entries whose keys are gone', async () => {
+  const redisClient = createRedisStub();
+  const sentKey = await saveStatus(redisClient, userId, 'job-1');
+  const pendingKey = await saveStatus(redisClient, userId, 'job-2');
+  await redisClient.del(sentKey);
+
+  const history = await getUserReportHistory(redisClient, userId);
+
+  assert.deepStrictEqual(history.pending.map(status => status.statusKey), [pendingKey]);
+  assert.deepStrictEqual(await redisClient.sMembers(`report_index:status:${userId}`), [pendingKey]);
+});
+
+test('the error index expires along with the error logs it lists', async () => {
+  const redisClient = createRedisStub();
+  const statusKey = await saveStatus(redisClient, userId, 'job-1');
+  await recordFailure(redisClient, statusKey, userId, new Error('SMTP down'));
+
+  assert.ok(await redisClient.ttl(`report_index:error:${userId}`) > 0);
+});
+
+test('retry delays double from the base delay up to six hours', () => {
+  assert.strictEqual(getRetryDelay(1), 60 * 1000);
+  assert.strictEqual(getRetryDelay(2), 2 * 60 * 1000);
+  assert.strictEqual(getRetryDelay(4), 8 * 60 * 1000);
+  assert.strictEqual(getRetryDelay(20), 6 * 60 * 60 * 1000);
+});
+
+test('a failed report is scheduled for retry after the backoff and keeps its status', async (t) => {
+  const redisClient = createRedisStub();
+  const statusKey = await saveStatus(redisClient, userId, 'job-1');
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+
+  const outcome = await recordFailure(redisClient, statusKey, userId, new Error('SMTP down'));
+
+  assert.deepStrictEqual(outcome, { attempts: 1, deadLettered: false, nextAttemptAt: 1_000_000 + getRetryDelay(1) });
+  assert.deepStrictEqual(await getRetryState(redisClient, statusKey), { due: false, deadLettered: false, nextAttemptAt: outcome.nextAttemptAt });
+  assert.strictEqual(await redisClient.ttl(statusKey), -1);
+
+  t.mock.timers.tick(getRetryDelay(1));
+  assert.strictEqual((await getRetryState(redisClient, statusKey)).due, true);
+});
+
+test('a report is dead-lettered once it runs out of attempts', async () => {
+  const redisClient = createRedisStub();
+  const statusKey = await saveStatus(redisClient, userId, 'job-1');
+  let outcome;
+
+  for (let attempt = 1; attempt <= MAX_REPORT_ATTEMPTS; attempt++) {
+    outcome = await recordFailure(redisClient, statusKey, userId, new Error(`failure ${attempt}`));
+  }
+
+  assert.deepStrictEqual(outcome, { attempts: MAX_REPORT_ATTEMPTS, deadLettered: true, nextAttemptAt: null });
+  assert.deepStrictEqual(await getRetryState(redisClient, statusKey), { due: false, deadLettered: true, nextAttemptAt: null });
+
+  const [record] = await listDeadLetters(redisClient);
+  assert.strictEqual(record.statusKey, statusKey);
+  assert.strictEqual(record.attempts, MAX_REPORT_ATTEMPTS);
+  assert.strictEqual(record.lastError, `failure ${MAX_REPORT_ATTEMPTS}`);
+  assert.strictEqual(record.statusAvailable, true);
+});
+
+test('permanent failures are dead-lettered on the first attempt', async () => {
+  const redisClient = createRedisStub();
+  const statusKey = await saveStatus(redisClient, userId, 'job-1');
+
+  const outcome = await recordFailure(redisClient, statusKey, userId, Object.assign(new Error('No such user'), { permanent: true }));
+
+  assert.deepStrictEqual(outcome, { attempts: 1, deadLettered: true, nextAttemptAt: null });
+});
+
+test('requeueing a dead letter makes the report due again with fresh attempts', async () => {
+  const redisClient = createRedisStub();
+  const statusKey = await saveStatus(redisClient, userId, 'job-1');
+  await recordFailure(redisClient, statusKey, userId, Object.assign(new Error('No such user'), { permanent: true }));
+
+  assert.strictEqual(await requeueDeadLetter(redisClient, statusKey), 'requeued');
+  assert.deepStrictEqual(await getRetryState(redisClient, statusKey), { due: true, deadLettered: false, nextAttemptAt: null });
+  assert.deepStrictEqual(await listDeadLetters(redisClient), []);
+  assert.strictEqual((await recordFailure(redisClient, statusKey, userId, new Error('SMTP down'))).attempts, 1);
+});
+
+test('requeueing reports unknown dead letters and missing statuses', async () => {
+  const redisClient = createRedisStub();
+  const statusKey = await saveStatus(redisClient, userId, 'job-1');
+
+  assert.strictEqual(await requeueDeadLetter(redisClient, statusKey), 'not_found');
+
+  await recordFailure(redisClient, statusKey, userId, Object.assign(new Error('No such user'), { permanent: true }));
+  await redisClient.del(statusKey);
+
+  assert.strictEqual(await requeueDeadLetter(redisClient, statusKey), 'status_missing');
+  assert.strictEqual((await listDeadLetters(redisClient))[0].statusAvailable, false);
+});
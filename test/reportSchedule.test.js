@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getLocalTime, getDigestPeriod, isDigestDue } = require('../lib/reportSchedule');
+const { createTranslator } = require('../lib/i18n');
+
+const daily = (timezone, digestHour = 9) => ({ delivery: 'daily', timezone, digestHour });
+const weekly = (timezone, digestDay, digestHour = 9) => ({ delivery: 'weekly', timezone, digestDay, digestHour });
+
+test('the digest period is the local date of the last send time', () => {
+  const preferences = daily('America/New_York');
+
+  // 08:59 and 09:00 in New York (UTC-5 in January)
+  assert.strictEqual(getDigestPeriod(preferences, new Date('2024-01-10T13:59:00Z')), '2024-01-09');
+  assert.strictEqual(getDigestPeriod(preferences, new Date('2024-01-10T14:00:00Z')), '2024-01-10');
+});
+
+test('the local date can differ from the UTC date', () => {
+  // 23:30 UTC on the 10th is 08:30 on the 11th in Tokyo
+  assert.strictEqual(getDigestPeriod(daily('Asia/Tokyo', 8), new Date('2024-01-10T23:30:00Z')), '2024-01-11');
+  assert.strictEqual(getDigestPeriod(daily('Asia/Tokyo', 9), new Date('2024-01-10T23:30:00Z')), '2024-01-10');
+});
+
+test('the send hour follows local time across the spring-forward change', () => {
+  const preferences = daily('Europe/Madrid');
+
+  // Madrid moves from UTC+1 to UTC+2 on 2024-03-31, so 09:00 local is 08:00 UTC the day before and 07:00 UTC after
+  assert.strictEqual(getDigestPeriod(preferences, new Date('2024-03-30T08:00:00Z')), '2024-03-30');
+  assert.strictEqual(getDigestPeriod(preferences, new Date('2024-03-31T06:59:00Z')), '2024-03-30');
+  assert.strictEqual(getDigestPeriod(preferences, new Date('2024-03-31T07:00:00Z')), '2024-03-31');
+});
+
+test('an hour skipped by the clock change still starts a period once it has passed', () => {
+  // 02:00-03:00 does not exist in New York on 2024-03-10; 03:00 EDT is 07:00 UTC
+  const preferences = daily('America/New_York', 2);
+
+  assert.strictEqual(getLocalTime(new Date('2024-03-10T06:59:00Z'), 'America/New_York').hour, 1);
+  assert.strictEqual(getDigestPeriod(preferences, new Date('2024-03-10T06:59:00Z')), '2024-03-09');
+  assert.strictEqual(getDigestPeriod(preferences, new Date('2024-03-10T07:00:00Z')), '2024-03-10');
+});
+
+test('an hour repeated by the fall-back change gives one period, so one digest', () => {
+  // 01:00-02:00 happens twice in New York on 2024-11-03: 05:00 UTC (EDT) and 06:00 UTC (EST)
+  const preferences = daily('America/New_York', 1);
+  const first = getDigestPeriod(preferences, new Date('2024-11-03T05:30:00Z'));
+  const second = getDigestPeriod(preferences, new Date('2024-11-03T06:30:00Z'));
+
+  assert.strictEqual(first, '2024-11-03');
+  assert.strictEqual(second, first);
+  assert.strictEqual(isDigestDue({ ...preferences, lastDigestPeriod: first }, new Date('2024-11-03T06:30:00Z')), false);
+});
+
+test('weekly digests fall on the chosen local weekday', () => {
+  // digestDay 1 is Monday; 2024-01-15 is a Monday
+  const preferences = weekly('Pacific/Auckland', 1);
+
+  // Monday 08:00 in Auckland (UTC+13) is still Sunday in UTC
+  assert.strictEqual(getDigestPeriod(preferences, new Date('2024-01-14T19:00:00Z')), '2024-01-08');
+  assert.strictEqual(getDigestPeriod(preferences, new Date('2024-01-14T20:00:00Z')), '2024-01-15');
+  assert.strictEqual(getDigestPeriod(preferences, new Date('2024-01-20T20:00:00Z')), '2024-01-15');
+});
+
+test('a digest is due once per period, including one missed during downtime', () => {
+  const preferences = daily('UTC');
+  const now = new Date('2024-01-10T12:00:00Z');
+
+  assert.strictEqual(isDigestDue({ ...preferences, lastDigestPeriod: null }, now), true);
+  assert.strictEqual(isDigestDue({ ...preferences, lastDigestPeriod: '2024-01-07' }, now), true);
+  assert.strictEqual(isDigestDue({ ...preferences, lastDigestPeriod: '2024-01-10' }, now), false);
+});
+
+test('an unknown timezone is scheduled as UTC instead of failing', () => {
+  const now = new Date('2024-01-10T08:30:00Z');
+
+  assert.strictEqual(getDigestPeriod(daily('Mars/Olympus_Mons'), now), getDigestPeriod(daily('UTC'), now));
+  assert.strictEqual(getDigestPeriod(daily(undefined), now), '2024-01-09');
+});
+
+test('report dates in an unknown timezone are written in UTC', () => {
+  const translator = createTranslator({ locale: 'en', timeZone: 'Mars/Olympus_Mons' });
+
+  assert.strictEqual(translator.timeZone, 'UTC');
+  assert.match(translator.dateTime('2024-01-10T08:30:00Z'), /UTC/);
+});
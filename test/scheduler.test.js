@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cron = require('node-cron');
+const { logger } = require('../lib/logger');
+const { scheduleTask } = require('../lib/scheduler');
+
+// cron.schedule that hands back the tick function instead of waiting for the clock
+const captureSchedule = (t) => {
+  const scheduled = { stopped: false };
+  t.mock.method(cron, 'schedule', (expression, onTick) => {
+    scheduled.tick = onTick;
+    return { stop: () => { scheduled.stopped = true; } };
+  });
+  return scheduled;
+};
+
+test('stop waits for running ticks to finish', async (t) => {
+  const scheduled = captureSchedule(t);
+  t.mock.method(logger, 'info', () => {});
+  let finishTick;
+  let finished = false;
+
+  const task = scheduleTask('bulk', '*/2 * * * *', () => new Promise(resolve => {
+    finishTick = () => {
+      finished = true;
+      resolve();
+    };
+  }));
+  scheduled.tick();
+
+  const stopped = task.stop();
+  assert.strictEqual(scheduled.stopped, true);
+
+  setImmediate(() => finishTick());
+  await stopped;
+  assert.strictEqual(finished, true);
+});
+
+test('a failing tick is logged and does not stop the task', async (t) => {
+  const scheduled = captureSchedule(t);
+  const error = t.mock.method(logger, 'error', () => {});
+
+  scheduleTask('reports', '*/5 * * * *', async () => {
+    throw new Error('Redis down');
+  });
+
+  await scheduled.tick();
+  assert.strictEqual(error.mock.calls[0].arguments[1].task, 'reports');
+  assert.strictEqual(scheduled.stopped, false);
+});
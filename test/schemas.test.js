@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { bookSchema, bookUpdateSchema } = require('../lib/schemas');
+const { validate } = require('../lib/validation');
+
+test('null title and author are reported as required', () => {
+  const { errors } = validate(bookSchema, { title: null, author: null });
+
+  assert.deepStrictEqual(errors, [
+    { field: 'title', message: 'Required' },
+    { field: 'author', message: 'Required' }
+  ]);
+});
+
+test('updates keep null for optional fields so they can be unset', () => {
+  const { value, errors } = validate(bookUpdateSchema, { isbn: null, publishedYear: null, genre: null });
+
+  assert.strictEqual(errors, null);
+  assert.deepStrictEqual(value, { isbn: null, publishedYear: null, genre: null });
+});
+
+test('updates cannot clear the title or author', () => {
+  const { errors } = validate(bookUpdateSchema, { title: null, author: 'Frank Herbert' });
+
+  assert.deepStrictEqual(errors, [{ field: 'title', message: 'Required' }]);
+});
+
+test('updates leave out fields that were not sent', () => {
+  const { value } = validate(bookUpdateSchema, { genre: 'Science Fiction' });
+
+  assert.deepStrictEqual(value, { genre: 'Science Fiction' });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { createRedisStub } = require('./helpers/redis');
+const { config } = require('../config');
+const {
+  issueTokens,
+  consumeRefreshToken,
+  revokeFamily,
+  denyAccessToken,
+  revokeAllForUser,
+  isAccessTokenRevoked
+} = require('../lib/tokens');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+const decode = (token) => jwt.verify(token, config.jwt.secret);
+
+test('a refresh token rotates into a new one in the same family', async () => {
+  const redisClient = createRedisStub();
+  const first = await issueTokens(redisClient, userId);
+
+  const { familyId } = await consumeRefreshToken(redisClient, first.refreshToken);
+  const second = await issueTokens(redisClient, userId, familyId);
+
+  assert.notStrictEqual(second.refreshToken, first.refreshToken);
+  assert.deepStrictEqual(await consumeRefreshToken(redisClient, second.refreshToken), { userId, familyId });
+});
+
+test('reusing a rotated refresh token revokes its whole family', async () => {
+  const redisClient = createRedisStub();
+  const first = await issueTokens(redisClient, userId);
+  const { familyId } = await consumeRefreshToken(redisClient, first.refreshToken);
+  const second = await issueTokens(redisClient, userId, familyId);
+
+  assert.deepStrictEqual(await consumeRefreshToken(redisClient, first.refreshToken), { error: 'reused' });
+  assert.deepStrictEqual(await consumeRefreshToken(redisClient, second.refreshToken), { error: 'invalid' });
+  assert.deepStrictEqual(await redisClient.sMembers(`refresh_families:${userId}`), []);
+});
+
+test('unknown and revoked refresh tokens are invalid', async () => {
+  const redisClient = createRedisStub();
+  const session = await issueTokens(redisClient, userId);
+  const [familyId] = await redisClient.sMembers(`refresh_families:${userId}`);
+
+  assert.deepStrictEqual(await consumeRefreshToken(redisClient, 'not-a-token'), { error: 'invalid' });
+
+  await revokeFamily(redisClient, familyId);
+  assert.deepStrictEqual(await consumeRefreshToken(redisClient, session.refreshToken), { error: 'invalid' });
+});
+
+test('a denied access token is rejected until it expires; other tokens are not', async () => {
+  const redisClient = createRedisStub();
+  const loggedOut = decode((await issueTokens(redisClient, userId)).token);
+  const other = decode((await issueTokens(redisClient, userId)).token);
+
+  await denyAccessToken(redisClient, loggedOut);
+
+  assert.strictEqual(await isAccessTokenRevoked(redisClient, loggedOut), true);
+  assert.strictEqual(await isAccessTokenRevoked(redisClient, other), false);
+  const ttl = await redisClient.ttl(`token_denylist:${loggedOut.jti}`);
+  assert.ok(ttl > 0 && ttl <= loggedOut.exp - loggedOut.iat);
+});
+
+test('an already expired access token is not added to the denylist', async () => {
+  const redisClient = createRedisStub();
+
+  await denyAccessToken(redisClient, { userId, jti: 'expired', iat: nowSeconds() - 120, exp: nowSeconds() - 60 });
+
+  assert.strictEqual(await redisClient.exists('token_denylist:expired'), 0);
+});
+
+test('logout-all revokes every session and every access token issued up to that second', async () => {
+  const redisClient = createRedisStub();
+  const laptop = await issueTokens(redisClient, userId);
+  const phone = await issueTokens(redisClient, userId);
+
+  await revokeAllForUser(redisClient, userId);
+
+  assert.deepStrictEqual(await consumeRefreshToken(redisClient, laptop.refreshToken), { error: 'invalid' });
+  assert.deepStrictEqual(await consumeRefreshToken(redisClient, phone.refreshToken), { error: 'invalid' });
+  assert.strictEqual(await isAccessTokenRevoked(redisClient, decode(laptop.token)), true);
+  assert.strictEqual(await isAccessTokenRevoked(redisClient, { userId, iat: nowSeconds() - 60 }), true);
+  assert.strictEqual(await isAccessTokenRevoked(redisClient, { userId, iat: nowSeconds() + 1 }), false);
+  assert.strictEqual(await isAccessTokenRevoked(redisClient, { userId: '64b7f0c2a1b2c3d4e5f60719', iat: nowSeconds() - 60 }), false);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const db = require('../db');
+db.getRedisClient = () => ({ exists: async () => 0, get: async () => null });
+
+const Preference = require('../models/preferences');
+const NotificationChannel = require('../models/notificationChannels');
+const userRoutes = require('../routes/users');
+const { startServer } = require('./helpers/server');
+const { authenticateAs } = require('./helpers/auth');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+let server;
+let authorization;
+
+test.before(async () => {
+  authorization = authenticateAs({ _id: userId, email: 'reader@example.com', username: 'reader', emailVerified: true });
+  server = await startServer(app => app.use('/api/users', userRoutes));
+});
+
+test.after(() => server.close());
+
+const request = (method, path, body) => fetch(`${server.url}${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', authorization },
+  body: JSON.stringify(body)
+});
+
+test('preferences are checked field by field, unknown fields included', async () => {
+  const response = await request('PUT', '/api/users/me/preferences', {
+    delivery: 'hourly',
+    timezone: 'Mars/Olympus_Mons',
+    digestHour: 24,
+    colour: 'blue'
+  });
+  const problem = await response.json();
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(problem.type, '/problems/validation-error');
+  assert.deepStrictEqual(problem.errors, [
+    { field: 'delivery', message: 'Use one of: immediate, daily, weekly' },
+    { field: 'timezone', message: 'Must be an IANA time zone, e.g. Europe/Madrid' },
+    { field: 'digestHour', message: 'Must be at most 23' },
+    { field: 'colour', message: 'Unknown field' }
+  ]);
+});
+
+test('valid preferences are saved', async (t) => {
+  t.mock.method(Preference, 'findOne', async () => null);
+  const save = t.mock.method(Preference.prototype, 'save', async function () {
+    return this;
+  });
+
+  const response = await request('PUT', '/api/users/me/preferences', { attachment: 'csv', locale: 'es-mx', timezone: 'Europe/Madrid' });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(save.mock.callCount(), 1);
+  assert.strictEqual(body.preferences.attachment, 'csv');
+  assert.strictEqual(body.preferences.locale, 'es-MX');
+  assert.strictEqual(body.preferences.timezone, 'Europe/Madrid');
+});
+
+test('channels with an unknown type or empty events are rejected before any lookup', async (t) => {
+  const countDocuments = t.mock.method(NotificationChannel, 'countDocuments', async () => 0);
+
+  const response = await request('POST', '/api/users/me/channels', { type: 'sms', events: [] });
+  const problem = await response.json();
+
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(problem.errors, [
+    { field: 'type', message: 'Use one of: email, webhook, slack' },
+    { field: 'events', message: 'Must not be empty' }
+  ]);
+  assert.strictEqual(countDocuments.mock.callCount(), 0);
+});
+
+test('type-specific channel settings are reported on their field', async (t) => {
+  t.mock.method(NotificationChannel, 'countDocuments', async () => 0);
+
+  const response = await request('POST', '/api/users/me/channels', { type: 'slack', url: 'http://hooks.example.com/x' });
+  const problem = await response.json();
+
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(problem.errors, [{ field: 'url', message: 'URL must use https:' }]);
+});
+
+test('email channels must use the verified account address', async () => {
+  const response = await request('POST', '/api/users/me/channels', { type: 'email', address: 'Someone@Example.com' });
+  const problem = await response.json();
+
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(problem.errors, [{ field: 'address', message: 'Email channels can only send to your own verified email address' }]);
+});
+
+test('a valid webhook channel is created with a secret', async (t) => {
+  t.mock.method(NotificationChannel, 'countDocuments', async () => 0);
+  t.mock.method(NotificationChannel.prototype, 'save', async function () {
+    return this;
+  });
+
+  const response = await request('POST', '/api/users/me/channels', { type: 'webhook', url: 'https://hooks.example.com/books' });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(body.channel.url, 'https://hooks.example.com/books');
+  assert.match(body.channel.secret, /^[a-f0-9]{64}$/);
+});
+
+test('a user over the channel limit gets a 409 problem', async (t) => {
+  t.mock.method(NotificationChannel, 'countDocuments', async () => 10);
+
+  const response = await request('POST', '/api/users/me/channels', { type: 'webhook', url: 'https://hooks.example.com/books' });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual((await response.json()).title, 'Too many notification channels');
+});
+
+test('channel updates cannot change the type', async (t) => {
+  const channel = new NotificationChannel({ userId, type: 'webhook', url: 'https://hooks.example.com/books', secret: 'x' });
+  channel.isNew = false;
+  t.mock.method(NotificationChannel, 'findOne', async () => channel);
+
+  const response = await request('PUT', `/api/users/me/channels/${channel._id}`, { type: 'slack' });
+  const problem = await response.json();
+
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(problem.errors, [{ field: 'type', message: 'Cannot be changed' }]);
+});
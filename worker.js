@@ -0,0 +1,118 @@
+const { config } = require('./config');
+const { connectDB, disconnectDB } = require('./db');
+const { closeTransport } = require('./lib/mailer');
+const { logger } = require('./lib/logger');
+const { startMetricsServer } = require('./lib/metrics');
+const { checkMongo, checkRedis, checkSmtp, checkCronTick, createHealthHandler } = require('./lib/health');
+const { startBulkCron } = require('./bulkCron');
+const { startReportCron, testEmailConfig } = require('./reportCron');
+const { startOutboxDispatcher } = require('./outboxDispatcher');
+
+// Schedulers a worker can run, by name
+const SCHEDULERS = {
+  bulk: startBulkCron,
+  reports: startReportCron,
+  outbox: startOutboxDispatcher
+};
+
+/**
+ * Health endpoints for a worker
+ * Liveness fails when a scheduler stops completing ticks, so a stuck worker gets restarted;
+ * readiness also needs MongoDB, Redis and, for the outbox, SMTP
+ * @param {Array<Object>} tasks - Scheduled tasks
+ * @param {boolean} sendsEmail - Whether the worker runs the outbox dispatcher
+ * @returns {Object} Handlers by path
+ */
+const getHealthRoutes = (tasks, sendsEmail) => {
+  const startedAt = Date.now();
+  const tickChecks = Object.fromEntries(tasks.map(task => [`cron:${task.name}`, checkCronTick(task.name, startedAt)]));
+
+  return {
+    '/health/live': createHealthHandler(tickChecks),
+    '/health/ready': createHealthHandler({
+      mongo: checkMongo,
+      redis: checkRedis,
+      ...(sendsEmail && { smtp: checkSmtp }),
+      ...tickChecks
+    })
+  };
+};
+
+/**
+ * Connect to MongoDB and Redis and start the selected schedulers
+ * On SIGINT/SIGTERM no new work is started; running ticks (e.g. a bulk job) finish first,
+ * up to WORKER_SHUTDOWN_TIMEOUT_MS. A second signal exits straight away.
+ * Metrics and health checks are served on WORKER_METRICS_PORT (unless 0) for as long as the worker runs
+ * @param {Array<string>} names - Schedulers to run: 'bulk', 'reports' and/or 'outbox'
+ * @returns {Promise<Array<Object>>} Scheduled tasks
+ */
+const startWorker = async (names = config.worker.schedulers) => {
+  const unknown = names.filter(name => !SCHEDULERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scheduler(s): ${unknown.join(', ')}. Use: ${Object.keys(SCHEDULERS).join(', ')}`);
+  }
+
+  await connectDB();
+
+  if (names.includes('outbox')) {
+    await testEmailConfig();
+  }
+
+  const tasks = [...new Set(names)].map(name => SCHEDULERS[name]());
+  const metricsServer = config.worker.metricsPort > 0
+    ? startMetricsServer(config.worker.metricsPort, getHealthRoutes(tasks, names.includes('outbox')))
+    : null;
+  let shuttingDown = false;
+
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      logger.warn('Signal received again, exiting without waiting', { signal });
+      process.exit(1);
+    }
+
+    shuttingDown = true;
+    logger.info('Shutting down worker, running work is allowed to finish', { signal });
+
+    const timer = setTimeout(() => {
+      logger.error('Work still running at shutdown timeout, exiting; unfinished bulk jobs resume from their checkpoint', {
+        shutdownTimeoutMs: config.worker.shutdownTimeoutMs
+      });
+      process.exit(1);
+    }, config.worker.shutdownTimeoutMs);
+    timer.unref();
+
+    try {
+      await Promise.all(tasks.map(task => task.stop()));
+
+      if (metricsServer) {
+        metricsServer.close();
+      }
+
+      closeTransport();
+      await disconnectDB();
+      logger.info('Worker stopped');
+      process.exit(0);
+    } catch (error) {
+      logger.error('Error during worker shutdown', { err: error });
+      process.exit(1);
+    }
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  logger.info('Worker started', { schedulers: tasks.map(task => task.name) });
+  return tasks;
+};
+
+// `node worker.js [bulk] [reports] [outbox]`; without arguments WORKER_SCHEDULERS decides
+if (require.main === module) {
+  const names = process.argv.slice(2);
+
+  startWorker(names.length > 0 ? names : undefined).catch(error => {
+    logger.error('Worker failed to start', { err: error });
+    process.exit(1);
+  });
+}
+
+module.exports = { SCHEDULERS, startWorker };